@@ -5,70 +5,34 @@
  * from steganographic images.
  */
 
-import { decodeLSB, formatBytesAsAscii, formatBytesAsUtf8 } from './lsb.js';
+import {
+  decodeLSB,
+  extractBitPlanes,
+  decodeBitPlanes,
+  formatBytesAsText,
+  parseLSBContainerHeader,
+  CONTAINER_HEADER_BYTES,
+  PIXEL_ORDERS,
+  TEXT_ENCODINGS,
+} from './lsb.js';
 import { textScore } from './autoDetectHeuristics.js';
-
-// Cache for loaded dictionaries
-const dictionaryCache = new Map();
-const TOP_WORDS_DICTIONARY_PATH = './dictionaries/top_words.json';
-const DICTIONARY_CACHE_KEY = 'top_words';
-let dictionaryLoadPromise = null;
-
-/**
- * Loads all available dictionaries.
- * 
- * @returns {Promise<Map<string, Set<string>>>} Map of language to word set
- */
-async function loadAllDictionaries() {
-  if (dictionaryCache.has(DICTIONARY_CACHE_KEY)) {
-    return dictionaryCache.get(DICTIONARY_CACHE_KEY);
-  }
-
-  if (dictionaryLoadPromise) {
-    return dictionaryLoadPromise;
-  }
-
-  dictionaryLoadPromise = (async () => {
-    try {
-      const response = await fetch(TOP_WORDS_DICTIONARY_PATH);
-      if (!response.ok) {
-        console.warn(`Failed to load dictionary file ${TOP_WORDS_DICTIONARY_PATH}`);
-        return new Map();
-      }
-
-      const data = await response.json();
-      const dictionaries = new Map();
-
-      for (const [languageCode, words] of Object.entries(data || {})) {
-        if (!Array.isArray(words)) continue;
-
-        const wordSet = new Set(
-          words
-            .map(word => String(word).trim().toLowerCase())
-            .filter(word => word.length > 0)
-        );
-
-        if (wordSet.size > 0) {
-          dictionaries.set(languageCode, wordSet);
-        }
-      }
-
-      dictionaryCache.set(DICTIONARY_CACHE_KEY, dictionaries);
-      return dictionaries;
-    } catch (error) {
-      console.warn(`Error loading dictionary file ${TOP_WORDS_DICTIONARY_PATH}:`, error);
-      return new Map();
-    }
-  })();
-
-  return dictionaryLoadPromise;
-}
+import {
+  scoreCandidate,
+  compareCandidates,
+  rankCandidates,
+  resolveWeights,
+  scoreDecodedText,
+} from './candidateScoring.js';
+import { loadDictionaries } from './dictionary.js';
+import { identifyLanguage } from './languageId.js';
+import { scriptSequenceLength } from './scriptText.js';
+import { TRANSLITERATION_SCHEMES, detransliterate } from './transliteration.js';
 
 /**
  * Checks text against dictionaries and returns scores for each language.
  * 
  * @param {string} text - Text to check
- * @param {Map<string, Set<string>>} dictionaries - Map of language to word set
+ * @param {Map<string, Object>} dictionaries - Map of language to word set (a Set or see openDictionary)
  * @returns {Object} Object with language scores and detected language
  */
 function checkTextAgainstDictionaries(text, dictionaries) {
@@ -112,6 +76,7 @@ function checkTextAgainstDictionaries(text, dictionaries) {
     scores[language] = {
       matches,
       totalWords,
+      matchedChars,
       score,
     };
 
@@ -124,91 +89,309 @@ function checkTextAgainstDictionaries(text, dictionaries) {
   return { scores, detectedLanguage, maxScore };
 }
 
+// ASCII text needs this many letters to be tried as transliteration
+const MIN_TRANSLITERATION_LETTERS = 8;
+// Lowest dictionary score or language confidence that counts as a transliteration match
+const MIN_TRANSLITERATION_SCORE = 0.6;
+
 /**
- * Calculates a quality score for text based on textScore heuristics and additional checks.
- * Higher score = better text quality.
- * 
- * @param {string} text - Text to evaluate
- * @param {Object} textScoreResult - Result from textScore function { score, metrics }
- * @returns {number} Quality score (0-100)
+ * Checks whether ASCII text is a language typed in Latin letters, such as Russian
+ * "privet kak dela": maps it back with every scheme of TRANSLITERATION_SCHEMES and looks the
+ * result up in the scheme language's dictionary (when loaded) and the language model.
+ *
+ * @param {string} text - Decoded text
+ * @param {Function} dictionariesFor - async (languages) => Map of language to word set; asked
+ *   for a scheme's language only when the language model agrees with it
+ * @param {number} baselineScore - Best dictionary score or language confidence of the text as
+ *   it is; a scheme must do at least as well
+ * @returns {Object|null} Best scheme as { scheme, language, label, dictionaryScore, confidence,
+ *   score, text } with the back-transliterated text, or null if none matches
  */
-function calculateTextQualityScore(text, textScoreResult) {
-  if (!text || text.length === 0 || !textScoreResult) {
-    return 0;
+async function detectTransliteration(text, dictionariesFor, baselineScore) {
+  if (!/^[\x00-\x7F]*$/.test(text) || (text.match(/[a-z]/gi) || []).length < MIN_TRANSLITERATION_LETTERS) {
+    return null;
   }
-  
-  // Start with textScore (0-1), convert to 0-70 range
-  let score = (textScoreResult.score || 0) * 70;
-  
-  // Add bonus based on textScore components if available
-  if (textScoreResult.metrics?.components) {
-    const comp = textScoreResult.metrics.components;
-    // These are already normalized 0-1, add small bonuses
-    score += comp.ctrlScore * 10;
-    score += comp.compScore * 5;
-    score += comp.entScore * 5;
+
+  let best = null;
+  for (const [scheme, { language, label }] of Object.entries(TRANSLITERATION_SCHEMES)) {
+    const native = detransliterate(text, scheme);
+    const guess = identifyLanguage(native);
+    const confidence = guess.language === language ? guess.confidence : 0;
+    const dictionary = (await dictionariesFor(confidence > 0 ? [language] : [])).get(language);
+    const dictionaryScore = dictionary
+      ? checkTextAgainstDictionaries(native, new Map([[language, dictionary]])).maxScore
+      : 0;
+    const score = Math.max(dictionaryScore, confidence);
+    if (!best || score > best.score) {
+      best = { scheme, language, label, dictionaryScore, confidence, score, text: native };
+    }
   }
-  
-  // Analyze text content directly for additional quality checks
-  const sample = text.substring(0, Math.min(200, text.length));
-  
-  // Count letters vs special characters
-  const letterCount = (sample.match(/[a-zA-Zа-яА-Я]/g) || []).length;
-  const letterRatio = letterCount / sample.length;
-  
-  // Prefer text with reasonable letter ratio (30-80% letters)
-  if (letterRatio >= 0.3 && letterRatio <= 0.8) {
-    score += 10;
-  } else if (letterRatio < 0.1) {
-    // Too few letters = mostly symbols/noise
-    score -= 10;
+  return best.score >= MIN_TRANSLITERATION_SCORE && best.score >= baselineScore ? best : null;
+}
+
+/**
+ * Checks a candidate's dictionary scores against the stopWhen condition of
+ * autoDetectParametersByMaxLength.
+ *
+ * @param {Object} languageScores - Per-language scores from checkTextAgainstDictionaries
+ * @param {Object} stopWhen - { minDictionaryScore, languages, minLength }
+ * @returns {string|null} Best-scoring language that meets the condition, or null
+ */
+function findStopLanguage(languageScores, stopWhen) {
+  const { minDictionaryScore = 0.6, languages = null, minLength = 20 } = stopWhen;
+  const wanted = languages && languages.length > 0 ? languages : Object.keys(languageScores);
+  let stopLanguage = null;
+  for (const language of wanted) {
+    const entry = languageScores[language];
+    if (!entry || entry.score < minDictionaryScore || entry.matchedChars < minLength) continue;
+    if (!stopLanguage || entry.score > languageScores[stopLanguage].score) {
+      stopLanguage = language;
+    }
   }
-  
-  // Prefer text with spaces (real text has spaces)
-  if (sample.includes(' ') || sample.includes('\n') || sample.includes('\t')) {
-    score += 5;
+  return stopLanguage;
+}
+
+// Channel sets to search, most common first
+const QUICK_CHANNEL_SETS = ['RGB', 'R', 'RG'];
+const FULL_CHANNEL_SETS = ['RGB', 'R', 'G', 'B', 'RG', 'RB', 'GB', 'A', 'RGBA'];
+
+/**
+ * Returns every ordering of the given channel letters.
+ * 
+ * @param {string} letters - Channel letters, e.g. 'RGB'
+ * @returns {string[]} All permutations
+ */
+function channelPermutations(letters) {
+  if (letters.length <= 1) return [letters];
+  const result = [];
+  for (let i = 0; i < letters.length; i++) {
+    const rest = letters.slice(0, i) + letters.slice(i + 1);
+    for (const tail of channelPermutations(rest)) {
+      result.push(letters[i] + tail);
+    }
   }
-  
-  // Penalize excessive special characters
-  const specialCharCount = (sample.match(/[!@#$%^&*()_+\-=\[\]{};':"\\|,.<>\/?`~]/g) || []).length;
-  const specialCharRatio = specialCharCount / sample.length;
-  if (specialCharRatio > 0.3) {
-    // Too many special characters = likely noise
-    score -= 10;
+  return result;
+}
+
+/**
+ * Expands channel sets into decode parameter objects, adding alternative
+ * channel visit orders.
+ * 
+ * @param {string[]} channelSets - Channel sets in natural R, G, B, A order
+ * @param {string} channelOrders - 'natural', 'reversed' (colour channels reversed,
+ *   alpha kept last, as in BGR/BGRA buffers) or 'all' (every permutation)
+ * @returns {Object[]} Objects with useR/useG/useB/useA flags and a channels sequence
+ */
+function buildChannelCombinations(channelSets, channelOrders = 'natural') {
+  const sequences = [];
+  for (const set of channelSets) {
+    sequences.push(set);
+    if (channelOrders === 'reversed') {
+      const colour = set.replace('A', '');
+      sequences.push(colour.split('').reverse().join('') + (set.includes('A') ? 'A' : ''));
+    } else if (channelOrders === 'all') {
+      sequences.push(...channelPermutations(set));
+    }
   }
-  
-  return Math.max(0, Math.min(100, score));
+
+  return [...new Set(sequences)].map(channelSet);
+}
+
+// Decode parameters for a channel visit sequence such as 'BGR'
+function channelSet(sequence) {
+  return {
+    useR: sequence.includes('R'),
+    useG: sequence.includes('G'),
+    useB: sequence.includes('B'),
+    useA: sequence.includes('A'),
+    channels: sequence,
+  };
 }
 
+// Grid streams retried at bit offsets 1-7 when bitAlignment is on
+const ALIGNMENT_STREAM_COUNT = 32;
+
 /**
- * Calculates the maximum length of printable ASCII characters from the start of bytes.
- * Stops at the first non-printable byte.
+ * Picks the streams a bit alignment search retries at bit offsets 1-7: the best-ranked distinct
+ * streams (bit depth, channels, pixel order and bit order) among candidates at offset 0.
+ * A sharded search passes the pick from its merged grid as options.alignmentStreams.
+ *
+ * @param {Object[]} candidates - Ranked candidates, best first
+ * @param {number} [count=32] - Streams to pick
+ * @returns {Object[]} Streams { bitsPerChannel, bitPlanes?, channels, order, bitOrder }, best first
+ */
+export function pickAlignmentStreams(candidates, count = ALIGNMENT_STREAM_COUNT) {
+  const picked = new Map();
+  for (const { params } of candidates) {
+    if (picked.size >= count) break;
+    if (params.bitOffset) continue;
+    const { bitsPerChannel, bitPlanes, channels, order, bitOrder } = params;
+    const key = [bitsPerChannel, bitPlanes, channels, order, bitOrder].join('/');
+    if (!picked.has(key)) {
+      picked.set(key, { bitsPerChannel, ...(bitPlanes ? { bitPlanes } : {}), channels, order, bitOrder });
+    }
+  }
+  return [...picked.values()];
+}
+
+// Search streams for the picked streams at bit offsets 1-7
+function alignedStreams(picked) {
+  return picked.flatMap(({ bitsPerChannel, bitPlanes, channels, order, bitOrder }) =>
+    [1, 2, 3, 4, 5, 6, 7].map(bitOffset => ({
+      depth: bitPlanes ? { bitsPerChannel, bitPlanes } : { bitsPerChannel },
+      channels: channelSet(channels),
+      order,
+      bitOrder,
+      bitOffset,
+    })));
+}
+
+// Bytes read per candidate by autoDetectParametersByMaxLength: enough for the analysis and the
+// zero-tail check, so large images are not decoded in full
+const MAX_BYTES_TO_DECODE = 5000;
+
+// Runs per stream scored by findTextWindows; more are rarely text
+const MAX_SCORED_WINDOWS = 4;
+
+/**
+ * Reads the channel values autoDetectParametersByMaxLength decodes its candidates from: every
+ * pixel order it tries, as far as its bounded reads go (the thinnest stream, one channel at one
+ * bit plane, needs 8 pixels per byte). Pass the result as options.planes to search without the image.
+ *
+ * @param {ImageData} imageData - Image to read
+ * @param {Object} [options] - The search's extendedOrders, alignmentStreams, region and startPixel
+ * @returns {Map<string, Object>} Bit planes from extractBitPlanes, by pixel order
+ */
+export function extractSearchPlanes(imageData, options = {}) {
+  const { extendedOrders = false, alignmentStreams = null, region = null, startPixel = 0 } = options;
+  const orders = extendedOrders ? Object.keys(PIXEL_ORDERS) : ['row', 'column'];
+  const streamOrders = alignmentStreams ? alignmentStreams.map(stream => stream.order) : [];
+  return new Map([...new Set([...orders, ...streamOrders])].map(order => [
+    order,
+    extractBitPlanes(imageData, { order, region, startPixel, maxPixels: MAX_BYTES_TO_DECODE * 8 }),
+  ]));
+}
+
+/**
+ * Measures the printable character at a position of a byte stream: printable ASCII
+ * (0x20-0x7E, plus newline, carriage return and tab) or a UTF-8 encoded Han, Kana, Hangul or
+ * Thai character (see scriptSequenceLength), whose messages have no ASCII at all.
  * 
  * @param {Uint8Array} bytes - Bytes to analyze
- * @returns {number} Maximum length of printable characters from start
+ * @param {number} index - Position to check
+ * @returns {number} Bytes of the printable character at index, or 0 if it is not printable
+ */
+function printableLengthAt(bytes, index) {
+  const byte = bytes[index];
+  if ((byte >= 0x20 && byte <= 0x7E) || byte === 0x0A || byte === 0x0D || byte === 0x09) {
+    return 1;
+  }
+  return scriptSequenceLength(bytes, index);
+}
+
+/**
+ * Calculates the maximum length of printable text from the start of bytes.
+ * Stops at the first non-printable byte (see printableLengthAt).
+ * 
+ * @param {Uint8Array} bytes - Bytes to analyze
+ * @returns {number} Maximum length of printable characters from start, in bytes
  */
 function calculateMaxPrintableLength(bytes) {
   if (!bytes || bytes.length === 0) {
     return 0;
   }
   
-  for (let i = 0; i < bytes.length; i++) {
-    const byte = bytes[i];
-    // Printable ASCII: 0x20-0x7E, plus newline (0x0A), carriage return (0x0D), tab (0x09)
-    const isPrintable = (byte >= 0x20 && byte <= 0x7E) || 
-                        byte === 0x0A || 
-                        byte === 0x0D || 
-                        byte === 0x09;
-    
-    if (!isPrintable) {
+  let i = 0;
+  while (i < bytes.length) {
+    const length = printableLengthAt(bytes, i);
+    if (length === 0) {
       return i; // Return length up to (but not including) this byte
     }
+    i += length;
   }
   
   // All bytes are printable
   return bytes.length;
 }
 
+// Characters that end the printable prefix of a charset: controls other than newline, carriage
+// return and tab, zero and undecodable bytes
+const CHARSET_STOP_PATTERN = /[\0-\x08\x0B\x0C\x0E-\x1F\x7F-\x9F\uFFFD]/u;
+
+/**
+ * The printable prefix of bytes in a TextDecoder charset, the counterpart of
+ * calculateMaxPrintableLength for encodings other than UTF-8 and ASCII. Bytes are fed to a
+ * streaming decoder one at a time, so random bytes stop it after a few characters.
+ *
+ * @param {Uint8Array} bytes - Bytes to analyze
+ * @param {string} charset - TextDecoder label, e.g. 'windows-1251'
+ * @returns {{ text: string, length: number }} Decoded prefix and its length in bytes
+ */
+function charsetPrintablePrefix(bytes, charset) {
+  const decoder = new TextDecoder(charset);
+  let text = '';
+  let length = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    const chars = decoder.decode(bytes.subarray(i, i + 1), { stream: true });
+    if (!chars) continue;
+    if (CHARSET_STOP_PATTERN.test(chars)) break;
+    text += chars;
+    length = i + 1;
+  }
+  return { text, length };
+}
+
+/**
+ * Finds runs of printable text anywhere in a byte stream, e.g. a message after a binary header.
+ * Uses the same printable set as calculateMaxPrintableLength (see printableLengthAt).
+ *
+ * @param {Uint8Array} bytes - Decoded stream
+ * @param {number} minLength - Shortest run to report (default: 16, which random bytes
+ *   almost never produce)
+ * @returns {Object[]} Runs { offset, length }, longest first (earliest first among equals)
+ */
+export function findTextRuns(bytes, minLength = 16) {
+  const runs = [];
+  let start = -1;
+  for (let i = 0; i <= bytes.length;) {
+    const length = i < bytes.length ? printableLengthAt(bytes, i) : 0;
+    if (length > 0) {
+      if (start < 0) start = i;
+      i += length;
+      continue;
+    }
+    if (start >= 0) {
+      if (i - start >= minLength) {
+        runs.push({ offset: start, length: i - start });
+      }
+      start = -1;
+    }
+    i++;
+  }
+  return runs.sort((a, b) => (b.length - a.length) || (a.offset - b.offset));
+}
+
+/**
+ * Finds the longest and the most text-like windows of a stream (see findTextRuns).
+ * Only the longest few runs are scored with textScore.
+ *
+ * @param {Uint8Array} bytes - Start of the stream to scan
+ * @returns {Promise<Object>} { longest: { offset, length }, best: { offset, length, score } },
+ *   each null when the stream has no run of text
+ */
+async function findTextWindows(bytes) {
+  const runs = findTextRuns(bytes).slice(0, MAX_SCORED_WINDOWS);
+  let best = null;
+  for (const run of runs) {
+    const { score } = await textScore(bytes.subarray(run.offset, run.offset + run.length), { useCompression: false });
+    // Runs are longest first, so ties keep the longer one
+    if (!best || score > best.score) {
+      best = { ...run, score };
+    }
+  }
+  return { longest: runs[0] || null, best };
+}
+
 /**
  * Automatically detects decoding parameters using max printable length heuristic.
  * Tries all possible parameter combinations and finds the one with the longest
@@ -219,576 +402,633 @@ function calculateMaxPrintableLength(bytes) {
  * @param {Object} options - Detection options
  * @param {number[]} options.bitsPerChannel - Array of bits per channel to try (default: [1,2,3,4])
  * @param {boolean} options.quickMode - If true, only tries most common combinations (default: false)
+ * @param {string[]} options.bitOrders - Bit orders to try (default: ['lsb', 'msb'], quick mode: ['lsb'])
+ * @param {string} options.channelOrders - Channel visit orders to try: 'natural' (R, G, B, A),
+ *   'reversed' (also BGR-style, default) or 'all' permutations; quick mode uses 'natural'
+ * @param {boolean} options.extendedOrders - Also try every pixel order in PIXEL_ORDERS (reversed,
+ *   bottom-up, zigzag, spiral, Hilbert), not just row and column (default: false)
+ * @param {boolean} options.singleBitPlanes - Also try each bit plane 1-7 on its own (default: false)
+ * @param {boolean} options.bitAlignment - After the grid, also try bit offsets 1-7 (payloads that start
+ *   mid-byte) for its best-ranked streams (see pickAlignmentStreams); found offsets are in
+ *   params.bitOffset (default: false). A sharded search runs the grid without it and then passes
+ *   alignmentStreams
+ * @param {Object[]} options.alignmentStreams - Streams to try at bit offsets 1-7 instead of the grid,
+ *   from pickAlignmentStreams; they are numbered after the grid, so every shard must get the same
+ *   list (default: null)
+ * @param {string[]} options.encodings - Text encodings to try on every stream, keys of TEXT_ENCODINGS in
+ *   lsb.js (default: ['utf8', 'ascii']). Other charsets are measured by their decoded printable
+ *   prefix and ranked mostly by the dictionaries and the language model
+ * @param {Object} options.region - Rectangle { x, y, width, height } to search in (default: whole image)
+ * @param {number} options.startPixel - Pixels to skip in traversal order before reading (default: 0)
+ * @param {Map<string, Object>} options.planes - Channel values from extractSearchPlanes for the same
+ *   options, read instead of the image (default: null)
+ * @param {Function} options.readStream - async (decodeOptions) => decodeLSB result, for a framed
+ *   container longer than the planes hold; with planes and readStream, imageData may be null
+ *   (default: decodeLSB on imageData)
+ * @param {number} options.cpuLimit - Share of time spent searching, in (0, 1]; below 1 the search
+ *   sleeps between combinations in proportion to the work done (default: 1, no throttling)
+ * @param {Object} options.shard - { index, count }: search only every count-th decoded stream, starting
+ *   at index, so several workers can split one search; merge their results with mergeDetections
+ *   (default: { index: 0, count: 1 }, the whole search). Progress totals count this shard only
+ * @param {number[]} options.onlyCombinations - Combination numbers to try (e.g. a previous result's
+ *   skipped list, to continue an early-stopped search); others are left out (default: all)
+ * @param {Object} options.stopWhen - End the search at the first candidate whose dictionary score
+ *   reaches minDictionaryScore (0-1, default 0.6) in one of languages (default: any) with at least
+ *   minLength characters of dictionary words (default 20); off when null (default)
+ * @param {Map<string, Object>} options.dictionaries - Language word sets, a Set or anything with
+ *   has(word), each checked for every candidate (default: the bundled dictionaries, each opened
+ *   the first time a candidate's language guess names it, and checked for such candidates only)
+ * @param {string[]} options.languages - Bundled dictionaries that may be opened (default: all; see
+ *   DICTIONARY_LANGUAGES in dictionary.js)
+ * @param {AbortSignal} options.stopSignal - Ends the search like stopWhen, keeping the results so far
+ * @param {Object} options.weights - Scorer weight overrides for ranking (see SCORERS in candidateScoring.js)
+ * @param {number} options.textWindowBytes - Bytes of each stream searched for text that does not start
+ *   at offset 0, reported as the candidate's textWindows (default: 4096)
  * @param {Function} options.onProgress - Callback for progress updates (current, total, percentage)
- * @returns {Object} Detection result with params, result, maxPrintableLength, and all candidates
+ * @param {Function} options.onCandidateScored - Callback with each candidate as soon as it is scored
+ * @returns {Object} Detection result with params, result, maxPrintableLength, and all candidates;
+ *   earlyStop ({ language, params, dictionaryScore } when stopWhen was met, else null) and
+ *   skipped ({ combination, params } for each combination left untried)
  */
 export async function autoDetectParametersByMaxLength(imageData, options = {}) {
   const {
     bitsPerChannel = [1, 2, 3, 4],
     quickMode = false,
+    bitOrders = quickMode ? ['lsb'] : ['lsb', 'msb'],
+    channelOrders = quickMode ? 'natural' : 'reversed',
+    extendedOrders = false,
+    singleBitPlanes = false,
+    bitAlignment = false,
+    alignmentStreams = null,
+    encodings = ['utf8', 'ascii'],
+    region = null,
+    startPixel = 0,
+    planes = null,
+    readStream = null,
+    cpuLimit = 1,
+    shard = { index: 0, count: 1 },
+    onlyCombinations = null,
+    stopWhen = null,
+    dictionaries: customDictionaries = null,
+    languages = null,
+    stopSignal = null,
+    weights = {},
+    textWindowBytes = 4096,
     onProgress = null,
     onBestCandidate = null,
     onCandidate = null, // Callback for each candidate found
     onCurrentParams = null, // Callback for current parameters being tested
+    onCandidateScored = null, // Callback for the candidate of each combination, unsorted
     abortSignal = null,
   } = options;
 
-  // Load dictionaries for language detection
-  const dictionaries = await loadAllDictionaries();
-  const useDictionaries = dictionaries.size > 0;
+  if (!(cpuLimit > 0 && cpuLimit <= 1)) {
+    throw new Error('cpuLimit must be greater than 0 and at most 1');
+  }
+  if (!(Number.isInteger(shard.count) && Number.isInteger(shard.index) && shard.index >= 0 && shard.index < shard.count)) {
+    throw new Error('shard must be { index, count } with 0 <= index < count');
+  }
+  // Streams picked from one shard's grid would differ between shards
+  const pickAlignment = bitAlignment && !alignmentStreams;
+  if (pickAlignment && shard.count > 1) {
+    throw new Error('A sharded bitAlignment search needs alignmentStreams from the merged grid');
+  }
+  resolveWeights(weights);
+  if (encodings.length === 0) {
+    throw new Error('encodings must not be empty');
+  }
+  const unknownEncoding = encodings.find(encoding => !TEXT_ENCODINGS[encoding]);
+  if (unknownEncoding !== undefined) {
+    throw new Error(`Unsupported encoding: ${unknownEncoding}`);
+  }
+
+  // Word sets for language detection: the given ones, or else each bundled dictionary opened
+  // the first time a candidate's language guess names it
+  const dictionariesFor = customDictionaries
+    ? async () => customDictionaries
+    : wanted => loadDictionaries(languages ? wanted.filter(language => languages.includes(language)) : wanted);
 
   const possibleBits = quickMode ? [1, 2] : bitsPerChannel;
+  // The lowest N bits for each N, then optionally each higher bit plane on its own
+  // (plane 0 alone is already the 1-bit case)
+  const bitDepths = [
+    ...possibleBits.map(bits => ({ bitsPerChannel: bits })),
+    ...(singleBitPlanes ? [1, 2, 3, 4, 5, 6, 7].map(plane => ({ bitsPerChannel: 1, bitPlanes: [plane] })) : []),
+  ];
   
   // Channel combinations (most common first)
-  const channelCombinations = quickMode
-    ? [
-        { useR: true, useG: true, useB: true },
-        { useR: true, useG: false, useB: false },
-        { useR: true, useG: true, useB: false },
-      ]
-    : [
-        { useR: true, useG: true, useB: true },
-        { useR: true, useG: false, useB: false },
-        { useR: false, useG: true, useB: false },
-        { useR: false, useG: false, useB: true },
-        { useR: true, useG: true, useB: false },
-        { useR: true, useG: false, useB: true },
-        { useR: false, useG: true, useB: true },
-      ];
+  const channelCombinations = buildChannelCombinations(
+    quickMode ? QUICK_CHANNEL_SETS : FULL_CHANNEL_SETS,
+    channelOrders,
+  );
   
-  const orders = ['row', 'column'];
-  const encodings = ['utf8', 'ascii'];
+  const orders = extendedOrders ? Object.keys(PIXEL_ORDERS) : ['row', 'column'];
+  // Each pixel order is tried with every bit order (LSB-first and MSB-first packing)
+  const traversals = orders.flatMap(order => bitOrders.map(bitOrder => ({ order, bitOrder })));
+  // Region of interest is fixed for the whole search and carried into every candidate
+  const area = { region, startPixel };
+  
+  // Every decoded stream (depth, channels, traversal, bit offset) in search order
+  const streams = [];
+  for (const depth of bitDepths) {
+    for (const channels of channelCombinations) {
+      for (const { order, bitOrder } of traversals) {
+        streams.push({ depth, channels, order, bitOrder, bitOffset: 0 });
+      }
+    }
+  }
+  const gridSize = streams.length;
+  // Payloads that start mid-byte: the given streams, or else the best of the grid once it is
+  // done, are tried again at each bit offset after the grid
+  if (alignmentStreams) {
+    streams.push(...alignedStreams(alignmentStreams));
+  }
+  const firstStream = alignmentStreams ? gridSize : 0;
+  const plannedStreams = streams.length + (pickAlignment ? Math.min(ALIGNMENT_STREAM_COUNT, gridSize) * 7 : 0);
+  
+  // Combinations are numbered in search order: each decoded stream is tried with every
+  // encoding and belongs to exactly one shard
+  const onlySet = onlyCombinations ? new Set(onlyCombinations) : null;
+  const isSearched = combination =>
+    Math.floor(combination / encodings.length) >= firstStream &&
+    Math.floor(combination / encodings.length) % shard.count === shard.index &&
+    (!onlySet || onlySet.has(combination));
+  const streamParams = ({ depth, channels, order, bitOrder, bitOffset }) =>
+    ({ ...depth, ...channels, order, bitOrder, ...(bitOffset ? { bitOffset } : {}), ...area });
+  const combinationParams = combination => ({
+    ...streamParams(streams[Math.floor(combination / encodings.length)]),
+    encoding: encodings[combination % encodings.length],
+  });
   
   // Calculate total combinations
-  const totalCombinations = possibleBits.length * channelCombinations.length * orders.length * encodings.length;
+  let totalCombinations = 0;
+  for (let combination = 0; combination < plannedStreams * encodings.length; combination++) {
+    if (isSearched(combination)) totalCombinations++;
+  }
   let currentCombination = 0;
+  // Last combination tried, and why the search ended before the last one
+  let lastCombination = -1;
+  let earlyStop = null;
+  let interrupted = false;
   
   const candidates = [];
-  let bestMaxLength = -1;
-  let bestDictionaryScore = -1;
-  let bestParams = null;
-  let bestResult = null;
-  let bestDetectedLanguage = null;
-  let bestTextScore = -1;
-  let bestTextQuality = -1;
+  let best = null;
   
   const MAX_BYTES_TO_ANALYZE = 1000;
   
-  for (const bits of possibleBits) {
-    // Check if aborted at start of outer loop
+  // Channel values along each traversal are read from the image once and shared by every candidate
+  const extractedPlanes = planes || extractSearchPlanes(imageData, options);
+  
+  // Start of the current stretch of work, for the cpuLimit sleep
+  let busySince = performance.now();
+  
+  search: for (let streamIndex = firstStream; ; streamIndex++) {
+    if (streamIndex === gridSize && pickAlignment) {
+      streams.push(...alignedStreams(pickAlignmentStreams(rankCandidates(candidates, weights))));
+    }
+    if (streamIndex >= streams.length) {
+      break;
+    }
+    const stream = streams[streamIndex];
+    // Check if aborted at start of each stream
     if (abortSignal && abortSignal.aborted) {
       throw new DOMException('The operation was aborted.', 'AbortError');
     }
     
-    for (const channels of channelCombinations) {
-      // Check if aborted at start of channel loop
+    if (streamIndex % shard.count !== shard.index) {
+      continue;
+    }
+    const { depth, channels, order, bitOrder, bitOffset } = stream;
+    
+    // The bytes do not depend on the text encoding, so all encodings share one decode
+    // and one text window scan
+    let decoded = null;
+    let textWindows = null;
+    
+    for (const [encodingIndex, encoding] of encodings.entries()) {
+      // Check if aborted at start of encoding loop
+      if (abortSignal && abortSignal.aborted) {
+        throw new DOMException('The operation was aborted.', 'AbortError');
+      }
+      
+      const combination = streamIndex * encodings.length + encodingIndex;
+      if (onlySet && !onlySet.has(combination)) {
+        continue;
+      }
+      if (stopSignal && stopSignal.aborted) {
+        interrupted = true;
+        break search;
+      }
+      
+      lastCombination = combination;
+      currentCombination++;
+      
+      // Report current parameters being tested
+      if (onCurrentParams) {
+        onCurrentParams({
+          ...depth,
+          channels: channels.channels,
+          order: order,
+          bitOrder: bitOrder,
+          bitOffset: bitOffset,
+          encoding: encoding,
+          current: currentCombination,
+          total: totalCombinations,
+        });
+      }
+      
+      // Report progress
+      if (onProgress) {
+        const percentage = Math.round((currentCombination / totalCombinations) * 100);
+        onProgress(currentCombination, totalCombinations, percentage);
+      }
+      
+      if (onProgress || cpuLimit < 1) {
+        // Allow UI to update; with a CPU limit, stay idle for (1 - cpuLimit) of the time
+        const idleMs = (performance.now() - busySince) * (1 - cpuLimit) / cpuLimit;
+        await new Promise(resolve => setTimeout(resolve, idleMs));
+        busySince = performance.now();
+      }
+      
+      // Check again after async operation
       if (abortSignal && abortSignal.aborted) {
         throw new DOMException('The operation was aborted.', 'AbortError');
       }
       
-      for (const order of orders) {
-        // Check if aborted at start of order loop
+      try {
+        if (!decoded) {
+          const decodeOptions = streamParams(stream);
+          decoded = decodeBitPlanes(extractedPlanes.get(order), { ...decodeOptions, maxBytes: MAX_BYTES_TO_DECODE });
+          
+          // A framed container longer than the bounded read is read again from the image
+          // so its CRC can be checked
+          const header = decoded.truncated && !decoded.container
+            ? parseLSBContainerHeader(decoded.bytes)
+            : null;
+          if (header) {
+            const fullOptions = { ...decodeOptions, maxBytes: CONTAINER_HEADER_BYTES + header.length };
+            decoded = readStream ? await readStream(fullOptions) : decodeLSB(imageData, fullOptions);
+          }
+        }
+        
+        // Check after decoding (a full container read might be slow)
         if (abortSignal && abortSignal.aborted) {
           throw new DOMException('The operation was aborted.', 'AbortError');
         }
         
-        for (const encoding of encodings) {
-          // Check if aborted at start of encoding loop
-          if (abortSignal && abortSignal.aborted) {
-            throw new DOMException('The operation was aborted.', 'AbortError');
+        // A verified framed container marks the exact message boundary,
+        // so analyze its payload instead of the raw stream
+        const container = decoded.container && decoded.container.verified
+          ? decoded.container
+          : null;
+        const streamBytes = container ? container.payload : decoded.bytes;
+        
+        // Only analyze first 1000 bytes for performance
+        const bytesToAnalyze = streamBytes.slice(0, MAX_BYTES_TO_ANALYZE);
+        
+        // Calculate max printable length from raw bytes (first 1000 only); legacy charsets
+        // measure it on their own decoding
+        const { charset } = TEXT_ENCODINGS[encoding];
+        const charsetPrefix = charset ? charsetPrintablePrefix(bytesToAnalyze, charset) : null;
+        const maxPrintableLength = charsetPrefix
+          ? charsetPrefix.length
+          : calculateMaxPrintableLength(bytesToAnalyze);
+        
+        // Use text detection heuristics to improve candidate selection
+        // Don't filter completely - use metrics for sorting instead
+        const textScoreResult = await textScore(bytesToAnalyze, {
+          useCompression: true,
+          compressionFormat: 'gzip',
+        });
+        
+        if (!textWindows) {
+          textWindows = await findTextWindows(streamBytes.subarray(0, textWindowBytes));
+        }
+        
+        // Check after text detection
+        if (abortSignal && abortSignal.aborted) {
+          throw new DOMException('The operation was aborted.', 'AbortError');
+        }
+        
+        // Use first 1000 bytes for dictionary check (more accurate)
+        const DICTIONARY_CHECK_BYTES = 1000;
+        const dictionaryCheckBytes = streamBytes.slice(0, DICTIONARY_CHECK_BYTES);
+        const dictionaryCheckHasTail = !container && decoded.hasTail && streamBytes.length <= DICTIONARY_CHECK_BYTES;
+        const dictionaryCheckText = formatBytesAsText(dictionaryCheckBytes, encoding, dictionaryCheckHasTail, decoded.tailBits || 0);
+        
+        // Trigram model: also covers languages without a word list. It reads only the printable
+        // prefix, or else the best text window, so bytes after a short message do not drown it.
+        // Text windows are found in UTF-8, so legacy charsets use their prefix only
+        const languageWindow = maxPrintableLength > 0 || charsetPrefix
+          ? { offset: 0, length: maxPrintableLength }
+          : textWindows.best;
+        const languageBytes = languageWindow
+          ? streamBytes.subarray(languageWindow.offset, languageWindow.offset + languageWindow.length)
+          : new Uint8Array(0);
+        const languageText = formatBytesAsText(languageBytes, encoding);
+        const languageGuess = identifyLanguage(languageText);
+        
+        // Check against dictionaries using first 1000 bytes, in the languages the model finds
+        // there or in the text above; noise (confidence 0) opens none
+        const dictionaryLanguages = [identifyLanguage(dictionaryCheckText), languageGuess]
+          .filter(guess => guess.confidence > 0)
+          .map(guess => guess.language);
+        const { maxScore: dictionaryScore, detectedLanguage, scores: languageScores } = checkTextAgainstDictionaries(
+          dictionaryCheckText,
+          await dictionariesFor(dictionaryLanguages),
+        );
+        // Russian, Ukrainian or Greek typed in Latin letters
+        const transliteration = await detectTransliteration(
+          languageText, dictionariesFor, Math.max(dictionaryScore, languageGuess.confidence),
+        );
+        
+        // Store only first 100 bytes for preview to save memory
+        const PREVIEW_BYTES = 100;
+        const previewBytes = streamBytes.slice(0, PREVIEW_BYTES);
+        
+        // Format preview text for sorting (only first 100 bytes)
+        const previewText = formatBytesAsText(previewBytes, encoding);
+        
+        const previewResult = {
+          ...decoded,
+          bytes: previewBytes,
+          byteCount: Math.min(streamBytes.length, PREVIEW_BYTES),
+          text: previewText, // Preview text for sorting
+          container: null, // Payload is not kept in previews
+        };
+        
+        // Check if message ends with zero bytes (clean message boundary)
+        // This is a good indicator of correct decoding
+        let hasZeroByteTail = false;
+        
+        // Check the full decoded bytes (not just first 1000) to find zero-byte tail
+        // Find where the actual message text ends
+        let messageEndIndex = maxPrintableLength;
+        
+        // If maxPrintableLength stopped at a non-printable byte, check if it's a zero
+        if (maxPrintableLength < bytesToAnalyze.length) {
+          const byteAtEnd = bytesToAnalyze[maxPrintableLength];
+          if (byteAtEnd === 0x00) {
+            messageEndIndex = maxPrintableLength;
           }
-          
-          currentCombination++;
-          
-          // Report current parameters being tested
-          if (onCurrentParams) {
-            const channelsStr = `${channels.useR ? 'R' : ''}${channels.useG ? 'G' : ''}${channels.useB ? 'B' : ''}`;
-            onCurrentParams({
-              bitsPerChannel: bits,
-              channels: channelsStr,
-              order: order,
-              encoding: encoding,
-              current: currentCombination,
-              total: totalCombinations,
-            });
+        }
+        
+        // Check in the decoded bytes (bounded by MAX_BYTES_TO_DECODE)
+        const CHECK_LIMIT = Math.min(decoded.bytes.length, MAX_BYTES_TO_DECODE);
+        const bytesToCheck = decoded.bytes.slice(0, CHECK_LIMIT);
+        
+        if (messageEndIndex < bytesToCheck.length) {
+          const bytesAfterMessage = bytesToCheck.slice(messageEndIndex);
+          if (bytesAfterMessage.length > 0) {
+            // Count zero bytes
+            const zeroBytes = bytesAfterMessage.filter(b => b === 0x00).length;
+            const totalBytes = bytesAfterMessage.length;
+            
+            // If we have a significant number of zero bytes after the message, it's a zero-byte tail
+            // Require at least 5 zero bytes or 70% zeros (whichever is less strict)
+            const minZeros = Math.min(5, Math.ceil(totalBytes * 0.7));
+            if (zeroBytes >= minZeros && zeroBytes >= totalBytes * 0.5) {
+              hasZeroByteTail = true;
+            }
           }
-          
-          // Report progress
-          if (onProgress) {
-            const percentage = Math.round((currentCombination / totalCombinations) * 100);
-            onProgress(currentCombination, totalCombinations, percentage);
-            // Allow UI to update
-            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+        
+        // Also check if tail bits are all zeros (this is a strong indicator)
+        if (!hasZeroByteTail && decoded.hasTail && decoded.tailBits === 0) {
+          // If tail bits are zero, check if we're at a clean boundary
+          // Check if there are zero bytes near the end
+          if (decoded.bytes.length > 0) {
+            // Check last few bytes - if they're zeros, it's a good sign
+            const lastBytes = decoded.bytes.slice(Math.max(0, decoded.bytes.length - 10));
+            const zeroCount = lastBytes.filter(b => b === 0x00).length;
+            if (zeroCount >= 3 || (decoded.bytes.length > maxPrintableLength && zeroCount >= 1)) {
+              hasZeroByteTail = true;
+            }
+          } else {
+            hasZeroByteTail = true;
           }
-          
-          // Check again after async operation
-          if (abortSignal && abortSignal.aborted) {
-            throw new DOMException('The operation was aborted.', 'AbortError');
+        }
+        
+        // Additional check: if message ends exactly at maxPrintableLength and next bytes are zeros
+        if (!hasZeroByteTail && messageEndIndex === maxPrintableLength && decoded.bytes.length > maxPrintableLength) {
+          const nextBytes = decoded.bytes.slice(maxPrintableLength, Math.min(maxPrintableLength + 20, decoded.bytes.length));
+          if (nextBytes.length > 0 && nextBytes.every(b => b === 0x00)) {
+            hasZeroByteTail = true;
           }
-          
-          try {
-            const decoded = decodeLSB(imageData, {
-              bitsPerChannel: bits,
-              ...channels,
-              order,
-            });
-            
-            // Check after decodeLSB (which might be slow)
-            if (abortSignal && abortSignal.aborted) {
-              throw new DOMException('The operation was aborted.', 'AbortError');
-            }
-            
-            // Only analyze first 1000 bytes for performance
-            const bytesToAnalyze = decoded.bytes.slice(0, MAX_BYTES_TO_ANALYZE);
-            
-            // Calculate max printable length from raw bytes (first 1000 only)
-            const maxPrintableLength = calculateMaxPrintableLength(bytesToAnalyze);
-            
-            // Use text detection heuristics to improve candidate selection
-            // Don't filter completely - use metrics for sorting instead
-            const textScoreResult = await textScore(bytesToAnalyze, {
-              useCompression: true,
-              compressionFormat: 'gzip',
+        }
+        
+        const candidate = {
+          params: { ...streamParams(stream), encoding },
+          combination, // Position in the unsharded search
+          result: previewResult, // Only first 100 bytes
+          maxPrintableLength,
+          dictionaryScore,
+          detectedLanguage,
+          languageScores, // Per-language dictionary matches, for the score breakdown
+          languageGuess, // { language, confidence, runnerUp } from character trigrams
+          transliteration, // Matching transliteration scheme and back-transliterated text, or null
+          textScoreResult,
+          hasZeroByteTail, // Store whether message ends with zero bytes
+          textWindows, // Longest and most text-like runs anywhere in the stream
+          hasTail: decoded.hasTail,
+          tailBits: decoded.tailBits,
+          // Verified framed container: exact length instead of a heuristic guess
+          container: container
+            ? { version: container.version, flags: container.flags, isText: container.isText, length: container.length }
+            : null,
+        };
+        // Ranking components (see candidateScoring.js), computed once
+        candidate.components = scoreCandidate(candidate);
+        
+        candidates.push(candidate);
+        
+        if (onCandidateScored) {
+          onCandidateScored(candidate);
+        }
+        
+        // Notify about new candidate (for real-time display)
+        if (onCandidate) {
+          // Sort candidates before passing to callback (same order as the final result)
+          const sortedCandidates = rankCandidates(candidates, weights);
+          onCandidate(sortedCandidates);
+        }
+        
+        // A confident match in a wanted language ends the search after this candidate
+        const stopLanguage = stopWhen ? findStopLanguage(languageScores, stopWhen) : null;
+        if (stopLanguage) {
+          earlyStop = {
+            language: stopLanguage,
+            params: candidate.params,
+            dictionaryScore: languageScores[stopLanguage].score,
+          };
+        }
+        
+        if (!best || compareCandidates(candidate, best, weights) < 0) {
+          best = candidate;
+          if (onBestCandidate) {
+            onBestCandidate({
+              params: best.params,
+              result: best.result,
+              maxPrintableLength: best.maxPrintableLength,
+              dictionaryScore: best.dictionaryScore,
+              detectedLanguage: best.detectedLanguage,
             });
-            
-            // Check after text detection
-            if (abortSignal && abortSignal.aborted) {
-              throw new DOMException('The operation was aborted.', 'AbortError');
-            }
-            
-            // Check after calculation
-            if (abortSignal && abortSignal.aborted) {
-              throw new DOMException('The operation was aborted.', 'AbortError');
-            }
-            
-            // Check after formatting
-            if (abortSignal && abortSignal.aborted) {
-              throw new DOMException('The operation was aborted.', 'AbortError');
-            }
-            
-            // Use first 1000 bytes for dictionary check (more accurate)
-            const DICTIONARY_CHECK_BYTES = 1000;
-            const dictionaryCheckBytes = decoded.bytes.slice(0, DICTIONARY_CHECK_BYTES);
-            const dictionaryCheckText = encoding === 'ascii'
-              ? formatBytesAsAscii(dictionaryCheckBytes, decoded.hasTail && decoded.bytes.length <= DICTIONARY_CHECK_BYTES, decoded.tailBits || 0)
-              : formatBytesAsUtf8(dictionaryCheckBytes, decoded.hasTail && decoded.bytes.length <= DICTIONARY_CHECK_BYTES, decoded.tailBits || 0);
-            
-            // Check against dictionaries using first 1000 bytes
-            let dictionaryScore = 0;
-            let detectedLanguage = null;
-            if (useDictionaries) {
-              const dictResult = checkTextAgainstDictionaries(dictionaryCheckText, dictionaries);
-              dictionaryScore = dictResult.maxScore;
-              detectedLanguage = dictResult.detectedLanguage;
-            }
-            
-            // Store only first 100 bytes for preview to save memory
-            const PREVIEW_BYTES = 100;
-            const previewBytes = decoded.bytes.slice(0, PREVIEW_BYTES);
-            
-            // Format preview text for sorting (only first 100 bytes)
-            const previewText = encoding === 'ascii'
-              ? formatBytesAsAscii(previewBytes, false, 0)
-              : formatBytesAsUtf8(previewBytes, false, 0);
-            
-            const previewResult = {
-              ...decoded,
-              bytes: previewBytes,
-              byteCount: Math.min(decoded.byteCount, PREVIEW_BYTES),
-              text: previewText, // Preview text for sorting
-            };
-            
-            // Check if message ends with zero bytes (clean message boundary)
-            // This is a good indicator of correct decoding
-            let hasZeroByteTail = false;
-            
-            // Check the full decoded bytes (not just first 1000) to find zero-byte tail
-            // Find where the actual message text ends
-            let messageEndIndex = maxPrintableLength;
-            
-            // If maxPrintableLength stopped at a non-printable byte, check if it's a zero
-            if (maxPrintableLength < bytesToAnalyze.length) {
-              const byteAtEnd = bytesToAnalyze[maxPrintableLength];
-              if (byteAtEnd === 0x00) {
-                messageEndIndex = maxPrintableLength;
-              }
-            }
-            
-            // Check in the full decoded bytes array (up to reasonable limit to avoid performance issues)
-            const CHECK_LIMIT = Math.min(decoded.bytes.length, 5000); // Check up to 5000 bytes
-            const bytesToCheck = decoded.bytes.slice(0, CHECK_LIMIT);
-            
-            if (messageEndIndex < bytesToCheck.length) {
-              const bytesAfterMessage = bytesToCheck.slice(messageEndIndex);
-              if (bytesAfterMessage.length > 0) {
-                // Count zero bytes
-                const zeroBytes = bytesAfterMessage.filter(b => b === 0x00).length;
-                const totalBytes = bytesAfterMessage.length;
-                
-                // If we have a significant number of zero bytes after the message, it's a zero-byte tail
-                // Require at least 5 zero bytes or 70% zeros (whichever is less strict)
-                const minZeros = Math.min(5, Math.ceil(totalBytes * 0.7));
-                if (zeroBytes >= minZeros && zeroBytes >= totalBytes * 0.5) {
-                  hasZeroByteTail = true;
-                }
-              }
-            }
-            
-            // Also check if tail bits are all zeros (this is a strong indicator)
-            if (!hasZeroByteTail && decoded.hasTail && decoded.tailBits === 0) {
-              // If tail bits are zero, check if we're at a clean boundary
-              // Check if there are zero bytes near the end
-              if (decoded.bytes.length > 0) {
-                // Check last few bytes - if they're zeros, it's a good sign
-                const lastBytes = decoded.bytes.slice(Math.max(0, decoded.bytes.length - 10));
-                const zeroCount = lastBytes.filter(b => b === 0x00).length;
-                if (zeroCount >= 3 || (decoded.bytes.length > maxPrintableLength && zeroCount >= 1)) {
-                  hasZeroByteTail = true;
-                }
-              } else {
-                hasZeroByteTail = true;
-              }
-            }
-            
-            // Additional check: if message ends exactly at maxPrintableLength and next bytes are zeros
-            if (!hasZeroByteTail && messageEndIndex === maxPrintableLength && decoded.bytes.length > maxPrintableLength) {
-              const nextBytes = decoded.bytes.slice(maxPrintableLength, Math.min(maxPrintableLength + 20, decoded.bytes.length));
-              if (nextBytes.length > 0 && nextBytes.every(b => b === 0x00)) {
-                hasZeroByteTail = true;
-              }
-            }
-            
-            const candidate = {
-              params: { bitsPerChannel: bits, ...channels, order, encoding },
-              result: previewResult, // Only first 100 bytes
-              maxPrintableLength,
-              dictionaryScore,
-              detectedLanguage,
-              textScoreResult,
-              hasZeroByteTail, // Store whether message ends with zero bytes
-              hasTail: decoded.hasTail,
-              tailBits: decoded.tailBits,
-            };
-            
-            candidates.push(candidate);
-            
-            // Notify about new candidate (for real-time display)
-            if (onCandidate) {
-              // Sort candidates before passing to callback (use same logic as final sort)
-              const sortedCandidates = [...candidates].sort((a, b) => {
-                // Helper function to check if text looks like garbage
-                const isGarbageText = (text) => {
-                  if (!text || text.length < 10) return false;
-                  const sample = text.substring(0, Math.min(200, text.length));
-                  const dotCount = (sample.match(/\./g) || []).length;
-                  const specialCharCount = (sample.match(/[!@#$%^&*()_+\-=\[\]{};':"\\|,.<>\/?`~]/g) || []).length;
-                  const letterCount = (sample.match(/[a-zA-Zа-яА-Я]/g) || []).length;
-                  const totalChars = sample.length;
-                  const specialRatio = (dotCount + specialCharCount) / totalChars;
-                  const letterRatio = letterCount / totalChars;
-                  return specialRatio > 0.3 || letterRatio < 0.3;
-                };
-                
-                const aIsGarbage = isGarbageText(a.result.text);
-                const bIsGarbage = isGarbageText(b.result.text);
-                if (aIsGarbage && !bIsGarbage) return 1;
-                if (!aIsGarbage && bIsGarbage) return -1;
-                
-                const aQuality = calculateTextQualityScore(a.result.text, a.textScoreResult);
-                const bQuality = calculateTextQualityScore(b.result.text, b.textScoreResult);
-                
-                if (useDictionaries && a.dictionaryScore > 0 && b.dictionaryScore > 0) {
-                  if (Math.abs(aQuality - bQuality) > 20) {
-                    return bQuality - aQuality;
-                  }
-                  if (aQuality > 20 && bQuality > 20) {
-                    if (Math.abs(a.dictionaryScore - b.dictionaryScore) > 0.01) {
-                      return b.dictionaryScore - a.dictionaryScore;
-                    }
-                  } else {
-                    return bQuality - aQuality;
-                  }
-                }
-                
-                if (useDictionaries) {
-                  if (a.dictionaryScore > 0 && b.dictionaryScore === 0 && aQuality > 20) return -1;
-                  if (b.dictionaryScore > 0 && a.dictionaryScore === 0 && bQuality > 20) return 1;
-                }
-                
-                const aTextScore = (a.textScoreResult?.score ?? 0) + (a.hasZeroByteTail ? 0.15 : 0);
-                const bTextScore = (b.textScoreResult?.score ?? 0) + (b.hasZeroByteTail ? 0.15 : 0);
-                const aIsText = aTextScore > 0.5;
-                const bIsText = bTextScore > 0.5;
-                if (aIsText && !bIsText) return -1;
-                if (!aIsText && bIsText) return 1;
-                
-                const aTextScoreAdjusted = aIsGarbage ? aTextScore * 0.7 : aTextScore;
-                const bTextScoreAdjusted = bIsGarbage ? bTextScore * 0.7 : bTextScore;
-                if (Math.abs(aTextScoreAdjusted - bTextScoreAdjusted) > 0.03) {
-                  return bTextScoreAdjusted - aTextScoreAdjusted;
-                }
-                
-                const aQualityFinal = aQuality + (a.hasZeroByteTail ? 5 : 0);
-                const bQualityFinal = bQuality + (b.hasZeroByteTail ? 5 : 0);
-                if (Math.abs(aQualityFinal - bQualityFinal) > 1) {
-                  return bQualityFinal - aQualityFinal;
-                }
-                
-                if (a.hasZeroByteTail && !b.hasZeroByteTail) return -1;
-                if (!a.hasZeroByteTail && b.hasZeroByteTail) return 1;
-                return b.maxPrintableLength - a.maxPrintableLength;
-              });
-              onCandidate(sortedCandidates);
-            }
-            
-            // Update best candidate: prioritize dictionary matches, then text detection quality, then max length
-            let isBetter = false;
-            const currentTextScore = textScoreResult.score || 0;
-            const currentIsText = currentTextScore > 0.5; // Threshold: score > 0.5 = likely text
-            
-            // Calculate text quality score using multiple metrics
-            // Use dictionaryCheckText which properly handles tail information
-            const currentTextQuality = calculateTextQualityScore(dictionaryCheckText, textScoreResult);
-            
-            if (useDictionaries && dictionaryScore > 0) {
-              // If we have dictionary matches, prefer candidates with higher dictionary scores
-              if (dictionaryScore > bestDictionaryScore || 
-                  (dictionaryScore === bestDictionaryScore && currentTextQuality > bestTextQuality)) {
-                isBetter = true;
-              }
-            } else {
-              // Fallback: prefer candidates that pass text detection, then by text quality
-              const bestIsText = bestTextScore > 0.5;
-              if (currentIsText && !bestIsText) {
-                isBetter = true;
-              } else if (currentIsText === bestIsText) {
-                // Both are text or both are not - prefer better text quality, then max length
-                if (currentTextQuality > bestTextQuality || 
-                    (Math.abs(currentTextQuality - bestTextQuality) < 0.1 && maxPrintableLength > bestMaxLength)) {
-                  isBetter = true;
-                }
-              }
-            }
-            
-            if (isBetter) {
-              bestMaxLength = maxPrintableLength;
-              bestDictionaryScore = dictionaryScore;
-              bestParams = { bitsPerChannel: bits, ...channels, order, encoding };
-              bestResult = result;
-              bestDetectedLanguage = detectedLanguage;
-              bestTextScore = currentTextScore;
-              bestTextQuality = currentTextQuality;
-              
-              // Notify about new best candidate
-              if (onBestCandidate) {
-                onBestCandidate({
-                  params: bestParams,
-                  result: bestResult,
-                  maxPrintableLength: bestMaxLength,
-                  dictionaryScore: bestDictionaryScore,
-                  detectedLanguage: bestDetectedLanguage,
-                });
-              }
-            }
-          } catch (e) {
-            // Re-throw abort errors
-            if (e.name === 'AbortError') {
-              throw e;
-            }
-            // Skip other errors silently
           }
         }
+      } catch (e) {
+        // Re-throw abort errors
+        if (e.name === 'AbortError') {
+          throw e;
+        }
+        // Skip other errors silently
       }
-    }
-  }
-  
-  // Sort candidates: prioritize dictionary scores, then text detection, then text quality, then max printable length
-  candidates.sort((a, b) => {
-    // Helper function to check if text looks like garbage (too many special chars, dots, etc.)
-    const isGarbageText = (text) => {
-      if (!text || text.length < 10) return false;
-      const sample = text.substring(0, Math.min(200, text.length));
-      const dotCount = (sample.match(/\./g) || []).length;
-      const specialCharCount = (sample.match(/[!@#$%^&*()_+\-=\[\]{};':"\\|,.<>\/?`~]/g) || []).length;
-      const letterCount = (sample.match(/[a-zA-Zа-яА-Я]/g) || []).length;
-      const totalChars = sample.length;
-      
-      // If more than 30% are dots or special chars, it's likely garbage
-      const specialRatio = (dotCount + specialCharCount) / totalChars;
-      // If less than 30% are letters, it's likely garbage
-      const letterRatio = letterCount / totalChars;
       
-      return specialRatio > 0.3 || letterRatio < 0.3;
-    };
-    
-    const aIsGarbage = isGarbageText(a.result.text);
-    const bIsGarbage = isGarbageText(b.result.text);
-    
-    // If one is garbage and the other is not, prefer the non-garbage one
-    if (aIsGarbage && !bIsGarbage) return 1;
-    if (!aIsGarbage && bIsGarbage) return -1;
-    
-    // Calculate text quality scores
-    const aQuality = calculateTextQualityScore(a.result.text, a.textScoreResult);
-    const bQuality = calculateTextQualityScore(b.result.text, b.textScoreResult);
-    
-    // If both have dictionary scores, but one has very low quality, prefer the higher quality one
-    if (useDictionaries && a.dictionaryScore > 0 && b.dictionaryScore > 0) {
-      // If quality difference is significant (more than 20 points), prefer higher quality
-      if (Math.abs(aQuality - bQuality) > 20) {
-        return bQuality - aQuality;
-      }
-      // Otherwise, use dictionary score but only if both have reasonable quality
-      if (aQuality > 20 && bQuality > 20) {
-        if (Math.abs(a.dictionaryScore - b.dictionaryScore) > 0.01) {
-          return b.dictionaryScore - a.dictionaryScore;
-        }
-      } else {
-        // If one has very low quality, prefer the one with higher quality
-        return bQuality - aQuality;
+      if (earlyStop) {
+        break search;
       }
     }
-    
-    // If only one has dictionary score, prefer it only if it has reasonable quality
-    if (useDictionaries) {
-      if (a.dictionaryScore > 0 && b.dictionaryScore === 0 && aQuality > 20) {
-        return -1;
-      }
-      if (b.dictionaryScore > 0 && a.dictionaryScore === 0 && bQuality > 20) {
-        return 1;
+  }
+  
+  // Combinations of this search that were never reached
+  const skipped = [];
+  if (earlyStop || interrupted) {
+    for (let combination = lastCombination + 1; combination < streams.length * encodings.length; combination++) {
+      if (isSearched(combination)) {
+        skipped.push({ combination, params: combinationParams(combination) });
       }
     }
-    
-    // Then prioritize candidates that pass text detection (textScore > 0.5)
-    // Add bonus to textScore for candidates with zero-byte tails (clean boundaries are better)
-    const aTextScore = (a.textScoreResult?.score ?? 0) + (a.hasZeroByteTail ? 0.15 : 0);
-    const bTextScore = (b.textScoreResult?.score ?? 0) + (b.hasZeroByteTail ? 0.15 : 0);
-    const aIsText = aTextScore > 0.5;
-    const bIsText = bTextScore > 0.5;
-    if (aIsText && !bIsText) return -1;
-    if (!aIsText && bIsText) return 1;
-    
-    // If both are text or both are not, sort by textScore (with zero-byte tail bonus)
-    // But penalize garbage text even if it has decent textScore
-    const aTextScoreAdjusted = aIsGarbage ? aTextScore * 0.7 : aTextScore;
-    const bTextScoreAdjusted = bIsGarbage ? bTextScore * 0.7 : bTextScore;
-    if (Math.abs(aTextScoreAdjusted - bTextScoreAdjusted) > 0.03) {
-      return bTextScoreAdjusted - aTextScoreAdjusted;
-    }
-    
-    // Then by text quality score (also add bonus for zero-byte tails)
-    // Quality already calculated above, but add zero-byte tail bonus
-    const aQualityFinal = aQuality + (a.hasZeroByteTail ? 5 : 0);
-    const bQualityFinal = bQuality + (b.hasZeroByteTail ? 5 : 0);
-    if (Math.abs(aQualityFinal - bQualityFinal) > 1) {
-      return bQualityFinal - aQualityFinal;
-    }
-    
-    // Prefer candidates with zero byte tails (clean message boundaries)
-    // This indicates the message ended cleanly, which is a good sign
-    // This is a strong signal, so use it as a tie-breaker even when scores are very close
-    if (a.hasZeroByteTail && !b.hasZeroByteTail) return -1;
-    if (!a.hasZeroByteTail && b.hasZeroByteTail) return 1;
-    
-    // Finally by max printable length
-    return b.maxPrintableLength - a.maxPrintableLength;
-  });
+  }
   
   return {
-    params: bestParams,
-    result: bestResult,
-    maxPrintableLength: bestMaxLength,
-    dictionaryScore: bestDictionaryScore,
-    detectedLanguage: bestDetectedLanguage,
-    candidates: candidates, // Return all candidates
+    ...bestOf(best),
+    candidates: rankCandidates(candidates, weights), // All candidates, best first
+    earlyStop,
+    skipped,
+  };
+}
+
+/**
+ * Top-level fields of a detection result for its best candidate.
+ */
+function bestOf(candidate) {
+  return {
+    params: candidate ? candidate.params : null,
+    result: candidate ? candidate.result : null,
+    maxPrintableLength: candidate ? candidate.maxPrintableLength : -1,
+    dictionaryScore: candidate ? candidate.dictionaryScore : -1,
+    detectedLanguage: candidate ? candidate.detectedLanguage : null,
+  };
+}
+
+/**
+ * Combines the results of autoDetectParametersByMaxLength shards into one detection, with the
+ * candidates in the order a single unsharded search would return. The best params and result
+ * are those of the top candidate; skipped lists are joined and the first earlyStop is kept.
+ *
+ * @param {Object[]} detections - Results of each shard
+ * @param {Object} [weights] - Scorer weight overrides, as passed to the shards
+ * @returns {Object} Detection result with params, result, maxPrintableLength, and all candidates
+ */
+export function mergeDetections(detections, weights = {}) {
+  const candidates = rankCandidates(detections.flatMap(detection => detection.candidates), weights);
+  
+  return {
+    ...bestOf(candidates[0]),
+    candidates,
+    earlyStop: detections.map(detection => detection.earlyStop).find(Boolean) || null,
+    skipped: detections
+      .flatMap(detection => detection.skipped || [])
+      .sort((a, b) => a.combination - b.combination),
   };
 }
 
 /**
  * Automatically detects decoding parameters using brute force approach.
- * Tries all possible parameter combinations and scores results to find the best match.
+ * Tries all possible parameter combinations on the whole image and ranks them with the same
+ * scorers as autoDetectParametersByMaxLength (see SCORERS in candidateScoring.js). This
+ * synchronous variant reads only the signals it can compute without awaiting: character classes,
+ * printable prefix, language model, zero-byte tail and, when given, dictionaries.
  * 
  * @param {ImageData} imageData - The image data to analyze
  * @param {Object} options - Detection options
  * @param {number[]} options.bitsPerChannel - Array of bits per channel to try (default: [1,2,3,4])
  * @param {boolean} options.quickMode - If true, only tries most common combinations (default: false)
- * @returns {Object} Detection result with params, result, score, and all candidates
+ * @param {string[]} options.bitOrders - Bit orders to try (default: ['lsb']; pass ['lsb', 'msb'] to include MSB-first packing)
+ * @param {string} options.channelOrders - Channel visit orders to try: 'natural' (default), 'reversed' or 'all'
+ * @param {boolean} options.extendedOrders - Also try every pixel order in PIXEL_ORDERS (reversed,
+ *   bottom-up, zigzag, spiral, Hilbert), not just row and column (default: false)
+ * @param {Object} options.region - Rectangle { x, y, width, height } to search in (default: whole image)
+ * @param {number} options.startPixel - Pixels to skip in traversal order before reading (default: 0)
+ * @param {Map<string, Object>} options.dictionaries - Language word sets for the dictionary scorer
+ *   (default: none, the bundled ones load asynchronously)
+ * @param {Object} options.weights - Scorer weight overrides for ranking (see SCORERS in candidateScoring.js)
+ * @returns {Object} Detection result with params, result, score (the top candidate's
+ *   scoreDecodedText value) and all candidates, ranked best first
  */
 export function autoDetectParameters(imageData, options = {}) {
   const {
     bitsPerChannel = [1, 2, 3, 4],
     quickMode = false,
+    bitOrders = ['lsb'],
+    channelOrders = 'natural',
+    extendedOrders = false,
+    region = null,
+    startPixel = 0,
+    dictionaries = new Map(),
+    weights = {},
   } = options;
+  resolveWeights(weights);
 
   const possibleBits = quickMode ? [1, 2] : bitsPerChannel;
   
   // Channel combinations (most common first)
-  const channelCombinations = quickMode
-    ? [
-        { useR: true, useG: true, useB: true },
-        { useR: true, useG: false, useB: false },
-        { useR: true, useG: true, useB: false },
-      ]
-    : [
-        { useR: true, useG: true, useB: true },
-        { useR: true, useG: false, useB: false },
-        { useR: false, useG: true, useB: false },
-        { useR: false, useG: false, useB: true },
-        { useR: true, useG: true, useB: false },
-        { useR: true, useG: false, useB: true },
-        { useR: false, useG: true, useB: true },
-      ];
+  const channelCombinations = buildChannelCombinations(
+    quickMode ? QUICK_CHANNEL_SETS : FULL_CHANNEL_SETS,
+    channelOrders,
+  );
   
-  const orders = ['row', 'column'];
+  const orders = extendedOrders ? Object.keys(PIXEL_ORDERS) : ['row', 'column'];
+  // Each pixel order is tried with every bit order (LSB-first and MSB-first packing)
+  const traversals = orders.flatMap(order => bitOrders.map(bitOrder => ({ order, bitOrder })));
   const encodings = ['utf8', 'ascii'];
+  const area = { region, startPixel };
   
   const candidates = [];
-  let bestScore = -1;
-  let bestParams = null;
-  let bestResult = null;
   
   for (const bits of possibleBits) {
     for (const channels of channelCombinations) {
-      for (const order of orders) {
+      for (const { order, bitOrder } of traversals) {
         for (const encoding of encodings) {
           try {
             const decoded = decodeLSB(imageData, {
               bitsPerChannel: bits,
               ...channels,
               order,
+              bitOrder,
+              ...area,
             });
+            const params = { bitsPerChannel: bits, ...channels, order, bitOrder, ...area, encoding };
             
             // Format bytes to text for scoring
-            const formattedText = encoding === 'ascii'
-              ? formatBytesAsAscii(decoded.bytes, decoded.hasTail, decoded.tailBits || 0)
-              : formatBytesAsUtf8(decoded.bytes, decoded.hasTail, decoded.tailBits || 0);
+            const formattedText = formatBytesAsText(decoded.bytes, encoding, decoded.hasTail, decoded.tailBits || 0);
+            const maxPrintableLength = calculateMaxPrintableLength(decoded.bytes);
+            const dictResult = checkTextAgainstDictionaries(formattedText, dictionaries);
             
-            const score = scoreDecodedText(formattedText, decoded.byteCount, {
-              bitsPerChannel: bits,
-              ...channels,
-              order,
-              encoding,
-            });
-            
-            const result = {
-              ...decoded,
-              text: formattedText,
+            const candidate = {
+              params,
+              combination: candidates.length, // Search order, for ties
+              result: { ...decoded, text: formattedText },
+              score: scoreDecodedText(formattedText, decoded.byteCount, params),
+              maxPrintableLength,
+              dictionaryScore: dictResult.maxScore,
+              detectedLanguage: dictResult.detectedLanguage,
+              languageScores: dictResult.scores,
+              languageGuess: identifyLanguage(formatBytesAsText(decoded.bytes.subarray(0, maxPrintableLength), encoding)),
+              hasZeroByteTail: hasZeroTailAfter(decoded.bytes, maxPrintableLength),
             };
-            
-            candidates.push({
-              params: { bitsPerChannel: bits, ...channels, order, encoding },
-              result,
-              score,
-            });
-            
-            // Update best candidate if score is better, or if score is similar but text is shorter
-            // (shorter valid text is more likely to be correct)
-            if (score > bestScore || 
-                (score > bestScore * 0.95 && result.text.length < (bestResult?.text.length || Infinity))) {
-              bestScore = score;
-              bestParams = { bitsPerChannel: bits, ...channels, order, encoding };
-              bestResult = result;
-            }
+            // Ranking components (see candidateScoring.js), computed once
+            candidate.components = scoreCandidate(candidate);
+            candidates.push(candidate);
           } catch (e) {
             // Skip errors silently
           }
@@ -797,255 +1037,23 @@ export function autoDetectParameters(imageData, options = {}) {
     }
   }
   
-  // Sort candidates by score
-  candidates.sort((a, b) => {
-    if (Math.abs(b.score - a.score) > 2) {
-      // If scores differ significantly (more than 2 points), sort by score
-      return b.score - a.score;
-    }
-    
-    // For similar scores, use multiple tie-breakers
-    
-    // 1. Prefer shorter valid text (correct decoding is usually more concise)
-    const aCleanLength = a.result.text.replace(/[._]+$/, '').length;
-    const bCleanLength = b.result.text.replace(/[._]+$/, '').length;
-    if (Math.abs(aCleanLength - bCleanLength) > 20) {
-      return aCleanLength - bCleanLength;
-    }
-    
-    // 2. Prefer text with better beginning quality
-    const aFirst50 = a.result.text.substring(0, Math.min(50, a.result.text.length));
-    const bFirst50 = b.result.text.substring(0, Math.min(50, b.result.text.length));
-    let aFirst50Quality = 0;
-    let bFirst50Quality = 0;
-    for (let i = 0; i < aFirst50.length; i++) {
-      const code = aFirst50.charCodeAt(i);
-      if (code >= 32 && code <= 126 && code !== 0xFFFD) aFirst50Quality++;
-    }
-    for (let i = 0; i < bFirst50.length; i++) {
-      const code = bFirst50.charCodeAt(i);
-      if (code >= 32 && code <= 126 && code !== 0xFFFD) bFirst50Quality++;
-    }
-    const aFirst50Ratio = aFirst50Quality / Math.max(aFirst50.length, 1);
-    const bFirst50Ratio = bFirst50Quality / Math.max(bFirst50.length, 1);
-    if (Math.abs(aFirst50Ratio - bFirst50Ratio) > 0.1) {
-      return bFirst50Ratio - aFirst50Ratio;
-    }
-    
-    // 3. Prefer fewer channels (simpler is better, all else equal)
-    const aChannels = (a.params.useR ? 1 : 0) + (a.params.useG ? 1 : 0) + (a.params.useB ? 1 : 0);
-    const bChannels = (b.params.useR ? 1 : 0) + (b.params.useG ? 1 : 0) + (b.params.useB ? 1 : 0);
-    if (aChannels !== bChannels) {
-      return aChannels - bChannels;
-    }
-    
-    // 4. Prefer ASCII if text is pure ASCII
-    const aIsAscii = a.params.encoding === 'ascii' || isPureAscii(a.result.text);
-    const bIsAscii = b.params.encoding === 'ascii' || isPureAscii(b.result.text);
-    if (aIsAscii && !bIsAscii) return -1;
-    if (!aIsAscii && bIsAscii) return 1;
-    
-    return 0;
-  });
-  
-  // Re-select best candidate from sorted list
-  if (candidates.length > 0) {
-    bestParams = candidates[0].params;
-    bestResult = candidates[0].result;
-    bestScore = candidates[0].score;
-  }
-  
+  const ranked = rankCandidates(candidates, weights);
+  const best = ranked[0] || null;
   return {
-    params: bestParams,
-    result: bestResult,
-    score: bestScore,
-    candidates: candidates, // Return all candidates
+    params: best ? best.params : null,
+    result: best ? best.result : null,
+    score: best ? best.score : -1,
+    candidates: ranked,
   };
 }
 
 /**
- * Checks if text contains only ASCII characters.
- */
-function isPureAscii(text) {
-  if (!text || text.length === 0) return false;
-  const sample = text.substring(0, Math.min(200, text.length));
-  for (let i = 0; i < sample.length; i++) {
-    const code = sample.charCodeAt(i);
-    if (code > 127 && code !== 0xFFFD) return false; // Non-ASCII and not replacement char
-  }
-  return true;
-}
-
-/**
- * Scores decoded text to determine if it looks like valid content.
- * 
- * @param {string} text - The decoded text to score
- * @param {number} byteCount - Number of bytes decoded
- * @param {Object} params - Decoding parameters (for context)
- * @returns {number} Score from 0 to 100 (higher is better)
+ * Checks whether a message that ends at the given byte is followed by zero bytes only
+ * (up to 20 are checked), the clean boundary an embedder leaves when it pads with zeros.
  */
-function scoreDecodedText(text, byteCount, params = {}) {
-  if (!text || text.length === 0 || byteCount === 0) return -1;
-  
-  // Focus on first 500 characters where the actual message should be
-  const sampleLength = Math.min(text.length, 500);
-  const sample = text.substring(0, sampleLength);
-  
-  // 1. Count replacement characters (strong indicator of wrong encoding)
-  const replacementCharCount = (sample.match(/\ufffd/g) || []).length;
-  const replacementRatio = replacementCharCount / sampleLength;
-  
-  // Heavy penalty for replacement characters
-  if (replacementRatio > 0.1) return -10; // Too many replacement chars = wrong encoding
-  
-  // 2. Percentage of printable ASCII characters
-  let printableCount = 0;
-  for (let i = 0; i < sample.length; i++) {
-    const code = text.charCodeAt(i);
-    if (code >= 32 && code <= 126) printableCount++;
-  }
-  const printableRatio = printableCount / sampleLength;
-  
-  // 3. Check beginning of text (should be readable, not garbage)
-  const beginningLength = Math.min(100, sample.length);
-  const beginning = sample.substring(0, beginningLength);
-  let beginningPrintable = 0;
-  let beginningReplacement = 0;
-  for (let i = 0; i < beginning.length; i++) {
-    const code = beginning.charCodeAt(i);
-    if (code >= 32 && code <= 126) beginningPrintable++;
-    if (code === 0xFFFD) beginningReplacement++;
-  }
-  const beginningPrintableRatio = beginningPrintable / beginningLength;
-  const beginningReplacementRatio = beginningReplacement / beginningLength;
-  
-  // If beginning has too many replacement chars or too few printable, penalize heavily
-  if (beginningReplacementRatio > 0.05) return -5;
-  if (beginningPrintableRatio < 0.5) return -3;
-  
-  // 4. Percentage of valid UTF-8 characters (not replacement characters)
-  const utf8ValidCount = (sample.match(/[^\ufffd]/g) || []).length;
-  const utf8ValidRatio = utf8ValidCount / sampleLength;
-  
-  // 5. Presence of spaces and punctuation (signs of real text)
-  const hasSpaces = sample.includes(' ') || sample.includes('\n') || sample.includes('\t');
-  const hasPunctuation = /[.,!?;:()\-"'\[\]]/.test(sample);
-  
-  // 6. Length without tail of dots/underscores (padding)
-  // But also check if there's too much padding in the middle
-  const cleanLength = sample.replace(/[._]+$/, '').length;
-  const tailRatio = (sampleLength - cleanLength) / sampleLength;
-  
-  // Check for long sequences of dots/underscores in the middle (bad sign)
-  const longPaddingPattern = /[._]{20,}/;
-  const hasLongPadding = longPaddingPattern.test(sample.substring(0, cleanLength));
-  if (hasLongPadding) return -2;
-  
-  // 7. Entropy (real text has certain entropy, but not too high)
-  const entropy = calculateEntropy(sample);
-  
-  // 8. Ratio of control characters (should be low for text)
-  const controlCharCount = (sample.match(/[\x00-\x1F\x7F-\x9F]/g) || []).length;
-  const controlCharRatio = controlCharCount / sampleLength;
-  
-  // 9. Word-like patterns (sequences of letters)
-  const wordPatternCount = (sample.match(/[a-zA-Z]{3,}/g) || []).length;
-  const wordPatternRatio = wordPatternCount / Math.max(sampleLength / 10, 1);
-  
-  // 10. Ratio of letters vs other characters (text should have reasonable letter ratio)
-  const letterCount = (sample.match(/[a-zA-Z]/g) || []).length;
-  const letterRatio = letterCount / sampleLength;
-  
-  // 11. Check for reasonable text length (too long might indicate wrong parameters)
-  // For correct decoding, text should have reasonable length relative to image size
-  // This is a soft check - don't penalize too much
-  const reasonableLength = sampleLength < 2000; // Reasonable limit
-  
-  // 12. Check first 50 chars for high quality (real messages start clean)
-  const first50 = sample.substring(0, Math.min(50, sample.length));
-  let first50Printable = 0;
-  let first50Replacement = 0;
-  let first50Ascii = 0;
-  for (let i = 0; i < first50.length; i++) {
-    const code = first50.charCodeAt(i);
-    if (code >= 32 && code <= 126) {
-      first50Printable++;
-      first50Ascii++;
-    }
-    if (code === 0xFFFD) first50Replacement++;
-  }
-  const first50Quality = first50Printable / first50.length;
-  const first50HasReplacement = first50Replacement > 0;
-  const first50AsciiRatio = first50Ascii / first50.length;
-  
-  // Heavy penalty if first 50 chars have replacement characters
-  if (first50HasReplacement) return -15;
-  
-  // 13. Bonus for ASCII encoding if text is pure ASCII
-  let asciiBonus = 0;
-  if (params.encoding === 'ascii' && first50AsciiRatio > 0.95) {
-    asciiBonus = 5; // Small bonus for correct ASCII encoding
-  }
-  
-  // 14. Check for repetitive patterns (indicates wrong parameters)
-  // Only penalize if there are very long repetitive patterns (20+ chars)
-  const repetitivePattern = /(.)\1{20,}/; // Same character repeated 20+ times
-  const hasRepetitivePattern = repetitivePattern.test(sample);
-  if (hasRepetitivePattern) {
-    // Heavy penalty but don't return negative immediately
-    score -= 30;
-  }
-  
-  // Combined scoring with weights
-  let score = 0;
-  
-  // Base scores (most important)
-  score += first50Quality * 35; // First 50 chars quality is critical
-  score += beginningPrintableRatio * 20; // Beginning quality is very important
-  score += printableRatio * 15;
-  score += utf8ValidRatio * 10;
-  
-  // Structure indicators
-  score += (hasSpaces ? 6 : 0);
-  score += (hasPunctuation ? 5 : 0);
-  score += Math.min(letterRatio * 2, 4); // Reward reasonable letter ratio
-  
-  // Quality indicators
-  score += (1 - tailRatio) * 3;
-  score += Math.min(entropy / 6, 3); // Normalize entropy
-  score += Math.min(wordPatternRatio, 1) * 3;
-  score += (reasonableLength ? 2 : 0);
-  score += asciiBonus; // Bonus for correct ASCII encoding
-  
-  // Penalties
-  score -= Math.min(controlCharRatio * 10, 4); // Penalize control chars
-  score -= Math.min(replacementRatio * 30, 15); // Heavy penalty for replacement chars
-  
-  return Math.max(0, Math.min(100, score));
-}
-
-/**
- * Calculates Shannon entropy of a string.
- * 
- * @param {string} str - String to analyze
- * @returns {number} Entropy value (0 to log2(alphabet_size))
- */
-function calculateEntropy(str) {
-  if (!str || str.length === 0) return 0;
-  
-  const freq = {};
-  for (const char of str) {
-    freq[char] = (freq[char] || 0) + 1;
-  }
-  
-  let entropy = 0;
-  const len = str.length;
-  for (const char in freq) {
-    const p = freq[char] / len;
-    entropy -= p * Math.log2(p);
-  }
-  
-  return entropy;
+function hasZeroTailAfter(bytes, end) {
+  const next = bytes.subarray(end, end + 20);
+  return next.length > 0 && next.every(b => b === 0x00);
 }
 
 /**
@@ -1,8 +1,11 @@
 // Cut input to the first NON-printable byte (ASCII/UTF-8 bytes level),
 // then return a text-likeness score in [0, 1].
-// "Printable" here: bytes 0x20..0x7E plus \t \n \r.
+// "Printable" here: bytes 0x20..0x7E plus \t \n \r, and UTF-8 sequences of
+// Han/Kana/Hangul/Thai characters (see scriptText.js).
 // Assumption: data is ASCII or UTF-8, and anything outside this set is a hard boundary.
 
+import { isUnspacedText, scriptSequenceLength } from "./scriptText.js";
+
 const OK_CTRL = new Set([9, 10, 13]); // \t \n \r
 
 function toBytes(input) {
@@ -18,8 +21,14 @@ function isPrintableByte(b) {
 
 function cutAtFirstNonPrintable(bytes) {
   let i = 0;
-  for (; i < bytes.length; i++) {
-    if (!isPrintableByte(bytes[i])) break;
+  while (i < bytes.length) {
+    if (isPrintableByte(bytes[i])) {
+      i++;
+      continue;
+    }
+    const length = scriptSequenceLength(bytes, i);
+    if (!length) break;
+    i += length;
   }
   return i === bytes.length ? bytes : bytes.subarray(0, i);
 }
@@ -133,16 +142,18 @@ export async function textScore(input, opts = {}) {
   const letterRatio = letters / len;
   const spaceRatio = spaces / len;
   const punctRatio = punct / len;
+  // Chinese, Japanese and Thai have no spaces between words, so missing spaces prove nothing
+  const unspaced = isUnspacedText(s);
 
   // Short strings: mostly letters -> high score
   if (len < shortLen) {
     const score =
       clamp01(letterRatio / 0.7) *
-      (0.5 + 0.5 * clamp01(spaceRatio / 0.08)) *
+      (unspaced ? 1 : 0.5 + 0.5 * clamp01(spaceRatio / 0.08)) *
       (1 - clamp01(punctRatio / 0.6));
     return {
       score: clamp01(score),
-      metrics: { origSize, size: n, cut: n !== origSize, mode: "short", entropy, uniqBigramRatio: uniqBi, compressRatio: compR, letterRatio, spaceRatio, punctRatio },
+      metrics: { origSize, size: n, cut: n !== origSize, mode: "short", entropy, uniqBigramRatio: uniqBi, compressRatio: compR, letterRatio, spaceRatio, punctRatio, unspaced },
     };
   }
 
@@ -154,7 +165,7 @@ export async function textScore(input, opts = {}) {
   // Content gates: require some letters; penalize punctuation-heavy prefixes
   const letterGate = clamp01((letterRatio - 0.08) / 0.22);
   const punctGate  = 1 - clamp01((punctRatio - 0.40) / 0.25);
-  const spaceGate  = 0.5 + 0.5 * clamp01((spaceRatio - 0.005) / 0.04);
+  const spaceGate  = unspaced ? 1 : 0.5 + 0.5 * clamp01((spaceRatio - 0.005) / 0.04);
 
   const raw = 1.6 * compScore + 1.4 * entScore + 0.8 * biScore;
   let score = sigmoid((raw - 2.0) / 0.8);
@@ -176,6 +187,7 @@ export async function textScore(input, opts = {}) {
       letterRatio,
       spaceRatio,
       punctRatio,
+      unspaced,
       components: { compScore, entScore, biScore, letterGate, punctGate, spaceGate },
       raw,
     },
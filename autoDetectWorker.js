@@ -0,0 +1,102 @@
+/**
+ * Module worker that runs one share of auto-detect off the page's main thread.
+ * The page starts one worker per core and merges their results (see runAutoDetectPool in decoder.js).
+ *
+ * The page posts one message, { type: 'start', imageData, planes, options, shard, dctRows }: either
+ * imageData is the whole image in shared memory and planes is null, or planes holds the bit planes
+ * to search (see extractSearchPlanes) and imageData only the pixel rows of dctRows (null when there
+ * are none), both transferred. { type: 'stop' } ends the search early but still sends 'done' with the
+ * candidates so far (used when another worker met options.stopWhen); STOP terminates the worker.
+ * The worker replies with:
+ *
+ * - { type: 'jpegBits', bits } - JPEG DCT block bits for dctRows { firstRow, rowCount } (when given)
+ * - { type: 'readStream', id, options } - decodeLSB options for a framed container longer than the
+ *   planes hold; the page answers { type: 'stream', id, decoded } or { type: 'stream', id, error }
+ * - { type: 'currentParams', params } - combination being tested
+ * - { type: 'scored', candidate } - candidate of the combination just tested
+ * - { type: 'progress', current, total, percentage } - within this worker's shard
+ * - { type: 'candidates', candidates } - sorted shard candidates so far, at most every CANDIDATES_INTERVAL_MS
+ * - { type: 'done', detection } - result of autoDetectParametersByMaxLength for the shard
+ * - { type: 'error', message }
+ */
+
+import { autoDetectParametersByMaxLength } from './autoDetect.js';
+import { jpegExtractBits } from './stegojpeg.js';
+
+// Re-posting the whole sorted list for every combination would spend more time cloning
+// than searching, so intermediate lists are rate-limited
+const CANDIDATES_INTERVAL_MS = 150;
+
+const stopController = new AbortController();
+
+// readStream requests waiting for the page, by id
+const pendingReads = new Map();
+let nextReadId = 0;
+
+function readStream(options) {
+  return new Promise((resolve, reject) => {
+    const id = nextReadId++;
+    pendingReads.set(id, { resolve, reject });
+    self.postMessage({ type: 'readStream', id, options });
+  });
+}
+
+async function runDetection(imageData, planes, options, shard, dctRows) {
+  if (dctRows) {
+    const bits = imageData ? jpegExtractBits(imageData, dctRows) : new Uint8Array(0);
+    self.postMessage({ type: 'jpegBits', bits }, [bits.buffer]);
+  }
+
+  let lastCandidatesPost = 0;
+  const detection = await autoDetectParametersByMaxLength(planes ? null : imageData, {
+    ...options,
+    ...(planes ? { planes, readStream } : {}),
+    shard,
+    stopSignal: stopController.signal,
+    onProgress: (current, total, percentage) => {
+      self.postMessage({ type: 'progress', current, total, percentage });
+    },
+    onCurrentParams: (params) => {
+      self.postMessage({ type: 'currentParams', params });
+    },
+    onCandidateScored: (candidate) => {
+      self.postMessage({ type: 'scored', candidate });
+    },
+    onCandidate: (sortedCandidates) => {
+      const now = performance.now();
+      if (now - lastCandidatesPost >= CANDIDATES_INTERVAL_MS) {
+        lastCandidatesPost = now;
+        self.postMessage({ type: 'candidates', candidates: sortedCandidates });
+      }
+    },
+  });
+  self.postMessage({ type: 'done', detection });
+}
+
+self.addEventListener('message', (event) => {
+  const { type, imageData, planes, options, shard, dctRows } = event.data;
+  if (type === 'stop') {
+    stopController.abort();
+    return;
+  }
+  if (type === 'stream') {
+    const { id, decoded, error } = event.data;
+    const pending = pendingReads.get(id);
+    pendingReads.delete(id);
+    if (pending) {
+      if (error) {
+        pending.reject(new Error(error));
+      } else {
+        pending.resolve(decoded);
+      }
+    }
+    return;
+  }
+  if (type !== 'start') {
+    return;
+  }
+  runDetection(imageData, planes || null, options || {}, shard, dctRows || null).catch((e) => {
+    console.error('Auto-detect worker error', e);
+    self.postMessage({ type: 'error', message: e.message });
+  });
+});
@@ -30,6 +30,9 @@ zip -r "${ARCHIVE_PATH}" . \
   -x "test.html" \
   -x "test.py" \
   -x "*.test.js" \
+  -x "buildDictionaries.js" \
+  -x "buildLanguageProfiles.js" \
+  -x "dictionaries/top_words.json" \
   -x ".DS_Store" \
   -x "*.log" \
   -x ".vscode/*" \
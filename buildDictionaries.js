@@ -0,0 +1,23 @@
+/**
+ * Builds the per-language dictionary files (dictionaries/<code>.dict) that auto-detect loads
+ * from the word lists in dictionaries/top_words.json (see "How to download word lists" in README).
+ *
+ * Usage: npm run build:dictionaries
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { DICTIONARY_LANGUAGES, encodeDictionary } from './dictionary.js';
+
+const SOURCE_PATH = new URL('./dictionaries/top_words.json', import.meta.url);
+
+const wordLists = JSON.parse(readFileSync(SOURCE_PATH, 'utf8'));
+for (const language of DICTIONARY_LANGUAGES) {
+  const words = wordLists[language];
+  if (!Array.isArray(words)) {
+    console.warn(`No word list for ${language} in top_words.json`);
+    continue;
+  }
+  const bytes = encodeDictionary(words);
+  writeFileSync(new URL(`./dictionaries/${language}.dict`, import.meta.url), bytes);
+  console.log(`${language}: ${words.length} words, ${bytes.length} bytes`);
+}
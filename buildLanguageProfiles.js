@@ -0,0 +1,46 @@
+/**
+ * Builds languageProfiles.js, the character trigram profiles used by languageId.js, from the
+ * extension's translations in _locales (regional variants such as pt_BR and pt_PT are merged).
+ *
+ * Usage: npm run build:language-profiles
+ */
+
+import { readFileSync, readdirSync, writeFileSync } from 'node:fs';
+import { countTrigrams, PROFILE_SIZE, WORD_PATTERN } from './languageId.js';
+
+const LOCALES_DIRECTORY = new URL('./_locales/', import.meta.url);
+const OUTPUT_PATH = new URL('./languageProfiles.js', import.meta.url);
+// File format names appear untranslated in every locale and would blur the profiles
+const IGNORED_WORDS = /\b(png|bmp|jpe?g|gif|webp|lsb)\b/giu;
+
+const texts = new Map();
+for (const locale of readdirSync(LOCALES_DIRECTORY).sort()) {
+  const messages = JSON.parse(readFileSync(new URL(`${locale}/messages.json`, LOCALES_DIRECTORY), 'utf8'));
+  const language = locale.split('_')[0];
+  const text = Object.values(messages).map(entry => entry.message).join('\n').replace(IGNORED_WORDS, ' ');
+  texts.set(language, `${texts.get(language) || ''}\n${text}`);
+}
+
+const lines = [];
+for (const [language, text] of texts) {
+  // Most frequent first; ties in first-seen order so the output is stable
+  const trigrams = [...countTrigrams(text).entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, PROFILE_SIZE)
+    .map(([trigram]) => trigram);
+  const alphabet = [...new Set((text.toLowerCase().match(WORD_PATTERN) || []).join(''))].sort().join('');
+  // Profiles hold only letters, marks and spaces, so they need no escaping
+  lines.push(`  ${language}: {\n    alphabet: '${alphabet}',\n    trigrams: '${trigrams.join('|')}',\n  },`);
+}
+
+writeFileSync(OUTPUT_PATH, `/**
+ * Character trigram profiles for languageId.js, generated by buildLanguageProfiles.js from
+ * _locales. Do not edit. Each profile holds the letters the language's text uses and its most
+ * frequent trigrams, separated by "|".
+ */
+
+export const LANGUAGE_PROFILES = {
+${lines.join('\n')}
+};
+`);
+console.log(`${texts.size} language profiles written to languageProfiles.js`);
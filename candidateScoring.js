@@ -0,0 +1,366 @@
+/**
+ * Candidate scoring for auto-detect.
+ *
+ * Each scorer in SCORERS turns one signal of a decoded candidate into a component in [0, 1].
+ * A candidate's rank score is the weighted mean of its components, scaled to 0-100:
+ *
+ *   rank = 100 × Σ (weight × component) / Σ weight
+ *
+ * Components are computed once per candidate (scoreCandidate) and cached on it, so candidates
+ * can be re-ranked with other weights without decoding or analyzing again.
+ */
+
+import { calculateEntropy } from './lsb.js';
+import { scriptOf, isUnspacedText } from './scriptText.js';
+
+/**
+ * Length of printable text that counts as a full match for the printable and text window scorers.
+ */
+const PRINTABLE_PREFIX_TARGET = 100;
+
+/**
+ * Scorers by name. Each has a label for the UI, a default weight and a score function that
+ * maps a candidate to [0, 1]. Adding an entry adds a component to every candidate's rank.
+ *
+ * The verified container weighs as much as all other scorers together (its default weight is
+ * derived from theirs below), so under the default weights a candidate with a checked CRC never
+ * ranks below a heuristic guess without one.
+ */
+export const SCORERS = {
+  header: {
+    label: 'Verified container',
+    weight: 0, // Set below
+    score: candidate => (candidate.container ? 1 : 0),
+  },
+  textScore: {
+    label: 'Text likelihood',
+    weight: 30,
+    score: candidate => candidate.textScoreResult?.score ?? 0,
+  },
+  dictionary: {
+    label: 'Dictionary words',
+    weight: 30,
+    // Words of a back-transliterated text count too
+    score: candidate => Math.max(candidate.dictionaryScore || 0, candidate.transliteration?.dictionaryScore || 0),
+  },
+  language: {
+    label: 'Language model',
+    // Heuristic like the others, so it also adds to the verified container's weight
+    weight: 20,
+    score: candidate => Math.max(candidate.languageGuess?.confidence ?? 0, candidate.transliteration?.confidence || 0),
+  },
+  characters: {
+    label: 'Character classes',
+    weight: 20,
+    score: candidate => clamp01(
+      scoreDecodedText(candidate.result.text, candidate.result.bytes.length, candidate.params) / 100,
+    ),
+  },
+  printable: {
+    label: 'Printable prefix',
+    weight: 10,
+    score: candidate => lengthScore(candidate.maxPrintableLength),
+  },
+  textWindow: {
+    label: 'Text window',
+    weight: 50,
+    // Best run of text anywhere in the stream, so a message after a binary header still counts
+    score: (candidate) => {
+      const window = candidate.textWindows?.best;
+      return window ? window.score * lengthScore(window.length) : 0;
+    },
+  },
+  zeroTail: {
+    label: 'Zero-byte tail',
+    weight: 10,
+    score: candidate => (candidate.hasZeroByteTail ? 1 : 0),
+  },
+};
+
+SCORERS.header.weight = Object.entries(SCORERS)
+  .filter(([name]) => name !== 'header')
+  .reduce((sum, [, scorer]) => sum + scorer.weight, 0);
+
+// Printable ASCII, or a Han/Kana/Hangul/Thai character or CJK punctuation
+function isPrintableCode(code) {
+  return (code >= 32 && code <= 126) || scriptOf(code) !== null;
+}
+
+function clamp01(x) {
+  return Math.max(0, Math.min(1, x));
+}
+
+// Logarithmic: the first few printable bytes say more than the hundredth
+function lengthScore(length) {
+  return clamp01(Math.log2(1 + (length || 0)) / Math.log2(1 + PRINTABLE_PREFIX_TARGET));
+}
+
+/**
+ * Fills in default weights and checks overrides.
+ *
+ * @param {Object} [weights] - Weight per scorer name; missing names use the scorer's default
+ * @returns {Object} Weight for every scorer
+ */
+export function resolveWeights(weights = {}) {
+  for (const [name, weight] of Object.entries(weights)) {
+    if (!SCORERS[name]) {
+      throw new Error(`Unknown scorer: ${name}`);
+    }
+    if (!(Number.isFinite(weight) && weight >= 0)) {
+      throw new Error(`Weight for ${name} must be a non-negative number`);
+    }
+  }
+  return Object.fromEntries(
+    Object.entries(SCORERS).map(([name, scorer]) => [name, weights[name] ?? scorer.weight]),
+  );
+}
+
+/**
+ * Runs every scorer on a candidate.
+ *
+ * @param {Object} candidate - Auto-detect candidate (params, result, textScoreResult, ...)
+ * @returns {Object} Component value in [0, 1] per scorer name
+ */
+export function scoreCandidate(candidate) {
+  return Object.fromEntries(
+    Object.entries(SCORERS).map(([name, scorer]) => [name, scorer.score(candidate)]),
+  );
+}
+
+/**
+ * Combines component values into the rank score and explains it.
+ *
+ * @param {Object} components - Output of scoreCandidate
+ * @param {Object} [weights] - Weight overrides (see resolveWeights)
+ * @returns {{ total: number, parts: Object[] }} Rank score 0-100 and, per scorer, its
+ *   { name, label, value, weight, contribution } (contributions add up to total)
+ */
+export function rankScore(components, weights = {}) {
+  const resolved = resolveWeights(weights);
+  const weightSum = Object.values(resolved).reduce((sum, weight) => sum + weight, 0) || 1;
+  const parts = Object.entries(SCORERS).map(([name, scorer]) => {
+    const value = components[name] ?? 0;
+    const weight = resolved[name];
+    return { name, label: scorer.label, value, weight, contribution: (100 * weight * value) / weightSum };
+  });
+  return { total: parts.reduce((sum, part) => sum + part.contribution, 0), parts };
+}
+
+function candidateTotal(candidate, weights) {
+  return rankScore(candidate.components || scoreCandidate(candidate), weights).total;
+}
+
+/**
+ * Orders two candidates best first by rank score, then by search order so that shards
+ * merged with mergeDetections sort like one search.
+ *
+ * @param {Object} a - Candidate
+ * @param {Object} b - Candidate
+ * @param {Object} [weights] - Weight overrides (see resolveWeights)
+ * @returns {number} Negative when a ranks above b
+ */
+export function compareCandidates(a, b, weights = {}) {
+  return (candidateTotal(b, weights) - candidateTotal(a, weights)) || ((a.combination ?? 0) - (b.combination ?? 0));
+}
+
+/**
+ * Sorts candidates best first, as compareCandidates does, computing each rank score once.
+ * Uses the components cached on each candidate.
+ *
+ * @param {Object[]} candidates - Candidates to rank (not modified)
+ * @param {Object} [weights] - Weight overrides (see resolveWeights)
+ * @returns {Object[]} New array, best first
+ */
+export function rankCandidates(candidates, weights = {}) {
+  const totals = new Map(candidates.map(candidate => [candidate, candidateTotal(candidate, weights)]));
+  return [...candidates].sort((a, b) =>
+    (totals.get(b) - totals.get(a)) || ((a.combination ?? 0) - (b.combination ?? 0)));
+}
+
+/**
+ * Collects the evidence behind a candidate's rank, for display: the weighted parts of the rank
+ * score and the raw signals the scorers read.
+ *
+ * @param {Object} candidate - Auto-detect candidate
+ * @param {Object} [weights] - Weight overrides (see resolveWeights)
+ * @returns {Object} { total, parts } as from rankScore, plus printableLength, textScore
+ *   ({ score, mode, reason, components, metrics }, or null), languages (per-language dictionary
+ *   matches, best first), languageGuess (trigram model), transliteration (or null), textWindows ({ longest, best } runs of text anywhere in the stream)
+ *   and zeroByteTail
+ */
+export function explainCandidate(candidate, weights = {}) {
+  const { total, parts } = rankScore(candidate.components || scoreCandidate(candidate), weights);
+  const textScoreResult = candidate.textScoreResult;
+  const metrics = textScoreResult?.metrics || {};
+  const { components = null, ...otherMetrics } = metrics;
+  const languages = Object.entries(candidate.languageScores || {})
+    .map(([language, entry]) => ({ language, ...entry }))
+    .sort((a, b) => b.score - a.score);
+
+  return {
+    total,
+    parts,
+    printableLength: candidate.maxPrintableLength ?? 0,
+    textScore: textScoreResult
+      ? {
+        score: textScoreResult.score ?? 0,
+        mode: metrics.mode || null,
+        reason: metrics.reason || null,
+        components,
+        metrics: otherMetrics,
+      }
+      : null,
+    languages,
+    languageGuess: candidate.languageGuess || { language: null, confidence: 0, runnerUp: null },
+    transliteration: candidate.transliteration || null,
+    textWindows: candidate.textWindows || { longest: null, best: null },
+    zeroByteTail: Boolean(candidate.hasZeroByteTail),
+  };
+}
+
+/**
+ * Scores decoded text to determine if it looks like valid content: printable and valid UTF-8
+ * ratios (with the start of the text weighted most), spaces, punctuation, letters, entropy
+ * and word-like runs, minus control and replacement characters. Han, Kana, Hangul and Thai
+ * characters count as printable, and Chinese, Japanese and Thai text needs no spaces.
+ *
+ * @param {string} text - The decoded text to score
+ * @param {number} byteCount - Number of bytes decoded
+ * @param {Object} params - Decoding parameters (for context)
+ * @returns {number} Score from 0 to 100 (higher is better); negative for clearly wrong decodings
+ */
+export function scoreDecodedText(text, byteCount, params = {}) {
+  if (!text || text.length === 0 || byteCount === 0) return -1;
+
+  // Focus on first 500 characters where the actual message should be
+  const sampleLength = Math.min(text.length, 500);
+  const sample = text.substring(0, sampleLength);
+
+  // 1. Count replacement characters (strong indicator of wrong encoding)
+  const replacementCharCount = (sample.match(/\ufffd/g) || []).length;
+  const replacementRatio = replacementCharCount / sampleLength;
+
+  // Heavy penalty for replacement characters
+  if (replacementRatio > 0.1) return -10; // Too many replacement chars = wrong encoding
+
+  // 2. Percentage of printable characters
+  let printableCount = 0;
+  for (let i = 0; i < sample.length; i++) {
+    const code = text.charCodeAt(i);
+    if (isPrintableCode(code)) printableCount++;
+  }
+  const printableRatio = printableCount / sampleLength;
+
+  // 3. Check beginning of text (should be readable, not garbage)
+  const beginningLength = Math.min(100, sample.length);
+  const beginning = sample.substring(0, beginningLength);
+  let beginningPrintable = 0;
+  let beginningReplacement = 0;
+  for (let i = 0; i < beginning.length; i++) {
+    const code = beginning.charCodeAt(i);
+    if (isPrintableCode(code)) beginningPrintable++;
+    if (code === 0xFFFD) beginningReplacement++;
+  }
+  const beginningPrintableRatio = beginningPrintable / beginningLength;
+  const beginningReplacementRatio = beginningReplacement / beginningLength;
+
+  // If beginning has too many replacement chars or too few printable, penalize heavily
+  if (beginningReplacementRatio > 0.05) return -5;
+  if (beginningPrintableRatio < 0.5) return -3;
+
+  // 4. Percentage of valid UTF-8 characters (not replacement characters)
+  const utf8ValidCount = (sample.match(/[^\ufffd]/g) || []).length;
+  const utf8ValidRatio = utf8ValidCount / sampleLength;
+
+  // 5. Presence of spaces and punctuation (signs of real text)
+  const hasSpaces = sample.includes(' ') || sample.includes('\n') || sample.includes('\t') || isUnspacedText(sample);
+  const hasPunctuation = /[.,!?;:()\-"'\[\]]/.test(sample);
+
+  // 6. Length without tail of dots/underscores (padding)
+  // But also check if there's too much padding in the middle
+  const cleanLength = sample.replace(/[._]+$/, '').length;
+  const tailRatio = (sampleLength - cleanLength) / sampleLength;
+
+  // Check for long sequences of dots/underscores in the middle (bad sign)
+  const longPaddingPattern = /[._]{20,}/;
+  const hasLongPadding = longPaddingPattern.test(sample.substring(0, cleanLength));
+  if (hasLongPadding) return -2;
+
+  // 7. Entropy (real text has certain entropy, but not too high)
+  const entropy = calculateEntropy(sample);
+
+  // 8. Ratio of control characters (should be low for text)
+  const controlCharCount = (sample.match(/[\x00-\x1F\x7F-\x9F]/g) || []).length;
+  const controlCharRatio = controlCharCount / sampleLength;
+
+  // 9. Word-like patterns (sequences of letters)
+  const wordPatternCount = (sample.match(/[a-zA-Z]{3,}/g) || []).length;
+  const wordPatternRatio = wordPatternCount / Math.max(sampleLength / 10, 1);
+
+  // 10. Ratio of letters vs other characters (text should have reasonable letter ratio)
+  const letterCount = (sample.match(/[a-zA-Z]/g) || []).length;
+  const letterRatio = letterCount / sampleLength;
+
+  // 11. Check for reasonable text length (too long might indicate wrong parameters)
+  // For correct decoding, text should have reasonable length relative to image size
+  // This is a soft check - don't penalize too much
+  const reasonableLength = sampleLength < 2000; // Reasonable limit
+
+  // 12. Check first 50 chars for high quality (real messages start clean)
+  const first50 = sample.substring(0, Math.min(50, sample.length));
+  let first50Printable = 0;
+  let first50Replacement = 0;
+  let first50Ascii = 0;
+  for (let i = 0; i < first50.length; i++) {
+    const code = first50.charCodeAt(i);
+    if (isPrintableCode(code)) first50Printable++;
+    if (code >= 32 && code <= 126) first50Ascii++;
+    if (code === 0xFFFD) first50Replacement++;
+  }
+  const first50Quality = first50Printable / first50.length;
+  const first50HasReplacement = first50Replacement > 0;
+  const first50AsciiRatio = first50Ascii / first50.length;
+
+  // Heavy penalty if first 50 chars have replacement characters
+  if (first50HasReplacement) return -15;
+
+  // 13. Bonus for ASCII encoding if text is pure ASCII
+  let asciiBonus = 0;
+  if (params.encoding === 'ascii' && first50AsciiRatio > 0.95) {
+    asciiBonus = 5; // Small bonus for correct ASCII encoding
+  }
+
+  // Combined scoring with weights
+  let score = 0;
+
+  // 14. Check for repetitive patterns (indicates wrong parameters)
+  // Only penalize if there are very long repetitive patterns (20+ chars)
+  const repetitivePattern = /(.)\1{20,}/; // Same character repeated 20+ times
+  if (repetitivePattern.test(sample)) {
+    score -= 30;
+  }
+
+  // Base scores (most important)
+  score += first50Quality * 35; // First 50 chars quality is critical
+  score += beginningPrintableRatio * 20; // Beginning quality is very important
+  score += printableRatio * 15;
+  score += utf8ValidRatio * 10;
+
+  // Structure indicators
+  score += (hasSpaces ? 6 : 0);
+  score += (hasPunctuation ? 5 : 0);
+  score += Math.min(letterRatio * 2, 4); // Reward reasonable letter ratio
+
+  // Quality indicators
+  score += (1 - tailRatio) * 3;
+  score += Math.min(entropy / 6, 3); // Normalize entropy
+  score += Math.min(wordPatternRatio, 1) * 3;
+  score += (reasonableLength ? 2 : 0);
+  score += asciiBonus; // Bonus for correct ASCII encoding
+
+  // Penalties
+  score -= Math.min(controlCharRatio * 10, 4); // Penalize control chars
+  score -= Math.min(replacementRatio * 30, 15); // Heavy penalty for replacement chars
+
+  return Math.max(0, Math.min(100, score));
+}
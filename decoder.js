@@ -1,19 +1,27 @@
 import { setImageForEncode } from './encoder.js';
 
-import { decodeLSB, formatBytesAsAscii, formatBytesAsUtf8, formatBytesAsHex } from './lsb.js';
-import { jpegDecode } from './stegojpeg.js';
-import { autoDetectParametersByMaxLength } from './autoDetect.js';
+import { decodeLSB, formatBytesAsText, formatBytesAsHex, getChannelSequence, TEXT_ENCODINGS } from './lsb.js';
+import { jpegDecode, jpegDecodeBits } from './stegojpeg.js';
+import { mergeDetections, pickAlignmentStreams, extractSearchPlanes } from './autoDetect.js';
+import { SCORERS, compareCandidates, rankCandidates, explainCandidate, resolveWeights } from './candidateScoring.js';
+import { TRANSLITERATION_SCHEMES, detransliterate } from './transliteration.js';
 
 const fileInput = document.getElementById('fileInput');
 const dropZone = document.getElementById('dropZone');
 const imagePreview = document.getElementById('imagePreview');
+const regionSelection = document.getElementById('regionSelection');
+const regionText = document.getElementById('regionText');
+const clearRegionLink = document.getElementById('clearRegionLink');
 const metadataList = document.getElementById('metadataList');
 const panelLeft = document.querySelector('.panel-left');
 
 const bitsPerChannelInput = document.getElementById('bitsPerChannel');
+const bitPlanesInput = document.getElementById('bitPlanes');
 const channelRInput = document.getElementById('channelR');
 const channelGInput = document.getElementById('channelG');
 const channelBInput = document.getElementById('channelB');
+const channelAInput = document.getElementById('channelA');
+const channelOrderSelect = document.getElementById('channelOrder');
 const decodeButton = document.getElementById('decodeButton');
 const autoDetectButton = document.getElementById('autoDetectButton');
 const manualDecodeToggle = document.getElementById('manualDecodeToggle');
@@ -30,25 +38,58 @@ const copyHexButton = document.getElementById('copyHexButton');
 const candidatesSection = document.getElementById('candidatesSection');
 const candidatesList = document.getElementById('candidatesList');
 const decodedTextSection = document.getElementById('decodedTextSection');
+const transliterationPanel = document.getElementById('transliterationPanel');
+const transliterationSummary = document.getElementById('transliterationSummary');
+const transliteratedOutput = document.getElementById('transliteratedOutput');
 const hexViewSection = document.getElementById('hexViewSection');
 const currentParamsInfo = document.getElementById('currentParamsInfo');
 const currentParamsText = document.getElementById('currentParamsText');
+const extendedOrdersInput = document.getElementById('extendedOrdersInput');
+const cpuLimitSelect = document.getElementById('cpuLimit');
+const stopOnMatchInput = document.getElementById('stopOnMatchInput');
+const stopMinScoreInput = document.getElementById('stopMinScore');
+const stopMinLengthInput = document.getElementById('stopMinLength');
+const stopLanguagesInput = document.getElementById('stopLanguages');
+const earlyStopInfo = document.getElementById('earlyStopInfo');
+const earlyStopText = document.getElementById('earlyStopText');
+const continueSearchButton = document.getElementById('continueSearchButton');
+const skippedSummary = document.getElementById('skippedSummary');
+const skippedList = document.getElementById('skippedList');
+const livePreview = document.getElementById('livePreview');
+const livePreviewParams = document.getElementById('livePreviewParams');
+const livePreviewScores = document.getElementById('livePreviewScores');
+const livePreviewText = document.getElementById('livePreviewText');
+const liveLeader = document.getElementById('liveLeader');
+const singleBitPlanesInput = document.getElementById('singleBitPlanesInput');
+const bitAlignmentInput = document.getElementById('bitAlignmentInput');
+const legacyCharsetsInput = document.getElementById('legacyCharsetsInput');
+const rankingWeights = document.getElementById('rankingWeights');
 
 // Display limits
 const DISPLAY_BYTE_LIMIT = 1000; // Maximum bytes/characters to display initially
+const LANGUAGE_BADGE_MIN_CONFIDENCE = 0.3; // Weaker trigram language guesses get no badge
 
 let fullDecodedText = ''; // Store full decoded text
 let fullDecodedHex = ''; // Store full decoded hex
 let autoDetectAbortController = null; // AbortController for stopping auto-detect
+let lastAutoDetect = null; // { options, detection, jpegDctCandidate } of the last finished search
+const openBreakdowns = new Set(); // Combinations whose score breakdown is expanded, kept across list updates
+let liveView = null; // { candidate, leader, leaderChanged } waiting for the next animation frame
 
-const encodingRadios = document.querySelectorAll('input[name="encoding"]');
+const encodingSelect = document.getElementById('encoding');
 const pixelOrderRadios = document.querySelectorAll('input[name="pixelOrder"]');
+const bitOrderRadios = document.querySelectorAll('input[name="bitOrder"]');
+const decodeKeyInput = document.getElementById('decodeKey');
+const startPixelInput = document.getElementById('startPixel');
+const bitOffsetInput = document.getElementById('bitOffset');
 
 const canvas = document.createElement('canvas');
 const ctx = canvas.getContext('2d', { willReadFrequently: true });
 
 let currentFile = null;
 let currentImageData = null;
+let selectedRegion = null; // { x, y, width, height } in image pixels, or null for the whole image
+let regionDragStart = null;
 
 
 function updateImageUI(hasImage) {
@@ -58,8 +99,7 @@ function updateImageUI(hasImage) {
 }
 
 function getSelectedEncoding() {
-  const checked = Array.from(encodingRadios).find((r) => r.checked);
-  return checked ? checked.value : 'utf8';
+  return encodingSelect ? encodingSelect.value : 'utf8';
 }
 
 function getSelectedPixelOrder() {
@@ -67,6 +107,34 @@ function getSelectedPixelOrder() {
   return checked ? checked.value : 'row';
 }
 
+function getSelectedBitOrder() {
+  const checked = Array.from(bitOrderRadios).find((r) => r.checked);
+  return checked ? checked.value : 'lsb';
+}
+
+/**
+ * Channel sequence from the checkboxes, visited in the order picked in the
+ * channel order select (e.g. R+B checked with B → G → R → A gives 'BR').
+ */
+function getSelectedChannelSequence() {
+  const checked = { R: channelRInput.checked, G: channelGInput.checked, B: channelBInput.checked, A: channelAInput.checked };
+  const order = channelOrderSelect ? channelOrderSelect.value : 'RGBA';
+  return order.split('').filter((letter) => checked[letter]).join('');
+}
+
+/**
+ * Selects the channel order option that produces the given sequence for the
+ * currently checked channels, falling back to the natural order.
+ */
+function selectChannelOrder(sequence) {
+  if (!channelOrderSelect) return;
+  const options = Array.from(channelOrderSelect.options);
+  const match = options.find((option) =>
+    option.value.split('').filter((letter) => sequence.includes(letter)).join('') === sequence,
+  );
+  channelOrderSelect.value = match ? match.value : 'RGBA';
+}
+
 function setStatus(message, isError = false) {
   statusLabel.textContent = message || '';
   statusLabel.classList.toggle('error', Boolean(isError));
@@ -105,11 +173,30 @@ function escapeHtml(text) {
   return div.innerHTML;
 }
 
+/**
+ * Shows decoded text mapped back from Latin letters under the decoded text, or hides it.
+ * @param {string|null} text - Decoded text, or null to hide the panel
+ * @param {string} [schemeName] - Key of TRANSLITERATION_SCHEMES
+ */
+function showTransliteration(text, schemeName) {
+  if (!transliterationPanel) return;
+  if (text === null) {
+    transliterationPanel.style.display = 'none';
+    transliteratedOutput.textContent = '';
+    return;
+  }
+  const shown = text.length > DISPLAY_BYTE_LIMIT ? `${text.substring(0, DISPLAY_BYTE_LIMIT)}...` : text;
+  transliterationSummary.textContent = `Back-transliterated text (${TRANSLITERATION_SCHEMES[schemeName].label})`;
+  transliteratedOutput.textContent = detransliterate(shown, schemeName);
+  transliterationPanel.style.display = 'block';
+}
+
 function clearOutputs() {
   textOutput.textContent = '';
   hexOutput.textContent = '';
   fullDecodedText = '';
   fullDecodedHex = '';
+  showTransliteration(null);
   candidatesSection.style.display = 'none';
   candidatesList.innerHTML = '';
   decodedTextSection.style.display = 'none';
@@ -117,7 +204,7 @@ function clearOutputs() {
 }
 
 function ensureAtLeastOneChannel() {
-  const anyChecked = channelRInput.checked || channelGInput.checked || channelBInput.checked;
+  const anyChecked = channelRInput.checked || channelGInput.checked || channelBInput.checked || channelAInput.checked;
   decodeButton.disabled = !anyChecked;
 }
 
@@ -130,6 +217,248 @@ function onBitsPerChannelBlur() {
   bitsPerChannelInput.value = String(value);
 }
 
+/**
+ * Parses the bit planes field ("2", "1,2", "1 2"); empty means the lowest
+ * bitsPerChannel bits. Invalid entries are left for decodeLSB to reject.
+ */
+function getBitPlanes() {
+  const text = bitPlanesInput ? bitPlanesInput.value.trim() : '';
+  if (!text) return null;
+  return text.split(/[\s,]+/).map(Number);
+}
+
+function formatBitDepth(params) {
+  return params.bitPlanes ? `plane ${params.bitPlanes.join('+')}` : `${params.bitsPerChannel}bit`;
+}
+
+function formatCombination(params) {
+  const bitOffset = params.bitOffset ? ` +${params.bitOffset} bit${params.bitOffset > 1 ? 's' : ''}` : '';
+  return `${formatBitDepth(params)}/${getChannelSequence(params)} ${params.order}${params.bitOrder === 'msb' ? ' MSB' : ''}${bitOffset} ${TEXT_ENCODINGS[params.encoding].label}`;
+}
+
+function formatPreview(candidate, maxLength) {
+  return (candidate.result.text || '').replace(/\s+/g, ' ').substring(0, maxLength);
+}
+
+/**
+ * Reads the early-termination settings.
+ * @returns {Object|null} stopWhen option for auto-detect, or null when disabled
+ */
+function readStopCondition() {
+  if (!stopOnMatchInput || !stopOnMatchInput.checked) return null;
+  const minScore = parseFloat(stopMinScoreInput.value);
+  const minLength = parseInt(stopMinLengthInput.value, 10);
+  const languages = stopLanguagesInput.value.split(/[\s,]+/).map(code => code.toLowerCase()).filter(Boolean);
+  return {
+    minDictionaryScore: Number.isNaN(minScore) ? 0.6 : minScore / 100,
+    minLength: Number.isNaN(minLength) ? 20 : minLength,
+    languages,
+  };
+}
+
+/**
+ * Adds a weight input per scorer to the ranking settings.
+ */
+function buildWeightInputs() {
+  if (!rankingWeights) return;
+  rankingWeights.innerHTML = '';
+  for (const [name, scorer] of Object.entries(SCORERS)) {
+    const label = document.createElement('label');
+    label.textContent = scorer.label;
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = '0';
+    input.step = '1';
+    input.value = String(scorer.weight);
+    input.dataset.scorer = name;
+    label.appendChild(input);
+    rankingWeights.appendChild(label);
+  }
+}
+
+/**
+ * Reads the ranking weights; empty or invalid inputs fall back to the scorer's default.
+ * @returns {Object} weights option for auto-detect
+ */
+function readWeights() {
+  if (!rankingWeights) return {};
+  const weights = {};
+  for (const input of rankingWeights.querySelectorAll('input[data-scorer]')) {
+    const weight = parseFloat(input.value);
+    if (!Number.isNaN(weight) && weight >= 0) {
+      weights[input.dataset.scorer] = weight;
+    }
+  }
+  return resolveWeights(weights);
+}
+
+/**
+ * Re-ranks the last search's candidates with the current weights, without searching again.
+ */
+function rerankCandidates() {
+  if (!lastAutoDetect || autoDetectAbortController) return;
+  const { detection, jpegDctCandidate } = lastAutoDetect;
+  const weights = readWeights();
+  lastAutoDetect.options = { ...lastAutoDetect.options, weights };
+  detection.candidates = rankCandidates(detection.candidates, weights);
+  displayCandidates(jpegDctCandidate ? [jpegDctCandidate, ...detection.candidates] : detection.candidates);
+}
+
+/**
+ * Shows why the last search ended early and what it skipped, or hides the panel.
+ * @param {Object|null} detection - Merged detection result
+ */
+function showEarlyStop(detection) {
+  if (!earlyStopInfo) return;
+  if (!detection || detection.skipped.length === 0) {
+    earlyStopInfo.style.display = 'none';
+    return;
+  }
+  const { earlyStop, skipped } = detection;
+  earlyStopText.textContent = earlyStop
+    ? `Stopped early: ${earlyStop.language.toUpperCase()} match (${Math.round(earlyStop.dictionaryScore * 100)}%) with ${formatCombination(earlyStop.params)}.`
+    : 'Search ended early.';
+  skippedSummary.textContent = `${skipped.length} combination(s) skipped`;
+  skippedList.innerHTML = '';
+  for (const { params } of skipped) {
+    const item = document.createElement('li');
+    item.textContent = formatCombination(params);
+    skippedList.appendChild(item);
+  }
+  earlyStopInfo.style.display = 'flex';
+}
+
+/**
+ * Queues the candidate just tested for the live panel. Candidates arrive faster than the
+ * screen refreshes, so only the latest one is drawn per frame; a leader change is kept
+ * until it has been drawn.
+ *
+ * @param {Object} candidate - Candidate of the combination just tested
+ * @param {Object} leader - Best candidate so far
+ * @param {boolean} leaderChanged - Whether this candidate overtook the previous leader
+ */
+function showLiveCandidate(candidate, leader, leaderChanged) {
+  const pending = liveView;
+  liveView = { candidate, leader, leaderChanged: leaderChanged || (pending !== null && pending.leaderChanged) };
+  if (!pending) {
+    requestAnimationFrame(renderLiveCandidate);
+  }
+}
+
+function renderLiveCandidate() {
+  if (!liveView || !livePreview) {
+    liveView = null;
+    return;
+  }
+  const { candidate, leader, leaderChanged } = liveView;
+  liveView = null;
+
+  const textScore = candidate.textScoreResult?.score ?? 0;
+  const badges = [
+    `<span class="score-badge score-text">Text: ${(textScore * 100).toFixed(0)}%</span>`,
+    candidate.dictionaryScore > 0
+      ? `<span class="score-badge score-dict">${candidate.detectedLanguage || 'dict'}: ${(candidate.dictionaryScore * 100).toFixed(0)}%</span>`
+      : '',
+    renderLanguageGuessBadge(candidate),
+    renderTransliterationBadge(candidate),
+    `<span class="score-badge score-quality">Printable: ${candidate.maxPrintableLength}</span>`,
+    candidate.hasZeroByteTail ? '<span class="score-badge score-quality">Zero tail</span>' : '',
+  ];
+  livePreviewParams.textContent = formatCombination(candidate.params);
+  livePreviewScores.innerHTML = badges.join('');
+  livePreviewText.textContent = formatPreview(candidate, 100);
+  liveLeader.textContent = `${leaderChanged ? 'New leader' : 'Leader'}: ${formatCombination(leader.params)} · ${formatPreview(leader, 60)}`;
+  if (leaderChanged) {
+    // Restart the highlight animation
+    liveLeader.classList.remove('live-leader-changed');
+    void liveLeader.offsetWidth;
+    liveLeader.classList.add('live-leader-changed');
+  }
+  livePreview.style.display = 'flex';
+}
+
+function getStartPixel() {
+  const value = parseInt(startPixelInput ? startPixelInput.value : '0', 10);
+  return Number.isNaN(value) ? 0 : Math.max(0, value);
+}
+
+function getBitOffset() {
+  const value = parseInt(bitOffsetInput ? bitOffsetInput.value : '0', 10);
+  return Number.isNaN(value) ? 0 : Math.max(0, value);
+}
+
+function formatRegion(region) {
+  return `${region.x},${region.y} ${region.width}×${region.height}`;
+}
+
+/**
+ * Converts a pointer position over the preview into image pixel coordinates,
+ * clamped to the image bounds.
+ */
+function previewPointToImage(event) {
+  const rect = imagePreview.getBoundingClientRect();
+  const x = ((event.clientX - rect.left) / rect.width) * currentImageData.width;
+  const y = ((event.clientY - rect.top) / rect.height) * currentImageData.height;
+  return {
+    x: Math.min(currentImageData.width, Math.max(0, Math.round(x))),
+    y: Math.min(currentImageData.height, Math.max(0, Math.round(y))),
+  };
+}
+
+function regionFromPoints(a, b) {
+  return {
+    x: Math.min(a.x, b.x),
+    y: Math.min(a.y, b.y),
+    width: Math.abs(a.x - b.x),
+    height: Math.abs(a.y - b.y),
+  };
+}
+
+function showRegionOverlay(region) {
+  if (!regionSelection) return;
+  if (!region || !currentImageData) {
+    regionSelection.style.display = 'none';
+    return;
+  }
+  const scale = imagePreview.clientWidth / currentImageData.width;
+  regionSelection.style.left = `${imagePreview.offsetLeft + region.x * scale}px`;
+  regionSelection.style.top = `${imagePreview.offsetTop + region.y * scale}px`;
+  regionSelection.style.width = `${region.width * scale}px`;
+  regionSelection.style.height = `${region.height * scale}px`;
+  regionSelection.style.display = 'block';
+}
+
+function setSelectedRegion(region) {
+  selectedRegion = region;
+  showRegionOverlay(region);
+  if (regionText) {
+    regionText.textContent = region
+      ? `Region: ${formatRegion(region)} (manual decode and auto-detect use only this area)`
+      : 'Drag on the preview to decode only a region';
+  }
+  if (clearRegionLink) clearRegionLink.style.display = region ? 'inline' : 'none';
+}
+
+function handlePreviewPointerDown(event) {
+  if (!currentImageData) return;
+  event.preventDefault();
+  imagePreview.setPointerCapture(event.pointerId);
+  regionDragStart = previewPointToImage(event);
+}
+
+function handlePreviewPointerMove(event) {
+  if (!regionDragStart) return;
+  showRegionOverlay(regionFromPoints(regionDragStart, previewPointToImage(event)));
+}
+
+function handlePreviewPointerUp(event) {
+  if (!regionDragStart) return;
+  const region = regionFromPoints(regionDragStart, previewPointToImage(event));
+  regionDragStart = null;
+  // A click without a real drag clears the selection
+  setSelectedRegion(region.width > 1 && region.height > 1 ? region : null);
+}
+
 // decodeImageData is now imported from lsb.js as decodeLSB
 
 function readSettingsFromForm() {
@@ -140,10 +469,18 @@ function readSettingsFromForm() {
 
   return {
     bitsPerChannel,
+    bitPlanes: getBitPlanes(),
     useR: channelRInput.checked,
     useG: channelGInput.checked,
     useB: channelBInput.checked,
+    useA: channelAInput.checked,
+    channels: getSelectedChannelSequence(),
     order: getSelectedPixelOrder(),
+    bitOrder: getSelectedBitOrder(),
+    region: selectedRegion,
+    startPixel: getStartPixel(),
+    bitOffset: getBitOffset(),
+    key: decodeKeyInput ? decodeKeyInput.value : '',
     encoding: getSelectedEncoding(),
   };
 }
@@ -158,17 +495,22 @@ function applySettingsToForm(settings) {
   if (typeof settings.useR === 'boolean') channelRInput.checked = settings.useR;
   if (typeof settings.useG === 'boolean') channelGInput.checked = settings.useG;
   if (typeof settings.useB === 'boolean') channelBInput.checked = settings.useB;
+  if (typeof settings.useA === 'boolean') channelAInput.checked = settings.useA;
+  if (typeof settings.channels === 'string') selectChannelOrder(settings.channels);
 
   if (typeof settings.order === 'string') {
     for (const radio of pixelOrderRadios) {
       radio.checked = radio.value === settings.order;
     }
   }
-  if (typeof settings.encoding === 'string') {
-    for (const radio of encodingRadios) {
-      radio.checked = radio.value === settings.encoding;
+  if (typeof settings.bitOrder === 'string') {
+    for (const radio of bitOrderRadios) {
+      radio.checked = radio.value === settings.bitOrder;
     }
   }
+  if (typeof settings.encoding === 'string' && TEXT_ENCODINGS[settings.encoding] && encodingSelect) {
+    encodingSelect.value = settings.encoding;
+  }
   ensureAtLeastOneChannel();
 }
 
@@ -182,11 +524,12 @@ function handleDecodeClick() {
     return;
   }
 
-  const { bitsPerChannel, useR, useG, useB, order, encoding } =
-    readSettingsFromForm();
+  const {
+    bitsPerChannel, bitPlanes, useR, useG, useB, useA, channels, order, bitOrder, region, startPixel, bitOffset, key, encoding,
+  } = readSettingsFromForm();
 
-  if (!useR && !useG && !useB) {
-    setStatus('Select at least one channel (R, G or B).', true);
+  if (!useR && !useG && !useB && !useA) {
+    setStatus('Select at least one channel (R, G, B or A).', true);
     return;
   }
 
@@ -194,18 +537,29 @@ function handleDecodeClick() {
     const t0 = performance.now();
     const result = decodeLSB(currentImageData, {
       bitsPerChannel,
+      bitPlanes,
       useR,
       useG,
       useB,
+      useA,
+      channels,
       order,
+      bitOrder,
+      region,
+      startPixel,
+      bitOffset,
+      key,
     });
     const t1 = performance.now();
 
+    // A verified framed container gives the exact message, no tail guessing
+    const container = result.container && result.container.verified ? result.container : null;
+    const messageBytes = container ? container.payload : result.bytes;
+    const hasTail = container ? false : result.hasTail;
+
     // Format bytes for display based on encoding
-    const formattedText = encoding === 'ascii'
-      ? formatBytesAsAscii(result.bytes, result.hasTail, result.tailBits || 0)
-      : formatBytesAsUtf8(result.bytes, result.hasTail, result.tailBits || 0);
-    const formattedHex = formatBytesAsHex(result.bytes);
+    const formattedText = formatBytesAsText(messageBytes, encoding, hasTail, result.tailBits || 0);
+    const formattedHex = formatBytesAsHex(messageBytes);
 
     // Store full text and hex
     fullDecodedText = formattedText;
@@ -220,8 +574,8 @@ function handleDecodeClick() {
     }
     
     // Display only first DISPLAY_BYTE_LIMIT bytes in hex with "show more" link
-    if (result.bytes.length > DISPLAY_BYTE_LIMIT) {
-      const truncatedBytes = result.bytes.slice(0, DISPLAY_BYTE_LIMIT);
+    if (messageBytes.length > DISPLAY_BYTE_LIMIT) {
+      const truncatedBytes = messageBytes.slice(0, DISPLAY_BYTE_LIMIT);
       const truncatedHex = formatBytesAsHex(truncatedBytes);
       hexOutput.innerHTML = escapeHtml(truncatedHex) + ' <a href="#" class="show-more-link">[show more...]</a>';
     } else {
@@ -235,23 +589,58 @@ function handleDecodeClick() {
     const bitsUsed =
       currentImageData.width *
       currentImageData.height *
-      (Number(useR) + Number(useG) + Number(useB)) *
+      (Number(useR) + Number(useG) + Number(useB) + Number(useA)) *
       bitsPerChannel;
     const summary = [
-      `${result.byteCount} bytes`,
-      `${bitsPerChannel} bit(s)/channel`,
-      `order: ${order}`,
-      `encoding: ${encoding.toUpperCase()}`,
+      container ? `verified message, ${container.length} bytes` : `${result.byteCount} bytes`,
+      bitPlanes ? `bit planes: ${bitPlanes.join(',')}` : `${bitsPerChannel} bit(s)/channel`,
+      channels,
+      key ? 'order: keyed' : `order: ${order}`,
+      region ? `region: ${formatRegion(region)}` : null,
+      startPixel ? `start pixel: ${startPixel}` : null,
+      bitOffset ? `bit offset: ${bitOffset}` : null,
+      `bits: ${bitOrder.toUpperCase()} first`,
+      `encoding: ${TEXT_ENCODINGS[encoding].label}`,
       `~${(t1 - t0).toFixed(1)} ms`,
     ];
-    setStatus(summary.join(' · '), false);
+    setStatus(summary.filter(Boolean).join(' · '), false);
   } catch (e) {
     console.error('Decode error', e);
     setStatus('Decode failed. See console for details.', true);
   }
 }
 
-function applyCandidate(candidate) {
+/**
+ * Shows the hex view with a byte range highlighted and scrolls to it.
+ * @param {Uint8Array} bytes - Decoded message bytes
+ * @param {Object} hexWindow - { offset, length } to highlight
+ */
+function showHexWindow(bytes, { offset, length }) {
+  const shownLength = Math.min(bytes.length, Math.max(DISPLAY_BYTE_LIMIT, offset + length + 256));
+  const cells = Array.from(bytes.subarray(0, shownLength), b => b.toString(16).padStart(2, '0'));
+  const lines = [];
+  for (let i = 0; i < cells.length; i += 16) {
+    lines.push(cells.slice(i, i + 16).map((cell, j) => {
+      // One <mark> per line, so each line of the range is highlighted on its own
+      const index = i + j;
+      const inside = index >= offset && index < offset + length;
+      const open = inside && (index === offset || j === 0);
+      const close = inside && (index === offset + length - 1 || j === 15 || index === cells.length - 1);
+      return `${open ? '<mark class="hex-window">' : ''}${cell}${close ? '</mark>' : ''}`;
+    }).join(' '));
+  }
+  const more = shownLength < bytes.length ? ' <a href="#" class="show-more-link">[show more...]</a>' : '';
+  hexOutput.innerHTML = lines.join('\n') + more;
+  const mark = hexOutput.querySelector('.hex-window');
+  if (mark) mark.scrollIntoView({ block: 'center' });
+}
+
+/**
+ * Decodes a candidate with its full data and shows the result.
+ * @param {Object} candidate - Auto-detect candidate
+ * @param {Object} [hexWindow] - { offset, length } of message bytes to highlight in the hex view
+ */
+function applyCandidate(candidate, hexWindow = null) {
   if (!currentImageData) {
     setStatus('Image data not available.', true);
     return;
@@ -279,22 +668,37 @@ function applyCandidate(candidate) {
   }
 
   // Apply candidate parameters to form
-  const { bitsPerChannel, useR, useG, useB, order, encoding } = candidate.params;
+  const {
+    bitsPerChannel, bitPlanes = null, useR, useG, useB, useA = false, order, bitOrder = 'lsb', region = null, startPixel = 0,
+    bitOffset = 0, encoding,
+  } = candidate.params;
   
   bitsPerChannelInput.value = String(bitsPerChannel);
+  if (bitPlanesInput) bitPlanesInput.value = bitPlanes ? bitPlanes.join(',') : '';
   channelRInput.checked = useR;
   channelGInput.checked = useG;
   channelBInput.checked = useB;
+  channelAInput.checked = useA;
+  const channels = getChannelSequence(candidate.params);
+  selectChannelOrder(channels);
   
   // Set pixel order
   for (const radio of pixelOrderRadios) {
     radio.checked = radio.value === order;
   }
   
-  // Set encoding
-  for (const radio of encodingRadios) {
-    radio.checked = radio.value === encoding;
+  // Set bit order
+  for (const radio of bitOrderRadios) {
+    radio.checked = radio.value === bitOrder;
   }
+
+  // Auto-detect only finds sequential traversals
+  if (decodeKeyInput) decodeKeyInput.value = '';
+  if (startPixelInput) startPixelInput.value = String(startPixel);
+  if (bitOffsetInput) bitOffsetInput.value = String(bitOffset);
+  
+  // Set encoding
+  if (encodingSelect) encodingSelect.value = encoding;
   
   ensureAtLeastOneChannel();
 
@@ -311,7 +715,7 @@ function applyCandidate(candidate) {
   try {
     setStatus('Decoding with selected parameters...', false);
 
-    let formattedText, formattedHex, byteCount;
+    let formattedText, formattedHex, byteCount, container = null, messageBytes = null;
 
     if (candidate._isJpegDct) {
       // JPEG DCT candidate — re-decode with jpegDecode
@@ -323,18 +727,27 @@ function applyCandidate(candidate) {
     } else {
       const result = decodeLSB(currentImageData, {
         bitsPerChannel,
+        bitPlanes,
         useR,
         useG,
         useB,
+        useA,
+        channels,
         order,
+        bitOrder,
+        region,
+        startPixel,
+        bitOffset,
       });
 
+      container = result.container && result.container.verified ? result.container : null;
+      messageBytes = container ? container.payload : result.bytes;
+      const hasTail = container ? false : result.hasTail;
+
       // Format bytes for display based on encoding
-      formattedText = encoding === 'ascii'
-        ? formatBytesAsAscii(result.bytes, result.hasTail, result.tailBits || 0)
-        : formatBytesAsUtf8(result.bytes, result.hasTail, result.tailBits || 0);
-      formattedHex = formatBytesAsHex(result.bytes);
-      byteCount = result.byteCount;
+      formattedText = formatBytesAsText(messageBytes, encoding, hasTail, result.tailBits || 0);
+      formattedHex = formatBytesAsHex(messageBytes);
+      byteCount = messageBytes.length;
     }
 
     // Store full text and hex
@@ -348,6 +761,7 @@ function applyCandidate(candidate) {
     } else {
       textOutput.textContent = formattedText;
     }
+    showTransliteration(candidate.transliteration ? formattedText : null, candidate.transliteration?.scheme);
     
     // Display only first DISPLAY_BYTE_LIMIT bytes in hex with "show more" link
     const hexBytes = new TextEncoder().encode(formattedText);
@@ -363,18 +777,24 @@ function applyCandidate(candidate) {
     candidatesSection.style.display = 'none';
     decodedTextSection.style.display = 'flex';
     hexViewSection.style.display = 'flex';
+    if (hexWindow && messageBytes) {
+      showHexWindow(messageBytes, hexWindow);
+    }
     
     if (candidate._isJpegDct) {
       setStatus(`JPEG DCT · ${byteCount} bytes`, false);
     } else {
       const summary = [
-        `${bitsPerChannel} bit(s)/channel`,
-        `${useR ? 'R' : ''}${useG ? 'G' : ''}${useB ? 'B' : ''}`,
+        bitPlanes ? `bit planes: ${bitPlanes.join(',')}` : `${bitsPerChannel} bit(s)/channel`,
+        channels,
         `order: ${order}`,
-        `encoding: ${encoding.toUpperCase()}`,
-        `${byteCount} bytes`,
+        region ? `region: ${formatRegion(region)}` : null,
+        bitOffset ? `bit offset: ${bitOffset}` : null,
+        `bits: ${bitOrder.toUpperCase()} first`,
+        `encoding: ${TEXT_ENCODINGS[encoding].label}`,
+        container ? `verified message, ${byteCount} bytes` : `${byteCount} bytes`,
       ];
-      setStatus(summary.join(' · '), false);
+      setStatus(summary.filter(Boolean).join(' · '), false);
     }
   } catch (e) {
     console.error('Decode error', e);
@@ -394,18 +814,19 @@ function displayCandidates(candidates) {
 
   // Clear and rebuild list
   candidatesList.innerHTML = '';
+  const weights = readWeights();
   
   candidates.forEach((candidate, index) => {
     // Use only preview bytes (first 100 bytes) for display
     const previewBytes = candidate.result.bytes;
-    const formattedText = candidate.params.encoding === 'ascii'
-      ? formatBytesAsAscii(previewBytes, false, 0) // Preview doesn't have tail info
-      : formatBytesAsUtf8(previewBytes, false, 0);
+    const formattedText = formatBytesAsText(previewBytes, candidate.params.encoding); // Preview doesn't have tail info
     
     const textScore = candidate.textScoreResult?.score ?? 0;
-    const textQuality = calculateTextQualityScore(formattedText, candidate.textScoreResult);
+    const explanation = candidate.components ? explainCandidate(candidate, weights) : null;
+    const textWindow = candidate.textWindows?.best || null;
     const dictionaryScore = candidate.dictionaryScore || 0;
     const detectedLanguage = candidate.detectedLanguage || null;
+    const languageBadge = renderLanguageGuessBadge(candidate) + renderTransliterationBadge(candidate);
     
     const item = document.createElement('div');
     item.className = 'candidate-item';
@@ -419,10 +840,7 @@ function displayCandidates(candidates) {
     const previewText = preview + (previewBytes.length >= 100 ? '...' : '');
     
     const isJpegDct = candidate._isJpegDct;
-    const channels = isJpegDct ? '' : `${candidate.params.useR ? 'R' : ''}${candidate.params.useG ? 'G' : ''}${candidate.params.useB ? 'B' : ''}`;
-    const paramsLabel = isJpegDct
-      ? 'JPEG DCT'
-      : `${candidate.params.bitsPerChannel}bit/${channels} ${candidate.params.order} ${candidate.params.encoding.toUpperCase()}`;
+    const paramsLabel = isJpegDct ? 'JPEG DCT' : formatCombination(candidate.params);
     
     // Medal emoji for top-3
     const medal = index === 0 ? '🏆' : index === 1 ? '🥈' : index === 2 ? '🥉' : '';
@@ -434,18 +852,37 @@ function displayCandidates(candidates) {
         ${bestBadge}
         <span class="candidate-params">${paramsLabel}</span>
         <div class="candidate-scores">
+          ${candidate.container ? `<span class="score-badge score-verified">Verified · ${candidate.container.length} bytes</span>` : ''}
           ${textScore > 0 ? `<span class="score-badge score-text">Text: ${(textScore * 100).toFixed(0)}%</span>` : ''}
           ${dictionaryScore > 0 ? `<span class="score-badge score-dict">${detectedLanguage || 'dict'}: ${(dictionaryScore * 100).toFixed(0)}%</span>` : ''}
-          <span class="score-badge score-quality">Quality: ${textQuality.toFixed(0)}</span>
+          ${languageBadge}
+          ${textWindow && textWindow.offset > 0 ? `<a href="#" class="score-badge score-window hex-jump" data-offset="${textWindow.offset}" data-length="${textWindow.length}" title="Show in hex view">Text at byte ${textWindow.offset}</a>` : ''}
+          ${explanation ? `<span class="score-badge score-quality">Score: ${explanation.total.toFixed(0)}</span>` : ''}
         </div>
       </div>
       <div class="candidate-preview">${escapeHtml(previewText)}</div>
+      ${explanation ? renderScoreBreakdown(explanation, openBreakdowns.has(candidate.combination)) : ''}
     `;
     
     // Click the whole card to apply
-    item.addEventListener('click', () => {
+    item.addEventListener('click', (e) => {
+      const hexJump = e.target.closest('.hex-jump');
+      if (hexJump) {
+        e.preventDefault();
+        applyCandidate(candidate, { offset: Number(hexJump.dataset.offset), length: Number(hexJump.dataset.length) });
+        return;
+      }
+      // Opening the score breakdown should not decode the candidate
+      if (e.target.closest('.score-breakdown')) return;
       applyCandidate(candidate);
     });
+    const breakdown = item.querySelector('.score-breakdown');
+    if (breakdown) {
+      breakdown.addEventListener('toggle', () => {
+        if (breakdown.open) openBreakdowns.add(candidate.combination);
+        else openBreakdowns.delete(candidate.combination);
+      });
+    }
     
     candidatesList.appendChild(item);
   });
@@ -458,41 +895,378 @@ function displayCandidates(candidates) {
   candidatesSection.style.display = 'block';
 }
 
-function calculateTextQualityScore(text, textScoreResult) {
-  if (!text || text.length === 0 || !textScoreResult) {
-    return 0;
-  }
-  
-  let score = (textScoreResult.score || 0) * 70;
-  
-  if (textScoreResult.metrics?.components) {
-    const comp = textScoreResult.metrics.components;
-    score += comp.ctrlScore * 10;
-    score += comp.compScore * 5;
-    score += comp.entScore * 5;
-  }
-  
-  const sample = text.substring(0, Math.min(200, text.length));
-  const letterCount = (sample.match(/[a-zA-Zа-яА-Я]/g) || []).length;
-  const letterRatio = letterCount / sample.length;
-  
-  if (letterRatio >= 0.3 && letterRatio <= 0.8) {
-    score += 10;
-  } else if (letterRatio < 0.1) {
-    score -= 10;
-  }
-  
-  if (sample.includes(' ') || sample.includes('\n') || sample.includes('\t')) {
-    score += 5;
+function formatRatio(value, digits = 2) {
+  return typeof value === 'number' && Number.isFinite(value) ? value.toFixed(digits) : 'n/a';
+}
+
+function formatPercent(value) {
+  return `${formatRatio(value * 100, 0)}%`;
+}
+
+/**
+ * Renders the trigram language guess of a candidate as a badge, unless a dictionary already
+ * found the same language or the guess is too weak to mean anything.
+ * @param {Object} candidate - Auto-detect candidate
+ * @returns {string} HTML, empty when there is nothing to show
+ */
+function renderLanguageGuessBadge(candidate) {
+  const guess = candidate.languageGuess;
+  if (!guess || !guess.language || guess.confidence < LANGUAGE_BADGE_MIN_CONFIDENCE) return '';
+  if (candidate.dictionaryScore > 0 && candidate.detectedLanguage === guess.language) return '';
+  return `<span class="score-badge score-lang" title="Character trigram language model">${escapeHtml(guess.language)} ≈ ${formatPercent(guess.confidence)}</span>`;
+}
+
+/**
+ * Renders the transliteration scheme a candidate's text matched as a badge.
+ * @param {Object} candidate - Auto-detect candidate
+ * @returns {string} HTML, empty when the text is not transliterated
+ */
+function renderTransliterationBadge(candidate) {
+  const transliteration = candidate.transliteration;
+  if (!transliteration) return '';
+  return `<span class="score-badge score-translit" title="${escapeHtml(transliteration.label)}">${escapeHtml(transliteration.language)} translit: ${formatPercent(transliteration.score)}</span>`;
+}
+
+/**
+ * Renders the collapsible "why this rank" panel of a candidate card.
+ * @param {Object} explanation - Output of explainCandidate
+ * @param {boolean} open - Render it expanded
+ * @returns {string} HTML
+ */
+function renderScoreBreakdown(explanation, open) {
+  const { total, parts, printableLength, textScore, languages, languageGuess, transliteration, textWindows, zeroByteTail } = explanation;
+
+  const partRows = parts.map(part => `
+    <tr>
+      <td>${escapeHtml(part.label)}</td>
+      <td>${formatPercent(part.value)}</td>
+      <td>× ${part.weight}</td>
+      <td>${part.contribution.toFixed(1)}</td>
+    </tr>`).join('');
+
+  let textScoreDetails = 'not computed';
+  if (textScore) {
+    const { components, metrics } = textScore;
+    const details = [`${formatPercent(textScore.score)}${textScore.mode ? ` (${textScore.mode} mode)` : ''}`];
+    if (textScore.reason) details.push(`cut: ${textScore.reason.replace(/_/g, ' ')}`);
+    if (components) {
+      details.push(`comp ${formatRatio(components.compScore)} · ent ${formatRatio(components.entScore)} · bigram ${formatRatio(components.biScore)}`);
+      details.push(`gates: letters ${formatRatio(components.letterGate)} · punctuation ${formatRatio(components.punctGate)} · spaces ${formatRatio(components.spaceGate)}`);
+    }
+    if (metrics.unspaced) details.push('no spaces expected (Chinese, Japanese or Thai script)');
+    if (metrics.entropy !== undefined) {
+      details.push(`entropy ${formatRatio(metrics.entropy)} bits/byte · unique bigrams ${formatRatio(metrics.uniqBigramRatio)} · gzip ratio ${formatRatio(metrics.compressRatio)}`);
+      details.push(`letters ${formatPercent(metrics.letterRatio)} · spaces ${formatPercent(metrics.spaceRatio)} · punctuation ${formatPercent(metrics.punctRatio)}`);
+    }
+    textScoreDetails = details.map(escapeHtml).join('<br>');
   }
-  
-  const specialCharCount = (sample.match(/[!@#$%^&*()_+\-=\[\]{};':"\\|,.<>\/?`~]/g) || []).length;
-  const specialCharRatio = specialCharCount / sample.length;
-  if (specialCharRatio > 0.3) {
-    score -= 10;
+
+  const dictionaryDetails = languages.length > 0
+    ? languages.map(entry => escapeHtml(
+      `${entry.language}: ${entry.matches}/${entry.totalWords} words, ${entry.matchedChars} chars (${formatPercent(entry.score)})`,
+    )).join('<br>')
+    : 'no dictionaries loaded';
+  const languageGuessDetails = languageGuess.language
+    ? escapeHtml(`${languageGuess.language} (confidence ${formatPercent(languageGuess.confidence)})`
+      + (languageGuess.runnerUp ? `, next: ${languageGuess.runnerUp}` : ''))
+    : 'no letters';
+  const transliterationDetails = transliteration
+    ? escapeHtml(`${transliteration.label}: dictionary ${formatPercent(transliteration.dictionaryScore)}, `
+      + `language model ${formatPercent(transliteration.confidence)} · ${transliteration.text.slice(0, 60)}`)
+    : 'none';
+
+  const formatWindow = (window, extra) => `${window.length} bytes at offset ${window.offset}${extra}`
+    + ` <a href="#" class="hex-jump" data-offset="${window.offset}" data-length="${window.length}">show in hex</a>`;
+  const windowDetails = textWindows.longest
+    ? [
+      `longest: ${formatWindow(textWindows.longest, '')}`,
+      `most text-like: ${formatWindow(textWindows.best, ` (textScore ${formatPercent(textWindows.best.score)})`)}`,
+    ].join('<br>')
+    : 'none';
+
+  return `
+    <details class="score-breakdown"${open ? ' open' : ''}>
+      <summary>Score breakdown</summary>
+      <table class="score-parts">
+        <thead><tr><th>Scorer</th><th>Value</th><th>Weight</th><th>Points</th></tr></thead>
+        <tbody>${partRows}</tbody>
+        <tfoot><tr><td colspan="3">Rank score</td><td>${total.toFixed(1)}</td></tr></tfoot>
+      </table>
+      <dl class="score-evidence">
+        <dt>Printable prefix</dt><dd>${printableLength} bytes</dd>
+        <dt>textScore</dt><dd>${textScoreDetails}</dd>
+        <dt>Text windows</dt><dd>${windowDetails}</dd>
+        <dt>Dictionaries</dt><dd>${dictionaryDetails}</dd>
+        <dt>Language model</dt><dd>${languageGuessDetails}</dd>
+        <dt>Transliteration</dt><dd>${transliterationDetails}</dd>
+        <dt>Zero-byte tail</dt><dd>${zeroByteTail ? 'yes' : 'no'}</dd>
+      </dl>
+    </details>
+  `;
+}
+
+/**
+ * Builds the candidate shown for a JPEG DCT message, in the shape of an auto-detect candidate.
+ * @param {string} message - Decoded DCT message
+ * @returns {Object} Candidate
+ */
+function buildJpegDctCandidate(message) {
+  return {
+    params: {
+      bitsPerChannel: '-',
+      useR: false, useG: false, useB: false, useA: false,
+      order: 'dct',
+      encoding: 'utf8',
+    },
+    result: {
+      text: message,
+      bytes: new TextEncoder().encode(message),
+    },
+    textScoreResult: { score: 1 },
+    dictionaryScore: 0,
+    detectedLanguage: null,
+    _isJpegDct: true,
+  };
+}
+
+/**
+ * Runs autoDetectParametersByMaxLength and the JPEG DCT check on a pool of autoDetectWorker.js
+ * workers, one per core (see runAutoDetectShards). With options.bitAlignment, the grid is
+ * searched first and a second round tries bit offsets 1-7 for the best streams of the merged
+ * grid and of earlier candidates (see pickAlignmentStreams), or for options.alignmentStreams
+ * when a search that already picked them is continued.
+ *
+ * @param {ImageData} imageData - Image to analyze
+ * @param {Object} options - Options for autoDetectParametersByMaxLength (no callbacks)
+ * @param {Object} handlers - onJpegCandidate, onProgress, onCurrentParams, onCandidateScored and
+ *   onCandidate callbacks
+ * @param {AbortSignal} abortSignal - Signal wired to the STOP button
+ * @param {Object[]} [earlierCandidates] - Candidates of the search being continued
+ * @returns {Promise<Object>} Merged detection result; alignmentStreams holds the streams of the
+ *   second round, if it ran
+ */
+async function runAutoDetectPool(imageData, options, handlers, abortSignal, earlierCandidates = []) {
+  const grid = await runAutoDetectShards(imageData, { ...options, bitAlignment: false, alignmentStreams: null }, handlers, abortSignal, true);
+  if (!options.bitAlignment || grid.earlyStop) {
+    return grid;
   }
-  
-  return Math.max(0, Math.min(100, score));
+  // Continuing a search keeps its picks and skipped combinations; otherwise the whole round runs
+  const alignmentOptions = options.alignmentStreams
+    ? options
+    : {
+      ...options,
+      alignmentStreams: pickAlignmentStreams(rankCandidates([...earlierCandidates, ...grid.candidates], options.weights)),
+      onlyCombinations: null,
+    };
+  const aligned = await runAutoDetectShards(imageData, alignmentOptions, {
+    ...handlers,
+    onCandidate: (sortedCandidates) => handlers.onCandidate(
+      mergeDetections([grid, { candidates: sortedCandidates }], options.weights).candidates,
+    ),
+  }, abortSignal, false);
+  return { ...mergeDetections([grid, aligned], options.weights), alignmentStreams: alignmentOptions.alignmentStreams };
+}
+
+/**
+ * Runs one round of autoDetectParametersByMaxLength on a pool of autoDetectWorker.js workers.
+ * Each worker searches one shard of the candidate grid and, when withDct is set, extracts one
+ * band of DCT block rows; the results are merged into a single sorted candidate list.
+ * When one shard meets options.stopWhen, the others are told to stop and report what they skipped.
+ * The workers never get one copy of the image each: on a cross-origin isolated page they share
+ * one copy of the pixels (see sharePixels); otherwise each gets only the bit planes its search
+ * reads (see extractSearchPlanes) and its band of DCT block rows, transferred, and asks this thread
+ * for the few longer container reads. The copies are released when the round ends.
+ * Aborting the signal terminates the workers and rejects with an AbortError.
+ *
+ * @param {ImageData} imageData - Image to analyze
+ * @param {Object} options - Options for autoDetectParametersByMaxLength (no callbacks)
+ * @param {Object} handlers - Callbacks, see runAutoDetectPool
+ * @param {AbortSignal} abortSignal - Signal wired to the STOP button
+ * @param {boolean} withDct - Also run the JPEG DCT check
+ * @returns {Promise<Object>} Merged detection result
+ */
+function runAutoDetectShards(imageData, options, handlers, abortSignal, withDct) {
+  return new Promise((resolve, reject) => {
+    const size = Math.max(1, navigator.hardwareConcurrency || 1);
+    // The DCT block grid spans the whole image, so it is skipped when a region is selected
+    const blockRows = options.region || !withDct ? 0 : Math.floor(imageData.height / 8);
+    // What the workers read instead of a copy of the image each (see above)
+    let pixels = canSharePixels() ? sharePixels(imageData) : null;
+    let planes = pixels ? null : extractSearchPlanes(imageData, options);
+
+    const workers = [];
+    const progress = Array.from({ length: size }, () => ({ current: 0, total: 0 }));
+    const shardCandidates = Array.from({ length: size }, () => []);
+    const detections = new Array(size);
+    const dctBands = new Array(size);
+    let bandsReceived = 0;
+    let shardsDone = 0;
+    let settled = false;
+
+    const finish = () => {
+      settled = true;
+      workers.forEach(worker => worker.terminate());
+      pixels = null;
+      planes = null;
+      abortSignal.removeEventListener('abort', onAbort);
+    };
+    const onAbort = () => {
+      finish();
+      reject(new DOMException('The operation was aborted.', 'AbortError'));
+    };
+    const fail = (message) => {
+      finish();
+      reject(new Error(message));
+    };
+    // Answers a worker searching planes that found a framed container longer than they hold
+    const readStreamFor = (worker, id, decodeOptions) => {
+      try {
+        const decoded = decodeLSB(imageData, decodeOptions);
+        worker.postMessage({ type: 'stream', id, decoded }, [decoded.bytes.buffer]);
+      } catch (e) {
+        worker.postMessage({ type: 'stream', id, error: e.message });
+      }
+    };
+    const totals = () => progress.reduce(
+      (sum, p) => ({ current: sum.current + p.current, total: sum.total + p.total }),
+      { current: 0, total: 0 },
+    );
+
+    const onJpegBits = (index, bits) => {
+      dctBands[index] = bits;
+      if (++bandsReceived < size) {
+        return;
+      }
+      const allBits = new Uint8Array(dctBands.reduce((length, band) => length + band.length, 0));
+      dctBands.reduce((offset, band) => {
+        allBits.set(band, offset);
+        return offset + band.length;
+      }, 0);
+      const dctResult = jpegDecodeBits(allBits);
+      if (dctResult.valid && dctResult.message.length > 0) {
+        handlers.onJpegCandidate(buildJpegDctCandidate(dctResult.message));
+      }
+    };
+
+    const onMessage = (index, message) => {
+      // Messages already queued when the pool was stopped are dropped
+      if (settled) {
+        return;
+      }
+      switch (message.type) {
+        case 'jpegBits':
+          onJpegBits(index, message.bits);
+          break;
+        case 'progress':
+        case 'currentParams': {
+          const { current, total } = message.type === 'progress' ? message : message.params;
+          progress[index] = { current, total };
+          const sum = totals();
+          if (message.type === 'progress') {
+            handlers.onProgress(sum.current, sum.total, Math.round((sum.current / sum.total) * 100));
+          } else {
+            handlers.onCurrentParams({ ...message.params, ...sum });
+          }
+          break;
+        }
+        case 'scored':
+          handlers.onCandidateScored(message.candidate);
+          break;
+        case 'readStream':
+          readStreamFor(workers[index], message.id, message.options);
+          break;
+        case 'candidates':
+          shardCandidates[index] = message.candidates;
+          handlers.onCandidate(mergeDetections(shardCandidates.map(candidates => ({ candidates })), options.weights).candidates);
+          break;
+        case 'done':
+          detections[index] = message.detection;
+          if (message.detection.earlyStop) {
+            workers.forEach(worker => worker.postMessage({ type: 'stop' }));
+          }
+          if (++shardsDone === size) {
+            finish();
+            resolve(mergeDetections(detections, options.weights));
+          }
+          break;
+        case 'error':
+          fail(message.message);
+          break;
+      }
+    };
+
+    if (abortSignal.aborted) {
+      onAbort();
+      return;
+    }
+    abortSignal.addEventListener('abort', onAbort);
+
+    for (let index = 0; index < size; index++) {
+      const worker = new Worker(new URL('./autoDetectWorker.js', import.meta.url), { type: 'module' });
+      workers.push(worker);
+      worker.addEventListener('message', (event) => onMessage(index, event.data));
+      worker.addEventListener('error', (event) => {
+        if (!settled) {
+          fail(event.message || 'Auto-detect worker failed to start');
+        }
+      });
+
+      const firstRow = Math.floor((index * blockRows) / size);
+      const dctRows = blockRows > 0
+        ? { firstRow, rowCount: Math.floor(((index + 1) * blockRows) / size) - firstRow }
+        : null;
+      const start = { type: 'start', options, shard: { index, count: size } };
+      if (pixels) {
+        worker.postMessage({ ...start, imageData: pixels, planes: null, dctRows });
+        continue;
+      }
+      // Every worker needs all the planes, so only the last one takes the originals
+      const workerPlanes = index === size - 1 ? planes : clonePlanes(planes);
+      const band = dctRows && dctRows.rowCount > 0 ? cropBlockRows(imageData, dctRows) : null;
+      worker.postMessage({
+        ...start,
+        imageData: band,
+        planes: workerPlanes,
+        dctRows: dctRows && { firstRow: 0, rowCount: dctRows.rowCount },
+      }, [
+        ...[...workerPlanes.values()].flatMap(({ channels }) => channels.map(values => values.buffer)),
+        ...(band ? [band.data.buffer] : []),
+      ]);
+    }
+    planes = null;
+  });
+}
+
+// SharedArrayBuffer is only usable on cross-origin isolated pages
+function canSharePixels() {
+  return typeof SharedArrayBuffer !== 'undefined' && self.crossOriginIsolated === true;
+}
+
+/**
+ * Copies the pixels once into shared memory that every worker reads. ImageData cannot wrap
+ * shared memory, so the copy is a plain { data, width, height } object, which is all lsb.js reads.
+ *
+ * @param {ImageData} imageData - Image to share
+ * @returns {{ data: Uint8ClampedArray, width: number, height: number }}
+ */
+function sharePixels(imageData) {
+  const data = new Uint8ClampedArray(new SharedArrayBuffer(imageData.data.length));
+  data.set(imageData.data);
+  return { data, width: imageData.width, height: imageData.height };
+}
+
+function clonePlanes(planes) {
+  return new Map([...planes].map(([order, plane]) => [
+    order,
+    { ...plane, channels: plane.channels.map(values => values.slice()) },
+  ]));
+}
+
+// Pixel rows of DCT block rows { firstRow, rowCount }, for jpegExtractBits from row 0
+function cropBlockRows(imageData, { firstRow, rowCount }) {
+  const rowBytes = imageData.width * 4;
+  const data = imageData.data.slice(firstRow * 8 * rowBytes, (firstRow + rowCount) * 8 * rowBytes);
+  return new ImageData(data, imageData.width, rowCount * 8);
 }
 
 async function handleAutoDetectClick() {
@@ -521,12 +1295,22 @@ async function handleAutoDetectClick() {
     return;
   }
 
+  await runAutoDetect(null);
+}
+
+/**
+ * Runs an auto-detect search and shows its candidates.
+ * @param {Object|null} resume - lastAutoDetect of an early-stopped search to continue with its
+ *   skipped combinations, or null for a new search with the current settings
+ */
+async function runAutoDetect(resume) {
   setStatus('');
   // Clear only text/hex outputs, not candidates
   textOutput.textContent = '';
   hexOutput.textContent = '';
   fullDecodedText = '';
   fullDecodedHex = '';
+  showTransliteration(null);
   decodedTextSection.style.display = 'none';
   hexViewSection.style.display = 'none';
 
@@ -564,64 +1348,73 @@ async function handleAutoDetectClick() {
   // Create AbortController for cancellation
   autoDetectAbortController = new AbortController();
 
-  // Pre-compute JPEG DCT candidate (fast) to prepend to real-time updates
   let jpegDctCandidate = null;
-  try {
-    const dctResult = jpegDecode(currentImageData);
-    if (dctResult.valid && dctResult.message.length > 0) {
-      jpegDctCandidate = {
-        params: {
-          bitsPerChannel: '-',
-          useR: false, useG: false, useB: false,
-          order: 'dct',
-          encoding: 'utf8',
-        },
-        result: {
-          text: dctResult.message,
-          bytes: new TextEncoder().encode(dctResult.message),
-        },
-        textScoreResult: { score: 1 },
-        dictionaryScore: 0,
-        detectedLanguage: null,
-        _isJpegDct: true,
-      };
-      displayCandidates([jpegDctCandidate]);
-    }
-  } catch (_) { /* JPEG DCT not present — that's fine */ }
+  showEarlyStop(null);
+
+  // A continued search keeps the original grid (combination numbers depend on it) and only
+  // tries what was skipped; its candidates are merged with the earlier ones
+  const weights = readWeights();
+  const options = resume
+    ? { ...resume.options, weights, stopWhen: null, onlyCombinations: resume.detection.skipped.map(s => s.combination) }
+    : {
+      bitsPerChannel: [1, 2, 3, 4],
+      quickMode: false,
+      extendedOrders: extendedOrdersInput ? extendedOrdersInput.checked : false,
+      singleBitPlanes: singleBitPlanesInput ? singleBitPlanesInput.checked : false,
+      bitAlignment: bitAlignmentInput ? bitAlignmentInput.checked : false,
+      encodings: legacyCharsetsInput && legacyCharsetsInput.checked ? Object.keys(TEXT_ENCODINGS) : ['utf8', 'ascii'],
+      region: selectedRegion,
+      cpuLimit: cpuLimitSelect ? Number(cpuLimitSelect.value) : 1,
+      stopWhen: readStopCondition(),
+      weights,
+    };
+  const previous = resume ? { ...resume.detection, skipped: [], earlyStop: null } : null;
+  lastAutoDetect = null;
+  // Leader shown in the live panel; a continued search starts from the earlier winner
+  let liveLeaderCandidate = previous ? previous.candidates[0] || null : null;
+  if (livePreview) livePreview.style.display = 'none';
 
   try {
     const t0 = performance.now();
-    const detection = await autoDetectParametersByMaxLength(currentImageData, {
-      bitsPerChannel: [1, 2, 3, 4],
-      quickMode: false,
+    const shardDetection = await runAutoDetectPool(currentImageData, options, {
+      onJpegCandidate: (candidate) => {
+        // JPEG DCT candidate (fast) is prepended to real-time updates
+        jpegDctCandidate = candidate;
+        displayCandidates([jpegDctCandidate]);
+      },
       onProgress: (current, total, percentage) => {
-        if (autoDetectAbortController && autoDetectAbortController.signal.aborted) {
-          return;
-        }
         progressBar.style.width = `${percentage}%`;
         progressText.textContent = `${percentage}%`;
       },
       onCurrentParams: (params) => {
-        if (autoDetectAbortController && autoDetectAbortController.signal.aborted) {
-          return;
-        }
         if (currentParamsText) {
-          currentParamsText.textContent = `Testing: ${params.bitsPerChannel}bit/${params.channels} ${params.order} ${params.encoding.toUpperCase()} (${params.current}/${params.total})`;
+          currentParamsText.textContent = `Testing: ${formatCombination(params)} (${params.current}/${params.total})`;
         }
       },
+      onCandidateScored: (candidate) => {
+        const leaderChanged = !liveLeaderCandidate || compareCandidates(candidate, liveLeaderCandidate, weights) < 0;
+        if (leaderChanged) {
+          liveLeaderCandidate = candidate;
+        }
+        showLiveCandidate(candidate, liveLeaderCandidate, leaderChanged);
+      },
       onCandidate: (sortedCandidates) => {
         // Update candidates list in real-time, prepend JPEG DCT if valid
-        if (autoDetectAbortController && autoDetectAbortController.signal.aborted) {
-          return;
-        }
-        const merged = jpegDctCandidate
-          ? [jpegDctCandidate, ...sortedCandidates]
+        const lsbCandidates = previous
+          ? mergeDetections([previous, { candidates: sortedCandidates }], weights).candidates
           : sortedCandidates;
+        const merged = jpegDctCandidate
+          ? [jpegDctCandidate, ...lsbCandidates]
+          : lsbCandidates;
         displayCandidates(merged);
       },
-      abortSignal: autoDetectAbortController.signal,
-    });
+    }, autoDetectAbortController.signal, previous ? previous.candidates : []);
     const t1 = performance.now();
+    const detection = previous ? mergeDetections([previous, shardDetection], weights) : shardDetection;
+    // A continued search tries the same alignment streams, so skipped combinations keep their meaning
+    const alignmentStreams = shardDetection.alignmentStreams || options.alignmentStreams || null;
+    lastAutoDetect = { options: { ...options, alignmentStreams }, detection, jpegDctCandidate };
+    showEarlyStop(detection);
 
     // Hide progress bar and restore button
     progressContainer.style.display = 'none';
@@ -650,7 +1443,8 @@ async function handleAutoDetectClick() {
 
     displayCandidates(finalCandidates);
     
-    setStatus(`Found ${detection.candidates.length} candidate(s) in ~${(t1 - t0).toFixed(0)}ms. Select one to view details.`, false);
+    const skippedNote = detection.skipped.length > 0 ? ` ${detection.skipped.length} combination(s) skipped.` : '';
+    setStatus(`Found ${detection.candidates.length} candidate(s) in ~${(t1 - t0).toFixed(0)}ms.${skippedNote} Select one to view details.`, false);
   } catch (e) {
     if (e.name === 'AbortError') {
       setStatus('Auto-detect stopped by user.', false);
@@ -703,6 +1497,10 @@ function handleFile(file) {
 
         imagePreview.src = url;
         imagePreview.style.display = 'block';
+        setSelectedRegion(null);
+        lastAutoDetect = null;
+        openBreakdowns.clear();
+        showEarlyStop(null);
         updateMetadata(file, currentImageData);
         updateImageUI(true);
         // Notify encoder about new image
@@ -723,6 +1521,7 @@ function handleFile(file) {
         console.error('Canvas decode error', e);
         currentImageData = null;
         imagePreview.removeAttribute('src');
+        setSelectedRegion(null);
         updateMetadata(null, null);
         updateImageUI(false);
         setStatus('Failed to read pixels from image.', true);
@@ -731,6 +1530,7 @@ function handleFile(file) {
     img.onerror = () => {
       currentImageData = null;
       imagePreview.removeAttribute('src');
+      setSelectedRegion(null);
       updateMetadata(null, null);
       updateImageUI(false);
       setStatus('Failed to load image.', true);
@@ -851,7 +1651,30 @@ function init() {
 
   decodeButton.addEventListener('click', handleDecodeClick);
   autoDetectButton.addEventListener('click', handleAutoDetectClick);
+  if (continueSearchButton) {
+    continueSearchButton.addEventListener('click', () => {
+      if (lastAutoDetect && !autoDetectAbortController) {
+        runAutoDetect(lastAutoDetect);
+      }
+    });
+  }
+  if (rankingWeights) {
+    buildWeightInputs();
+    rankingWeights.addEventListener('change', rerankCandidates);
+  }
   bitsPerChannelInput.addEventListener('blur', onBitsPerChannelBlur);
+
+  // Drag a rectangle on the preview to restrict decoding to a region
+  imagePreview.addEventListener('pointerdown', handlePreviewPointerDown);
+  imagePreview.addEventListener('pointermove', handlePreviewPointerMove);
+  imagePreview.addEventListener('pointerup', handlePreviewPointerUp);
+  window.addEventListener('resize', () => showRegionOverlay(selectedRegion));
+  if (clearRegionLink) {
+    clearRegionLink.addEventListener('click', (e) => {
+      e.preventDefault();
+      setSelectedRegion(null);
+    });
+  }
   
   // Toggle manual decode options
   if (manualDecodeToggle && manualDecodeOptions) {
@@ -874,6 +1697,9 @@ function init() {
   channelBInput.addEventListener('change', () => {
     ensureAtLeastOneChannel();
   });
+  channelAInput.addEventListener('change', () => {
+    ensureAtLeastOneChannel();
+  });
 
   copyTextButton.addEventListener('click', () =>
     copyToClipboard(fullDecodedText || textOutput.textContent),
@@ -0,0 +1,225 @@
+/**
+ * Compact word lists for dictionary-based language detection.
+ *
+ * Each language ships as its own binary file (dictionaries/<code>.dict) holding its words
+ * sorted by UTF-8 bytes and front-coded in blocks:
+ *
+ *   offset  size  field
+ *   0       3     magic "SWD"
+ *   3       1     format version (1)
+ *   4       1     words per block
+ *   5       3     reserved (0)
+ *   8       4     word count (uint32, little-endian)
+ *   12      4     block count (uint32, little-endian)
+ *   16      4×N   start of each block, relative to the end of this table
+ *   ...           blocks: first word as (length, bytes), every other word as
+ *                 (bytes shared with the previous word, suffix length, suffix bytes)
+ *
+ * A lookup binary-searches the first words of the blocks and then walks one block, so the
+ * words stay in one small buffer instead of one string per word in a Set.
+ */
+
+/**
+ * Languages with a dictionary file, highest priority first. Dictionaries are loaded and
+ * checked in this order, so ties between languages go to the earlier one.
+ */
+export const DICTIONARY_LANGUAGES = ['en', 'ru', 'de', 'fr', 'es', 'pt'];
+
+const DICTIONARY_DIRECTORY = './dictionaries/';
+const MAGIC = [0x53, 0x57, 0x44]; // "SWD"
+const FORMAT_VERSION = 1;
+const HEADER_BYTES = 16;
+const DEFAULT_BLOCK_SIZE = 16;
+// Lengths are stored in one byte
+const MAX_WORD_BYTES = 255;
+
+const encoder = new TextEncoder();
+
+function compareBytes(a, b) {
+  const length = Math.min(a.length, b.length);
+  for (let i = 0; i < length; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return a.length - b.length;
+}
+
+/**
+ * Builds a dictionary file from a word list. Words are trimmed and lowercased like the
+ * text they are matched against; duplicates, empty words and words over 255 UTF-8 bytes
+ * are dropped.
+ *
+ * @param {string[]} words - Words of one language
+ * @param {number} [blockSize=16] - Words per front-coded block (1-255)
+ * @returns {Uint8Array} Dictionary file contents
+ */
+export function encodeDictionary(words, blockSize = DEFAULT_BLOCK_SIZE) {
+  if (!Number.isInteger(blockSize) || blockSize < 1 || blockSize > 255) {
+    throw new Error('blockSize must be an integer from 1 to 255');
+  }
+  const unique = new Set(words.map(word => String(word).trim().toLowerCase()).filter(Boolean));
+  const keys = [...unique]
+    .map(word => encoder.encode(word))
+    .filter(key => key.length <= MAX_WORD_BYTES)
+    .sort(compareBytes);
+
+  const blockCount = Math.ceil(keys.length / blockSize);
+  const offsets = [];
+  const data = [];
+  keys.forEach((key, index) => {
+    if (index % blockSize === 0) {
+      offsets.push(data.length);
+      data.push(key.length, ...key);
+      return;
+    }
+    const previous = keys[index - 1];
+    let shared = 0;
+    while (shared < key.length && shared < previous.length && key[shared] === previous[shared]) shared++;
+    data.push(shared, key.length - shared, ...key.subarray(shared));
+  });
+
+  const bytes = new Uint8Array(HEADER_BYTES + 4 * blockCount + data.length);
+  const view = new DataView(bytes.buffer);
+  bytes.set(MAGIC, 0);
+  bytes[3] = FORMAT_VERSION;
+  bytes[4] = blockSize;
+  view.setUint32(8, keys.length, true);
+  view.setUint32(12, blockCount, true);
+  offsets.forEach((offset, block) => view.setUint32(HEADER_BYTES + 4 * block, offset, true));
+  bytes.set(data, HEADER_BYTES + 4 * blockCount);
+  return bytes;
+}
+
+/**
+ * Opens a dictionary file for lookups without unpacking it.
+ *
+ * @param {Uint8Array} bytes - Output of encodeDictionary
+ * @returns {{ size: number, has: (word: string) => boolean }} Word set with the lookup part of
+ *   the Set interface; words must be lowercase, as stored
+ * @throws {Error} If the bytes are not a dictionary file of a known version
+ */
+export function openDictionary(bytes) {
+  if (bytes.length < HEADER_BYTES || MAGIC.some((byte, i) => bytes[i] !== byte)) {
+    throw new Error('Not a dictionary file');
+  }
+  if (bytes[3] !== FORMAT_VERSION) {
+    throw new Error(`Unsupported dictionary version ${bytes[3]}`);
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const blockSize = bytes[4];
+  const size = view.getUint32(8, true);
+  const blockCount = view.getUint32(12, true);
+  const dataStart = HEADER_BYTES + 4 * blockCount;
+  const blockStarts = Uint32Array.from({ length: blockCount }, (_, block) =>
+    dataStart + view.getUint32(HEADER_BYTES + 4 * block, true));
+
+  // Reused for every lookup: the query and the word being rebuilt from a block
+  const key = new Uint8Array(MAX_WORD_BYTES);
+  const word = new Uint8Array(MAX_WORD_BYTES);
+  let keyLength = 0;
+
+  // Compares source[start, start + length) with the query, like compareBytes
+  const compareWithKey = (source, start, length) => {
+    const common = Math.min(length, keyLength);
+    for (let i = 0; i < common; i++) {
+      if (source[start + i] !== key[i]) return source[start + i] - key[i];
+    }
+    return length - keyLength;
+  };
+
+  // Writes the query's UTF-8 bytes to key; ASCII, the common case, skips the encoder
+  const encodeKey = (query) => {
+    if (query.length > MAX_WORD_BYTES) return false;
+    for (let i = 0; i < query.length; i++) {
+      const code = query.charCodeAt(i);
+      if (code > 0x7F) {
+        const { read, written } = encoder.encodeInto(query, key);
+        keyLength = written;
+        return read === query.length;
+      }
+      key[i] = code;
+    }
+    keyLength = query.length;
+    return true;
+  };
+
+  const has = (query) => {
+    if (blockCount === 0 || typeof query !== 'string') return false;
+    if (!encodeKey(query)) return false; // Longer than any stored word
+
+    // Last block whose first word is <= the query
+    let low = 0;
+    let high = blockCount - 1;
+    while (low < high) {
+      const middle = (low + high + 1) >> 1;
+      const start = blockStarts[middle];
+      if (compareWithKey(bytes, start + 1, bytes[start]) <= 0) low = middle;
+      else high = middle - 1;
+    }
+
+    let position = blockStarts[low];
+    let length = bytes[position];
+    word.set(bytes.subarray(position + 1, position + 1 + length));
+    position += 1 + length;
+    const wordsInBlock = Math.min(blockSize, size - low * blockSize);
+    for (let i = 0; ; i++) {
+      const order = compareWithKey(word, 0, length);
+      if (order === 0) return true;
+      if (order > 0 || i === wordsInBlock - 1) return false;
+      const shared = bytes[position];
+      const suffixLength = bytes[position + 1];
+      for (let j = 0; j < suffixLength; j++) word[shared + j] = bytes[position + 2 + j];
+      length = shared + suffixLength;
+      position += 2 + suffixLength;
+    }
+  };
+
+  return { size, has };
+}
+
+// Loaded languages, shared by every search in this page or worker; a failed load is
+// forgotten once it settles, so the next search requests the file again
+const dictionaryPromises = new Map();
+
+function loadDictionary(language) {
+  if (!dictionaryPromises.has(language)) {
+    const path = `${DICTIONARY_DIRECTORY}${language}.dict`;
+    const loading = (async () => {
+      try {
+        const response = await fetch(path);
+        if (!response.ok) {
+          console.warn(`Failed to load dictionary file ${path}`);
+          return null;
+        }
+        return openDictionary(new Uint8Array(await response.arrayBuffer()));
+      } catch (error) {
+        console.warn(`Error loading dictionary file ${path}:`, error);
+        return null;
+      }
+    })();
+    dictionaryPromises.set(language, loading);
+    loading.then((dictionary) => {
+      if (!dictionary) dictionaryPromises.delete(language);
+    });
+  }
+  return dictionaryPromises.get(language);
+}
+
+/**
+ * Loads the dictionaries of some languages, each on first use only. Files are requested one
+ * at a time in DICTIONARY_LANGUAGES order, so the most likely languages are ready first.
+ *
+ * @param {string[]|null} [languages] - Language codes to load (default: all)
+ * @returns {Promise<Map<string, Object>>} Language to word set (see openDictionary), in
+ *   priority order; languages whose file is missing are left out
+ */
+export async function loadDictionaries(languages = null) {
+  const wanted = languages ? DICTIONARY_LANGUAGES.filter(language => languages.includes(language)) : DICTIONARY_LANGUAGES;
+  const dictionaries = new Map();
+  for (const language of wanted) {
+    const dictionary = await loadDictionary(language);
+    if (dictionary && dictionary.size > 0) {
+      dictionaries.set(language, dictionary);
+    }
+  }
+  return dictionaries;
+}
@@ -1,4 +1,4 @@
-import { encodeLSB as encodeLSBCore } from './lsb.js';
+import { encodeLSB as encodeLSBCore, CONTAINER_HEADER_BYTES, TEXT_ENCODINGS } from './lsb.js';
 import { jpegEncode as jpegEncodeCore } from './stegojpeg.js';
 
 let currentImageDataForEncode = null;
@@ -37,13 +37,17 @@ const encodeBitsPerChannelInput = document.getElementById('encodeBitsPerChannel'
 const encodeChannelRInput = document.getElementById('encodeChannelR');
 const encodeChannelGInput = document.getElementById('encodeChannelG');
 const encodeChannelBInput = document.getElementById('encodeChannelB');
-const encodeEncodingRadios = document.querySelectorAll('input[name="encodeEncoding"]');
+const encodeChannelAInput = document.getElementById('encodeChannelA');
+const encodeEncodingSelect = document.getElementById('encodeEncoding');
 const encodePixelOrderRadios = document.querySelectorAll('input[name="encodePixelOrder"]');
+const encodeBitOrderRadios = document.querySelectorAll('input[name="encodeBitOrder"]');
 const fillWithZerosInput = document.getElementById('fillWithZeros');
+const encodeContainerInput = document.getElementById('encodeContainer');
+const encodeKeyInput = document.getElementById('encodeKey');
+const encodeLsbMatchingInput = document.getElementById('encodeLsbMatching');
 
 function getSelectedEncodeEncoding() {
-  const checked = Array.from(encodeEncodingRadios).find((r) => r.checked);
-  return checked ? checked.value : 'utf8';
+  return encodeEncodingSelect ? encodeEncodingSelect.value : 'utf8';
 }
 
 function getSelectedEncodePixelOrder() {
@@ -51,6 +55,11 @@ function getSelectedEncodePixelOrder() {
   return checked ? checked.value : 'row';
 }
 
+function getSelectedEncodeBitOrder() {
+  const checked = Array.from(encodeBitOrderRadios).find((r) => r.checked);
+  return checked ? checked.value : 'lsb';
+}
+
 function getSelectedEncodeMethod() {
   return encodeMethodSelect ? encodeMethodSelect.value : 'lossless-lsb';
 }
@@ -162,6 +171,7 @@ function updateCapacity() {
     encodeChannelRInput.checked,
     encodeChannelGInput.checked,
     encodeChannelBInput.checked,
+    encodeChannelAInput.checked,
   ].filter(Boolean).length;
 
   if (channels === 0) {
@@ -170,11 +180,11 @@ function updateCapacity() {
   }
 
   const totalBits = currentImageDataForEncode.width * currentImageDataForEncode.height * channels * bitsPerChannel;
-  const totalBytes = Math.floor(totalBits / 8);
+  const headerBytes = encodeContainerInput && encodeContainerInput.checked ? CONTAINER_HEADER_BYTES : 0;
+  const totalBytes = Math.max(0, Math.floor(totalBits / 8) - headerBytes);
   
-  const encoding = getSelectedEncodeEncoding();
-  const avgBytesPerChar = encoding === 'utf8' ? 2 : 1;
-  const estimatedChars = Math.floor(totalBytes / avgBytesPerChar);
+  const { bytesPerChar } = TEXT_ENCODINGS[getSelectedEncodeEncoding()];
+  const estimatedChars = Math.floor(totalBytes / bytesPerChar);
 
   capacityText.textContent = `~${estimatedChars.toLocaleString()} characters (${totalBytes.toLocaleString()} bytes, ${totalBits.toLocaleString()} bits)`;
   capacityInfo.style.display = 'block';
@@ -273,12 +283,17 @@ if (encodeButton) {
         useR: encodeChannelRInput.checked,
         useG: encodeChannelGInput.checked,
         useB: encodeChannelBInput.checked,
+        useA: encodeChannelAInput.checked,
         pixelOrder: getSelectedEncodePixelOrder(),
+        bitOrder: getSelectedEncodeBitOrder(),
         encoding: getSelectedEncodeEncoding(),
         fillWithZeros: fillWithZerosInput ? fillWithZerosInput.checked : false,
+        container: encodeContainerInput ? encodeContainerInput.checked : false,
+        key: encodeKeyInput ? encodeKeyInput.value : '',
+        embedding: encodeLsbMatchingInput && encodeLsbMatchingInput.checked ? 'match' : 'replace',
       };
 
-      if (!config.useR && !config.useG && !config.useB) {
+      if (!config.useR && !config.useG && !config.useB && !config.useA) {
         throw new Error('At least one channel must be selected');
       }
 
@@ -314,14 +329,10 @@ if (encodeDownloadButton) {
   });
 }
 
-[encodeBitsPerChannelInput, encodeChannelRInput, encodeChannelGInput, encodeChannelBInput].forEach(el => {
+[encodeBitsPerChannelInput, encodeChannelRInput, encodeChannelGInput, encodeChannelBInput, encodeChannelAInput, encodeContainerInput, encodeEncodingSelect].forEach(el => {
   if (el) el.addEventListener('change', updateCapacity);
 });
 
-encodeEncodingRadios.forEach(radio => {
-  if (radio) radio.addEventListener('change', updateCapacity);
-});
-
 // Toggle encoder options visibility
 if (toggleEncoderOptionsBtn && encoderOptions) {
   toggleEncoderOptionsBtn.addEventListener('click', () => {
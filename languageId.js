@@ -0,0 +1,162 @@
+/**
+ * Language identification by character trigrams, for languages without a word list.
+ *
+ * Text is lowercased, cut into words (letters with their combining marks) and each word, padded
+ * with a space on both sides, into overlapping three-character trigrams. Every language has a
+ * profile of its PROFILE_SIZE most frequent trigrams (languageProfiles.js, built from the
+ * extension's translations by buildLanguageProfiles.js). The language whose profile is most
+ * similar to the text's trigram counts (cosine similarity, scaled down when the text has letters
+ * outside the language's alphabet) wins; the confidence is the share of
+ * the text's trigrams that its profile contains, mapped so that ordinary prose scores near 1 and
+ * random characters near 0, and scaled down when few of the visible characters are letters.
+ *
+ * Chinese, Japanese, Korean and Thai texts go to identifyScriptLanguage (scriptText.js)
+ * instead: without spaces, their trigrams would span whole sentences.
+ */
+
+import { LANGUAGE_PROFILES } from './languageProfiles.js';
+import { identifyScriptLanguage } from './scriptText.js';
+
+/**
+ * Trigrams kept per language profile.
+ */
+export const PROFILE_SIZE = 400;
+
+/**
+ * A word: a letter followed by letters and combining marks.
+ */
+export const WORD_PATTERN = /\p{L}[\p{L}\p{M}]*/gu;
+
+// Profile coverage that maps to confidence 0 and 1: random letters cover about 5-15%
+// of their trigrams with the closest profile, prose 40% or more
+const NOISE_COVERAGE = 0.15;
+const TEXT_COVERAGE = 0.4;
+// Texts with fewer trigrams than this get proportionally less confidence
+const MIN_TRIGRAMS = 20;
+// Share of letters among visible characters that maps to confidence 0 and 1: prose is mostly
+// letters, while bytes shown as dots and symbols leave a few letters on their own
+const NOISE_LETTER_SHARE = 0.5;
+const TEXT_LETTER_SHARE = 0.8;
+// Exponent of the alphabet share in the similarity; foreign letters (ş, ı in a Norwegian
+// guess) are strong evidence against a language even when a few trigrams match
+const ALPHABET_EXPONENT = 4;
+
+/**
+ * Counts the character trigrams of a text.
+ *
+ * @param {string} text - Any text
+ * @returns {Map<string, number>} Occurrences per trigram, in first-seen order
+ */
+export function countTrigrams(text) {
+  const counts = new Map();
+  const words = text.toLowerCase().match(WORD_PATTERN) || [];
+  for (const word of words) {
+    const chars = [' ', ...word, ' '];
+    for (let i = 0; i + 3 <= chars.length; i++) {
+      const trigram = chars[i] + chars[i + 1] + chars[i + 2];
+      counts.set(trigram, (counts.get(trigram) || 0) + 1);
+    }
+  }
+  return counts;
+}
+
+// Trigram -> indices of the languages whose profile has it, and each language's alphabet,
+// built on first use
+let index = null;
+
+function getIndex() {
+  if (!index) {
+    const languages = Object.keys(LANGUAGE_PROFILES);
+    const trigramLanguages = new Map();
+    const alphabets = languages.map(language => new Set(LANGUAGE_PROFILES[language].alphabet));
+    const profileSizes = languages.map((language, languageIndex) => {
+      const trigrams = LANGUAGE_PROFILES[language].trigrams.split('|');
+      for (const trigram of trigrams) {
+        if (!trigramLanguages.has(trigram)) trigramLanguages.set(trigram, []);
+        trigramLanguages.get(trigram).push(languageIndex);
+      }
+      return trigrams.length;
+    });
+    index = { languages, trigramLanguages, alphabets, profileSizes };
+  }
+  return index;
+}
+
+function clamp01(x) {
+  return Math.max(0, Math.min(1, x));
+}
+
+// Letter -> occurrences in the text's trigrams, without the padding spaces
+function countLetters(counts) {
+  const letters = new Map();
+  for (const [trigram, count] of counts) {
+    const middle = [...trigram][1];
+    if (middle !== ' ') letters.set(middle, (letters.get(middle) || 0) + count);
+  }
+  return letters;
+}
+
+/**
+ * Guesses the language of a text from its character trigrams.
+ *
+ * @param {string} text - Decoded text
+ * @returns {{ language: string|null, confidence: number, runnerUp: string|null }} Best language
+ *   (null when the text has no letters), confidence in [0, 1] and the second-best language
+ */
+export function identifyLanguage(text) {
+  const scriptGuess = identifyScriptLanguage(text);
+  if (scriptGuess) {
+    return scriptGuess;
+  }
+
+  const counts = countTrigrams(text || '');
+  const { languages, trigramLanguages, alphabets, profileSizes } = getIndex();
+  let total = 0;
+  const hits = new Float64Array(languages.length);
+  for (const [trigram, count] of counts) {
+    total += count;
+    const matches = trigramLanguages.get(trigram);
+    if (matches) {
+      for (const languageIndex of matches) hits[languageIndex] += count;
+    }
+  }
+  if (total === 0) {
+    return { language: null, confidence: 0, runnerUp: null };
+  }
+
+  // Profiles are sets, so the cosine similarity is hits / (|text| * sqrt(profile size))
+  const letters = countLetters(counts);
+  const similarities = languages.map((_, i) => {
+    let known = 0;
+    for (const [letter, count] of letters) {
+      if (alphabets[i].has(letter)) known += count;
+    }
+    return hits[i] / Math.sqrt(profileSizes[i]) * (known / total) ** ALPHABET_EXPONENT;
+  });
+  let best = -1;
+  let second = -1;
+  const similarity = i => similarities[i];
+  for (let i = 0; i < languages.length; i++) {
+    if (best < 0 || similarity(i) > similarity(best)) {
+      second = best;
+      best = i;
+    } else if (second < 0 || similarity(i) > similarity(second)) {
+      second = i;
+    }
+  }
+  if (hits[best] === 0) {
+    return { language: null, confidence: 0, runnerUp: null };
+  }
+
+  const coverage = hits[best] / total;
+  const visible = (text.match(/\S/gu) || []).length;
+  const letterShare = (text.match(/\p{L}/gu) || []).length / visible;
+  const confidence = clamp01((coverage - NOISE_COVERAGE) / (TEXT_COVERAGE - NOISE_COVERAGE))
+    * clamp01((letterShare - NOISE_LETTER_SHARE) / (TEXT_LETTER_SHARE - NOISE_LETTER_SHARE))
+    * Math.min(1, total / MIN_TRIGRAMS);
+  return {
+    language: languages[best],
+    confidence,
+    runnerUp: second >= 0 && hits[second] > 0 ? languages[second] : null,
+  };
+}
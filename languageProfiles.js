@@ -0,0 +1,204 @@
+/**
+ * Character trigram profiles for languageId.js, generated by buildLanguageProfiles.js from
+ * _locales. Do not edit. Each profile holds the letters the language's text uses and its most
+ * frequent trigrams, separated by "|".
+ */
+
+export const LANGUAGE_PROFILES = {
+  am: {
+    alphabet: 'abcdefgiklnorstሁሂህሆለሉሊላሌልሎሑመሙሚማሜምሞሣረሩሪራርሮሰሱሲሳሴስሶሹሻሽቀቁቂቃቄቅቆበቡቢባብቦተቱቲታቴትቶቸቹቻችቾኋነኑናንኖኙኛኝአኢኤእኦከኩኪካኬክኮወዊዋዌውዎዓዕዘዚዣየዩያይደዱዲዳዴድዶጂጃጅገጉጊጋግጎጓጠጡጣጤጥጨጫጭጮጸጹጻጽፈፉፊፋፍፎፒፕ',
+    trigrams: 'ስቴጋ|ቴጋኖ|ኖግራ|ግራፊ|ጋኖግ| የስ|የስቴ|ችን |ራፊ |ኮደር| ዲኮ|ደር | እና|እና |ዎች | ስቴ|ዲኮደ| እን| ውስ|ውስጥ|ስጥ | የሚ|ስል |ቶችን| የተ| ወይ| መል|እንደ| ፋይ|ምስል|ወይም|ይም | የ | ይች|ይችላ|ነት | ኢን|ኢንኮ|ሎች | ይህ| ወደ|ማውጣ|ውጣት|ጣት | በ | ይጠ|የተደ|ተደበ|ቸው |መልዕ|ልዕክ|ዕክቶ|ክቶች|ሪያ | ከመ|ራፊክ|ፊክ |ፋይሎ|ይሎች| ቅር|ቅርጸ|ርጸቶ|ጸቶች|ወደ | ፎቶ|ንኮደ| ለማ|መፍታ|ፍታት| ምስ|ይጠቀ|ጠቀሙ|ቀሙ |ሙሉ | ሚስ|ሚስጥ| ማው|ይህ |መሳሪ|ሳሪያ|ሎችን|ችላሉ|ላሉ | በተ|ውሂብ|ማድረ|ድረግ|ረግ |ንደሚ| ላይ|ላይ | ያስ| በመ|ኮድ |ትን |ጋኖ |ጣል | ነው|ነው |ላል | ሜታ|ሜታዳ|ታዳታ|ውን |ራፊን|ፊን | ለመ|ታት |ደበቀ|ምስሎ|ስሎች|ስጥራ|ጥራዊ|ራዊ |ዶች | ስለ|ዚህ | መሳ| ውሂ| ማድ|ቶች |ፋይል| ፈጣ| ያድ|ያድር|ተኛ | ዘዴ| ውጤ| አይ| ጥ | ሙሉ| የም|የምስ|ሰከን|ከንዶ|ንዶች|ስለዚ|ለዚህ|ታዊ |እይታ|ዎችን|ሂብ | በም|ማካተ|ካተት|ተት | ምን|ምን |ሚዲያ|ዲያ |በተለ| መፍ|በቀ |ፒክሰ|ኋላ |ቀም | ጽሑ|ጽሑፍ|መልእ|ልእክ|እክት|ክት |ይል |እንዴ|ንዴት|ዴት |ፈጣን|ጣን |ድርጉ| ያወ| አስ|ሆነ |ዎን |ፎቶ |ያስፈ|ስፈል| አነ|አነስ|ነስተ|ስተኛ|ፒክስ|ክስል|ዘዴ | መጭ|መጭመ|ኮዲን|ዲንግ|ንግ | ቅጥ|ቅጥያ| አያ| st|ste|teg|ega|gan|ano| መጠ|መጠን|ጠን |ችላል|ያው | የአ| መ |ዳታው|ታውን| ከም|ከምስ| መተ|መተግ|ተግበ|ግበሪ|በሪያ|ሪያን|ያን | በሙ|በሙሉ|መደበ| ይዘ|ይዘት| የማ|የማይ|ማይታ|ይታይ|ደበቁ|በቁ | ይፈ|ፈልጋ| በአ|በአሳ|አሳሽ|ሳሽዎ|ሽዎ |ፈቱ | ሆኖ|ሆኖ |ቅጽበ|ጽበታ|በታዊ| ገጽ|ገጽ | እይ|ይታዎ|ታዎች| ሜሞ|ሜሞች|ሞች |ሪያዎ|ያዎች| ሳይ|ዳታ |በምስ| ማካ|ሚችሉ|ችሉ | ዲክ|ዲክሪ|ክሪፕ|ሪፕት|ፕት | መረ|መረጃ|ረጃን|ጃን |በመጠ|መጠቀ|ጠቀም|ሑፍን|ፍን |ራት | በሚ|የሚደ|ሚደገ|ደገፉ|ገፉ |ዲኮድ| መመ|መመሪ|መሪያ| ን |ፎቶዎ|ቶዎች| ይተ|ናል |ያወጣ|ወጣል|ስቴጎ| ከሆ|ከሆነ| ንጹ|ንጹህ|ጹህ | ቅጂ|ቅጂ |ስቀመ| በኋ|በኋላ| ኮድ| ይለ|ያስቀ|ስቀም|ለመደ| የኤ|የኤል|ኤልኤ|ልኤስ|ኤስቢ|ስቢ |መሰረ|ሮችን|ሪዎች|ፈልጉ|ፍጥነ|ጥነት|የሚያ|ሚያስ|ጠቀማ|ማሉ |ይት |ደት |ለው | የሆ| የፒ|የፒክ|ክሰል|ሰል |ለም | እሴ|እሴቶ|ሴቶች| ቢት|ቢትስ|ትስ | የእ|ላቸው|ስቴግ| ፒክ|ያስኬ|ስኬዳ|ኬዳል|ዳል |ቱም | ኪሳ|ኪሳራ|ሳራ |ጭመቂ|መቂያ|ሚጠቀ|አስተ|ዲኮዲ|ግላዊ|ላዊነ|ዊነት|ኛውን|ንም | የት|የትኛ|ትኛው|ውም |አያስ|no |ረጋጋ|የሚች|ውጤት|ጤት | አዶ|አዶዎ|ዶዎች| ድጋ|ጋሚ |የተመ| ለተ|ንሽ |ፊት | ውጭ|ውጭ | ገደ|ጥያው| ማለ|ማለት|ለት |አይነ|ይነት|የት | አለ| ግን|ቅም |ልተጨ|ተጨመ|ተሻለ|ሻለ | አዳ|አዳዲ|ዳዲስ|ዲስ |ደግፋ|መስመ|ስመር|መር |ለማስ',
+  },
+  ar: {
+    alphabet: 'bcfgrtءأإئابةتثجحخدذرزسشصضطظعغفقكلمنهوىيًٍَُِّ',
+    trigrams: ' ال|ستغ|تغا|غان|انو|نوغ|وغر|غرا|راف|افي|ير |فيا|يا |ات |الس|لست|تشف|شفي|فير|الم|ية | تش|فك |في |ستخ|صور| في| فك|است|رة |لى | اس|صيغ|الب|فية|من |لة |تخد|ين | من|الص|لصو|اج |ور | لل|ملف|دم |ذا | بص|بيا|يان|انا|نات|ورة|رسا|سائ| وا|غير|بصي| با|فة |الت|تخر|خرا|راج|الو| إل|إلى|يغة|غة |ون |الأ|خدم| أو|أو |لبي| سر|سري|خفي| صو| هذ| عل|على| يم|يمك|مكن|الر|ما |الة|يل |ها | مُ|مُف|ُفَ|فَك|َكّ|كِّ|ِّك|ِك |تضم|ضمي|مين|ائل|ئل |مخف|ًا |وال|لمخ| غي| مت|أدا|جة | ست|الإ| مل|لفا|فات|يغ |بكس|كسل|عة |دة |لمل|عال| وم|ومُ|مُش|ُشَ|شَف|َفّ|فِّ|ِّر|ِر |رية|لرس|بال|إضا|ضاف|افة|ام |خدا|دام|لتش| دل|فظ |الج|قة | تس|قد |طبي|لوص|وصف|صفي|تاج| رس|هذا|متص|مل |داة|اة |كنك|نك |الا| أد|لإض| تض|لمع|لات|اء |الن|لف |قوم|وم | بت|الذ|لذي|ذين|يدة| تع|دلا|سل |أن |معا|لجة|يقة|تست|ستق| س | ج |تطب|بيق| لت| وف|وفك| و | تح|حتا| مخ| دا|داخ|اخل|خل | تب|بدو|لمح| مر|وان|للص| لق|الش|لشا|مات|ار | بي|لقي|لوس|وسا|ائط|ئط |لبك|صوص|باس|سال|الخ|دعو|مة | كي|كيف|ليل|ريع| إذ|إذا|عد | نظ|يفة|قر |جدي|ديد| عا|عاد|الط| لا|الد| عن|عند| أق|أقل|قل | ذو|ذو |لال|ان |هذه|ذه |يرة|تقو| بك|لطر|طري|ريق| صي|ضغط| مم|مما|لية|لا | أي|أي |كان|مست|بل |دعم|عم |لي |كن | أن|عدم| قد|هي |مها| تت| تط|يق |لتض|تحت|تبد|دو |تما|محت|حتو|توى|وى |مرئ|رئي| يس|ساع|اعد| ثو|ثوا|انٍ|نٍ |تصف|صفح|فحك|حك |عمل|لفك|لقط|قطا|طات|شاش|اشة|شة |لمي|اخت|ختب|دون|الح|يت |وات| ما|الق|مخت|معل|علو|لوم|وما|سلا| أخ|أخر|خرى|رى | إخ|إخف|خفا|فاء|شار|ارك|خاص|لصي|لمد|مدع|عوم|ومة|يفي|دلي|يع |اسح|سحب|حب | تل|حلي| بع|بعد|حفظ| نس|نسخ|سخة|خة |نظي|ظيف| نص| أل|واح| لم|لمن|لمو|يات|رون|سرع|رعة|لاع| يح|يحا| مف|مفي|فيد|لأس|رار|لتح|بت |قيم|يم | لأ|لأن|بتا|تات| تأ| تق| بم|بمع|كل | مع|مع | ضغ|غطً|طًا| بد| فق|فقد',
+  },
+  bg: {
+    alphabet: 'abcefgilnprstwабвгдежзийклмнопрстуфхцчшщъюя',
+    trigrams: 'те | ст|сте|тег|гра| на| из|ия |ега|ган|ано| за|код|то |на |огр|ног|раф|ира| де|дек| да|еко|ени|да |ни |ки |ете| ко|за |оде|ите| в |но |оди|дер|ер |не | по| и |бра|обр|дир|ран|афи|фия|ти |ат |ове|афс|фск|ние|ето| съ|ния|ски|зва|йте|кри|рат|ва |ка |ане|айт|жен| не| ка|та | ме|раж|изп|пол|ли |анн|нни| от|изо|зоб|аже|ие | то|ато| мо| фа|фай|айл|вай|оже|дан|ате|орм|рма|тов| ра|зпо|олз|лзв|изв|мет|тир| та|съо|ъоб|общ|бще|щен| ск|ито|кат|мож|ним| те|фор|мат|под|ост| пр|или|звл|скр|рит|ани|ди |ра | сн|сни|имк|ви | ин|ста|стр|раз|ве |ати|зап| вг|вгр| ил|вле|леч|ече|чет|от |екр|айн|йни|лно|мал|дър|ърж| е |раб|або|бот| че|ент| фо|нет|ко |апа|пре| ен|рад|ета|тай|ото|ржа| ви|че |инс|нст|рум|мен|ен |как|еди|йло|лов| пи|пик|икс|ксе|сел| об|ст |ват| бъ|ств|нов|паз|ван|зи |ком|ога|енк|нко|иет|дит|ада|рип|ипт|пти|кои|оит| но|алн|ска| се|ире|мки|ови|али|тру|уме|ими|ми | с |одд|ход|азв|вет|ког|ият|про|гат|нос|омп|мпр|рес|еси|пов|ади|тад|нап|жан|дим|ова|тно|си |жет|ест|сто| бе|без|ез | ос|вен|во |рай|ели|екс|ддъ|бър|ърз|нал| въ|тел|нт |ачи|сти|ата|вер| ма|алк|лко|нач| би|бит|йки|тод|азш|зши|шир|рен|же | о |при| тр|тря|ряб|ябв|бва|ежд|жда|дат|иди|имо|пом|га |чес|сек|еку|кун|унд|нди|так|ака| ек|кра|нти|акв|пра|ави|мед|дий|ийн|лич|ичн|ита|аци|ция|аде|тек|кст|йл |аст|спо|ак |рзо|зо |ово|вод|одс|тво|пус|той|ана|кит| ак|ако|рти| сл|сле|лед|опи|лна|мка|тва|тоз|ози|ава|доб|ята|най|ай |зна|мит|йно|лит|има| ми|кот|по |айк|од |сия|елн| ни|ник|ико|кон|ред|ока|отк|ри |вис|ла |се | до|мог|кол| ли|рил|ило|лож|ити|изг|згл|гле|леж|пъл|ълн|нор|съд|ъдъ|вид|мо |ома|енч|нче|еск|рек|ект| бр|рау|ауз|узъ|зър|ъра| си',
+  },
+  bn: {
+    alphabet: 'abcefgipqrstwঁংঃঅআইউএওকখগঙচছজটঠডণতথদধনপফবভমযরলশষসহ়ািীুূৃেোৌ্',
+    trigrams: ' কর|ার | স্|স্ট|ানো|্টে|টেগ|েগা|গান|কোড|্রা|ের |োগ্|গ্র|রে |নোগ|রাফ|াফি| ডি|টি |ডিক|্য |ুন |িকো|ফি |তে |করে|োডা|ডার|করু|রুন|ন্য| এক| জন|জন্|প্র| বা| প্| ছব|ছবি| আপ|গুল|ুলি| এব|এবং|বং |য় |আপন|্যা| ব্|তা |ারে|লি |ক্স| বি|োড |একট|কটি|ব্য|েটা|িক্|ক্র|্রি|বার|করত|রতে|বে |নো | সম|িক | এট|এটি| পা|কে |ার্|র্ত|ভাব|য়ে|ক্ষ|পার| ফা|ফাই|াইল| এন|এনক|নকো|্যব|যবহ|বহা|হার|্ট |িয়|য়া|করা|রা |টা |ম্ব| গো|গোপ|োপন|্তা|ির |পনা|েন | সং|েকে|ডেট| বে|বের| যা|মান|ান | পর|রক্| এম|এম্|্বে|বেড|েড |বা |নার|ফিক| কো|াবে|ম্য|যাট|্সট|কার| নি|দের|িপ্|পন |বির|যে | লু|লুক|ুকা|ায়| এই|এই |পনি|নি |কোন| ফর|ফরম|রম্| পি|পিক|্সে|সেল| মা|র্থ|িত |্তর|রুত|রার|বিট|়ে | থে|থেক| মে|রিপ|প্ট|যা |ধ্য|কান|পূর|ূর্|র্ণ|্ণ |াকে|কেন| কা| তা|রেন| টু|টুল| না|না | কি|্রক|়া |্ন |েল |িতে|েয়|সমর|মর্|র্ভ| দ্|রিয|ষণ |রয়| ডে|নির|ির্| কম|খন |নীয|ীয়|দ্ধ|্ধত|তি |এক্|ত্ত|সংক|তর |োন | ও |চিত|মেট|টাড|াডে| মধ|মধ্|্যে|সম্|ম্প|্বা|বিষ|্যম|েন্|বি | সা|াই |ুল |ক্ত| মি|লে |্থি|থিত|টগু|্ত |িভা|দ্র|্রু|ুত |্রয|য়ো|়োজ|োজন|পরি|সংর|ংরক|্ষণ|ারা|াট |ইলগ|লগু| হয|হয়| উপ| যে|লের| পদ|পদ্|ধতি|যোগ|োডি|ডিং|সটে|টেন|েনশ|নশন|্রশ|রশ্|শ্ন| উত|উত্|যাপ|্পূ|স্ব|িষয|ষয়|স্ত|তু |দৃশ|ৃশ্|শ্য|যমা|নাক| সে|সেক|ন্ড| হি|িসে|তাই|পরী|রীক|ীক্|্ষা|েই | তথ|তথ্|থ্য|কি |বিগ|িগু|মিড|িডি|ডিয|ইল | টে|টেক|েক্|সট |্তি|িংয|ংয়|়ের|ইলে| অন|কিভ|করব|রবে|বেন|জন |িষ্|চন | ক্| নত|নতু|তুন| থা|থাক|যার|াদে| কে| যখ|যখন|পনী|য়ত|়তা|ানে|নের|চেয|কম |িটগ| আম|রণ |্ভর|স্থ|্থন|থন | রা|রাখ|নে | ইম|ইমে|মেজ|েজ | অ্|অ্য|ত্র| তে|ছে |বাভ|াভা|াবি|বিক| দে|দেখ|েখা|খায|য়ব|়বস|বস্|্তু| দৃ| কয|কয়|়েক|েক |্ডে|ব্র|রাউ|াউজ|উজা|জার|সাহ|াহা|হায|ায্|য্য|হিস|সেব|েবে|কাজ|াজ |স্ক|্ক্|রিন|িনশ|নশট|শট |মূল|ভার|ারী|রী |তির',
+  },
+  ca: {
+    alphabet: 'abcdefghijlmnopqrstuvwxyzàèéíòóú',
+    trigrams: ' de|es |fic|ste|ica|est|ega| co| es|ifi|teg|gan|ano|dif|ia |odi|cod|ogr|de |nog|ar | d |ts |eco|dor|gra|fia|des|dec|ado|raf|afi|or |en | qu|que| a |atg|tge|com|er |cad|mat| pe|ges|ls | i |ió |nt |na | un|per| en|ent| el|els| ex| se|omp|ext| im|ima|ue |men| in|ssa|aci|ade|ats|el |ues| pr|rs |sta| mi|ns |ble| no|la |una| fi|til|lit|ció|orm|rma|no |ta | te| po|pro|fit|itx|txe|xer| fo|itz| l |tre| me|eta|ess|car|ant| ut|uti|ili|tar|dad|mis|iss|sat| am|da |al |res|ens| la| re|for| st|tza|inc|xtr|reu|ure|re |ada|tes|ame|con|és |pot| ca| si|ten|ncr|cru|rus|ust| o |eur|ces|ama| di|ibl|le |om |ers|del| ma|ra |sa |ina|mpr|sió|ort|za |cac|ssi|cre|ret|mag|aga| aq|aqu|seg|ons|teu|eu |grà|ràf|àfi|sen|esa|les|ult| pí|píx|íxe|xel|mpa|ida|pre|ors|ode| ap|esx|sxi|xif|ifr|fra| ne|sec|ecr|ins| al|cio|ion|un |nse|se | ei|ein| da|rti|ir |man|pri|ic |qua|sig| bi|bit|its|us |ita|tat|por|met|tad|rar|gat|nti|tin|ing|ngu|at | és|ego|nci| ai|aix|ots|cap|tal|rov|dia|ren|lta|nou|par|riv|ati| rà|ràp|àpi|pid|nal| le|fot|oto|os |st |ign|gni|nif|tiu|lor|roc|oce| mè|mèt|èto|tod|xte|nsi|ot | q |lic|nec|ece|sit|ite|ets|din|mpl|ple|let|tam|nor|mal|als|vis|sib|gon|rec|gad| fu|ixí|xí |ics|cs |tur| pa|nta|all|lla|ova|lar|nes|nvi|ge |què|uè | mu|mul|lti|tim|imè|mèd|èdi|ere|cul|gar|tex|xt |amb|mb |art|era|iva|vad|tib|gui|rro|oss|sse|ali|si |iu | tr|env|qui|olu|il |uan|an | va|val|ca |gue|íni|alt|due|ser|abl|eix|ix |loc| so|pet|eti|one| su|sup|upo|rta|imi| lí|apl|pli|sem|emb|mbl|len|ont|gut|ut | vi|isi| aj|aju|jud|uda|ect| na|nav|ave|veg|fun|unc|ona|apt|ptu|pan|eme|mes|va | mé|més|ete|inv| fe|fer|eve|vel|nts|inf|nfo',
+  },
+  cs: {
+    alphabet: 'abcdefghijklmnopqrstuvwxyzáéíóúýčěřšťůž',
+    trigrams: ' st|ste|teg|ano|ega|gan|ogr|gra|raf|afi|ní |nog| po| de|te |dek| pr| a |ie |kod|fie|pro| ne| ob|ova|odé|dér|ér |eko|at |né | zp|ová|vat|je |sou|ro |obr|kód| so|zpr|ení|ván|uje|že |ódo|dov| me|ání|ext|ch |oub|ubo|bor|lož| ex|brá|ráz| ta|ráv|jí |orm|to |ekó|ou | př|ick| fo|no |pou|ouž|dat|prá|můž|ůže|fic|it |lní| vl|vlo|xtr|tra|met| v | sk|skr| kt|kte|rmá|áln| se| ja|jak| mů|for|ty | na| vý|jte|neb|ebo|bo |ázk|rov|ete|rah|hov|ii |ata|ta |ké | te| ná| za|por|vá |oto| ko| en|enk|lik|ci |ávy|vy |kry|ryt|fii|ky |str|tro| to|žit| do|mát| pi|pix|ixe|xel|pra|ává|na |uží|žív|kom| ro|roz|nko|ika|ože|ada|zku|deš|eši|šif|ifr|aho|taj|té | vy|ají| no|ce |bra|raz|azo|zov| va|vaš|aše|ako|nás|ást|roj|ho |oži| da|do |lů |oru|ru |pod|odp|dpo|van|ují| ry|ryc|ych|chl|pře|rac|aco|cov| je|nov|stu|se |dy |cký|ký |ory|ry | bi|bit|omp|mpr|uži|eta|tad| z |fro|pot|otř|tře|řeb|ajn|yté|ků |ter|pad|ně |ite|ný |pom|ovo|vou|em |ko |žet|cké|ním|kro|rom|oho|ná |ých|ech|elů|ýt |ané|áty|nět|ěte|váv|fot|tog|teř|eří|ří |oj |kon|kdy| mo|nej|eto|tod|ozš|zší|šíř|íře|řen| q | ap|žen|ku |jné|zků|mál|tý |obs|bsa|sah|ah |dit|tel|eln|ace|sek|eku|kun|und|nd | ve|či |vé |tak|akž|kže|tov|ích| an| in|sta|med|edi|diá|iál|tec|tex|xt |omo|moc|cí |vu |ouk|ukr|oro|ak |vod|hně|ruj|pok|oku|kud|ud |po |ist|api| ho|ent|ti | zá| ch|tuj|šen| li|íva|vaj|lé |výz| kd|dyž|yž |zna|nam|ity|hod|odn| ma| mi|pre|res|si | kó| žá|žád|ádn|še |výs|iko|ny |ujt|duj|dné|při|ost|žij|ijt|apl|pli|kac|aci|rak|ebu|buj|jet| uv|uvn|vni|nit|itř|tř |vyp|ypa| zc|zce|cel|ela|la |nor|ytý| vi|vid|idi|lný|tat|ato| bě|běh|ěhe|hem| ně|něk|ěko|kol|oli|ka |pří|ve |šem',
+  },
+  da: {
+    alphabet: 'abcdefghijklmnopqrstuvwxyåæø',
+    trigrams: 'er | de|der|ste| st|teg|ega|gan|ano|nog|ode|en |raf|ogr|gra|afi|dek|kod|for| fo|de |fi |eko|lle|ede|ere|ler|et | in|re |ter| bi|ill|ind| be|bil| me|ing|led| ud| i |den| en|at |lig|nde| at|ge |ske| og|og | br|ke |or |kan|an |ng |il |ndl| sk| ka| ko|kke| hv|rer|fil|bru|rug|til|træ|ræk| du|du |eli|ige|esk| er|orm|rma|det|te | di|ig |ger|els|del| ti|dle|ell|dat|ata|ta |bes|ked|ser|ne |und|nge|isk|mat|ide|end| fi|nin|dst| el|udt|dtr|ækk|met|mme|skj|kju|jul|din|ts |sk |lse|lej|ejr|jre| he|ult|lt | se|med|ed |vær| et| af|ile|ate|tig|gen|sen| fr|ra |emm| so|fis| væ|ver| da| pi|pix|ixe|xel|st | pr|pri|lin|tte|no |ren|hvi|dvi|kom|enc|nco|cod|ug |eds|fra|ekr|kry|ryp|ypt|pte| ha|ar |hem|mel|som|om |ld | ik|igt|gt |enn|nne|in | så|es |ærk|rkt|ktø|tøj|die|ion|on |eks|riv| un|stø| hu|odn|dni|udv|uge|bit| mi|af |and|omp|mpr|eta|tad|ada|har| no|le |vor|hol|old|nli| på| fu|ung| te|ati|age|ers|rst|tøt|øtt|hur|urt|rti|nd |vis| ge| re|nds| ny|øj |liv|hed| si|ign|el |res|beh|eha|han|eto|tod|tab|vid|mer|ine|vil| q | a | ap|mal|ale|hvo|ikk| hj|hjæ|jæl|ælp|dig|på |sek|eku|kun|fun|så |ens|ude|sta|øje|edi|ief|ors|kel|lli|tio|tek|kst|iva|vat|ted|dan| pa|fot|oto|is | nø|ven|ndi| ef|gem|pi |kri|iv |nye|ye |gge|ent|ast|are|ive| nå|når|år |al |igh|ghe|sig|gni|nif|ifi|ant|dre|min|its|rdi|se | vi|ret|men| ta|ess|kon|ort|rim|ime|yde|ilk|lke|æng|app|pp |hel|elt|nor|ud |lte|ndh|dho|syn|ynl|lpe|rek|ekt|bro|row|ows|wse| sc|scr|cre|ree|een|nsh|sho|hot|ots|tes|est|ad |øre|efi|rsk|inf|nfo|ls |ule|ink|såd|åda| gu|gui|uid| tr|æk |par|tis|ker|nød|ødv|dve|ør |eft|fte|ve |emt|kop|opi|skr|ik |em |ett| læ|læg|ægg|ska|kni',
+  },
+  de: {
+    alphabet: 'abcdefghijklmnopqrstuvwxyzßäöü',
+    trigrams: 'en |ste|er |ie |ten|ver| da|ers|der| un|ich| ve|ein|die|nd | au|ate|rst|st | di|und|aus|cht| de|in | ei|te |dat| in| bi|ode|eck|ine|as |es |ne |ier| st|tec|bil|das|sch|gan|ogr|gra|ese|ckt|ild|les|nde|teg|ega|ano|nog|raf|afi|fie|cod|che|ere| we|ch |ert|nn |ern|sen|ach|ht |den| ni|kte| wi| me|wen|ren|kt |nac|ind|odi| fü|für|ist| en|usl|sle| du| na|chr|ld |ei | pr| zu|eic|rt |ts |gen|dec|eco|ies| to|too|ool|ol |rn |du |hri|ric|us |tei| sc|wer|enn| od|nen| fo|for|ür |ter|nic| ko| sp|tig|ige| be| ka|ser|orm|rma|hne|est|re |ext|zu |cke|ken|lei| si|ied|mat| pi|pix|ixe|xel|hen|her| er|ing| is|lle|ng |kei|enc|nco|kan|lde|rek| ge|ehe|len|ig |ssi|sie|ieh|ell|met|nte|pro|ft |uch| te| so|so | an|and|end|sse|kod|hte|pri|erg|it |spe|neu|de |nge|geb| kl|se |ast|erl|ann|bet|ett|tte|dir|ekt| br|ill|nem|em |eht|et |ent|tex| es|sin|eko|ns | pa|hts|kom|pie|pei| ne|rne| le|wic|eis|um |all| al|nie|bit|rig|rti| fa|el | vo|rei| ex|rge|din| ke| q | a |inb|nbe|ire| im|im |bro|row|ows|wse|wil|lls|lst|geh|me | ho|al | ch|chn|nel|ll | li|lie|eta|tad|ada| fi|fin|con| oh|ohn| hi|abe|bei|xt |isc| wa|was|ien|eie|chl|sel|eln|ln |chi|hie|ede|ene|dek|inf|wie|eit|unt|stü|tüt|ütz|tzt|zie|suc|kop|opi|ben|tes|omp|mpr|rim|imi|mie|lic|ick|ler|kle|zen|hti|ges|sig|edr|dri|igs|gst|stw|twe|its|rte|ung|mei|vor|bes|rlu|lus|ust|hal| re|ebn|bni|nis|iss|ort| ha| of|gt | um| se|ses|hei|eim|ime|hol|ole|lli|lig| no|mal|uss|hec|det|nt |chw|hil|ilf|lft|auc|ass|akt|kti|tis|gle|üss|rsc|os |ins|riv|iva|vat|wei|gab|be |zte| dr|nal|rsu|usz|szu|zul|ule|rau|rob|obi|bie|och| mi|mit|rse|elb|lbe|ber|eu |eut|ute|tab|ab |usw|ebe|eue|ue |cre',
+  },
+  el: {
+    alphabet: 'abcefgilmnopqrstwxyάέήίαβγδεζηθικλμνξοπρςστυφχψωόύώ',
+    trigrams: ' απ|οπο|στε| στ|ας |να |ικο|τε |ποι|απο|αι |κωδ|ωδι|δικ|κοπ|ποκ|τεγ|εγα|γαν| κα|τητ|ητα|ότη|τας|ανό|τα |νότ| να|οκω|ση |ητή|ικό|οιη|ια |ιητ| ει|εικ|ου |και|ες |μέν| το|ματ|ετε| επ|ων |ής | χρ|ένα|το |ία |χεί|ει | γι|για| με|κόν|τικ| πο|ές | δε|εί |τής| εξ| σε|σε | η |ομέ|κρυ|τή |ηση| αρ|αρχ|σιμ|ετα|από|πορ|ορε|ρχε|ποί|οστ| αν| τα| συ| κω|ιμο| εν|σετ|μετ|δεδ|εδο|δομ|ογρ|γρα| μη|ατα|που|ται|εία|στο| μπ|μπο|ρεί|οίη|ίησ|ουν|υν |χρη|ρησ|ησι|μοπ| τη|πό |όνα|τογ|ραφ|ικά|κά |μην| κρ| μέ|ντα|περ|ερι|σας|τερ|ης |εργ|ος |είο|δια| ή |ήσε|στι|νες| πε|ναι| αυ|αυτ| σα|του| μι|ίο | υπ| st|ste|teg|ις |οιή|ιήσ|ήστ|ενσ|νσω|σωμ|ηνύ|νύμ|ύμα|μεν| εί|είν|ίνα|ον |ίτε|ργα| τι| δι| μο|φές|ών |των|υπο|στη|ega|gan|ano|no | ότ|την|ην |ώσε|άγε|πτο|εξά|υστ|μέσ|ως |είτ|νικ|μια|τι |μορ|ορφ|ρφέ|κον|μάτ|με |ική|κή |αν |αντ| πρ|οι |ούν|συμ|υμπ|γή |ωμα|τώσ|εξα|γετ|οκρ|ρυπ|υπτ|ξάγ| μυ|μυσ|οντ|όμε|δεν|εν |ανι|τασ| ερ|γαλ|αλε|λεί|άτω|ποσ|τηρ| γρ|τη |οιο|κό | bi|bit|σει|επε|οδο|ποτ|εση|ατώ|ξαγ|ταδ|αδε|άζε|όνε|αίν|τελ|ώς |λογ|ρυφ|νο |ρατ|τό |τον|λει|νας|αστ| χω|χωρ|ίς |επι|ένω|φορ| πλ|ονο|νοσ|τοι|οιχ|ιχε|νου|γρή|ρήγ|ήγο|γορ|ός | έν|υτό|ανα|τις| φω|φωτ|ωτο|αφί|ίες|τά |ντι|τρο|σης|προ|ιστ|ρα |εις|ιού|ύν |συν|οιε| τω|ότι|πεξ|εξε|ξερ|μέθ|έθο|θοδ|μπί|πίε|ίεσ| ε | α |ογή|αφή|φήσ|χρε|ρει|έσα|σα |ολο|ογι|ενο|υτή| βο|δευ|ευτ|υτε|θεί|ιτο|ουρ|υργ|τιγ|τυπ| δο|δοκ|οκι|κιμ|ωρί|ρίς|κατ|τήσ|νετ|αγω|γωγ|ωγή|νων|υψη|γρά|ράφ|πολ|ολυ|λυμ|υμέ|έσω|σων|άφο|πλη|ιών|τωσ|ωση|ικώ|κών| κε|ατο|τος| ιδ|ιδι| πώ|πώς|ορο|ρος|ξτε|ναλ|αλύ|τεί|ανά|ετά|ποθ|καθ|αθα|πικ| νέ|καν|τές|στέ|άζο| πα|ζον|μικ|νει|ρήσ|ότα|ταν|ροπ|ιεί|ερο| ση|σημ|ημα|its|ts |τιμ',
+  },
+  en: {
+    alphabet: 'abcdefghiklmnopqrstuvwxyz',
+    trigrams: ' st|ste|teg|ano|ega|gan| de|cod|nog|ogr|gra|er |dec|es |eco|ode| th|rap|aph| me|ed | in| an|ing|ng |age|for|der|ts |hy |or |ess|phy|the| co| fo|de |nd |an | ex|ext|in |and|le | yo|you| to| en| im|ima|to |he |ion|nco|se |mag|con|it | wh|ile|on | a |enc| us|use|ge |orm|rma|is | re| fi|fil|act|dat|ata|ecr| se|mes|ges| it|can|res|re | or|ct |ta |ssa|sag|com|ble| ca|mat| pi|no |emb|mbe|xtr|tra|rac|met| ne|sec|cre| hi|omp|ent|ou |our|ur |hic|tio|les|fie| pr| em|bed|en |ly |al |nt |thi|ic |ats|raf|afi|ie |lea|odi|din| be|hid|dde|den|ide|hat| lo|ten|his|phi|hot|st |all|pix|ixe|xel| su|por|ort|tin|pre|ssi| fr|fro|rom|om |cry|ryp|ypt|pt |eed|ret|et |at |mal| is|nds|ds |ens| te| wi|tho|too|ool|ls | da| do|ck |te |sup|upp|ppo|qui|ick|ica|ast|ave|ve | le| si| bi|bit| of|mpr|sio|abl|eta|tad|ada|nee|idd|nsi|tha| no|igh|ser|ks | so|wit|ith|out|sta|nce|ati|pic|tur|ure| qu|uic| pa|ses| ph|pho|oto|ded| sa| ch|ew |end| li|ant|ol |han|whe|ifi|of |el |sin|pro|roc|oce|ces|sse|eth|hod|xte|doe|oes|ns | q | ap|ins|ple|sn | t |vis|sib|ibl| he|ond|ght| br|as |so |sho|est|ut |lin|lly|eve|eal|med|edi|dia|ia |onc|els|tex|xt |ict|ctu|th |pri|riv|iva|ted| ho|how|ow |int|cal|par| if|if |ter|sav| cl|ean|new|who|ho |rea|rs |per| pe|are|cha|ese|ch |ays|ys | ha|hen| va|val|eas|sig|ign|gni|nif|fic|its|ce | mi| un|unc| ou|od |rti|oss|her|tab|epe|ons|rt |ll |ver|nti|whi| ma|may|ay |sed|app|pp |sid|loo|ook|mpl|let|ete|ely|nor|ont|nte| vi|isi|hel|elp|rig|ht |bro|row|ows|wse| wo|wor|ork|rks| as| sc|scr|ree|een|nsh|ots|mem|eme|tes|lli|eav| ad|add|iti|nal|wha|hin|dif|ffe|ere|cea|ale|led|inf|nfo| ba|ate| sh|sha|har|rin',
+  },
+  es: {
+    alphabet: 'abcdefghijlmnopqrstuvwxyzáéíñóú',
+    trigrams: ' de|os |de | es|est|es |fic|ica|ste|ega|ifi| co|teg|gan|ano|nog|ogr|dif|odi|ía |cod|gra|raf|afí|fía|or |ar |en |ado|dor|tos|dec|eco|ent| en|cad| qu| lo| la|la |que|ión|ón |men|par| me|te | y | pa|ra |as |com| un|ue |ta |omp|aci|na |sta| ex|ext|ato| im|gen|ivo|los| in|ene| se|nte|do |ida|ara|nes|ens| pr|ien|ció|una|tra|des|da | si| fo|el |con|tar|ult|orm|rma|to |ble|ndo|ede| ar|arc|rch|chi|hiv|vos|res| a |car|er |imá|mág|áge|por| pu|pue|ued|for|dat|ces|nsa|saj|aje|jes|cul|les|mie| re|lta|inc|xtr|rae|eta|ada| oc|ocu|ten|mo | po| ca|ant|nta|esa| el|cac|til|ili|liz|iza|ncr|cru|rus|ust| o |aer|esc|ece|den|ibl|le |dos| tu|ami|vo |ame|ico| ut|uti|tad|cre|ret| no|lo |grá|ráf|áfi| da|ia |mat| pí|píx|íxe|xel|mpa|end|ore|an |and|dad|sió|sci|cif|ifr|fra| ne|nec|esi|ita|tas|sec|ecr|rec|no |gun|tu |cio|ion|un |ras|sin|in | he|her|err|rra|ram|pri| gu|ali|rda| nu|se |man|ca | bi|bit|nos|pro|ad | fu|za | ap|met|rar|sit|eto|lto|ntr|ro |tam| cu|vis| te|seg|egu| di|nci|tal|lla| pe| ad|ima|mag|age|ren|ele|uel|on |art|ir |ati| rá|ráp|ápi|pid|nal|fot|oto|sar|ard|dar|pia| li|nue|al |pre| us|sa | so|one|ts | ma|era|co |cua|lid|sig|ign|gni|nif|tiv|roc|oce| mé|mét|éto|tod|odo|mpr|cid|xte|nsi|imi|mit| q |und|nto|lic|tro|are|mpl|ple|let|ido| vi|sib|gad|unc|omo|cap|tur|ura|all|pru|rue|ueb|eba|lar|das| ha|tim|med|edi|dia|ere|tes|elt|tex|xto|rti|riv|iva|tib| có|cóm|ómo|tic|ana|las|si |ecu|gua|uar|lim|imp|ga |uev|evo|alo|qui|én |nde|ist|tus|qué|ué |usa|tie|ina|uan| va|val|can|its|lor|zan|abl|rte| ni| sa|sal|epe|sos|ort|ea |pos|osi|del| mi|equ| lí|fun|cos|apl|pli|nor|mal|ale|ont|eni|nid|isi| ay|ayu|yud|uda',
+  },
+  et: {
+    alphabet: 'abcdefghijklmnoprstuvwäõöü',
+    trigrams: 'ste| st|teg|ega|ode|raa|gan|ano|nog|ogr|gra|aaf|afi| de|dek|eri|st |id |fia|eko|koo| ja|ja |te | pi| se|ia |eer|ide|ood|der|mis| võ| vä| sa|es |pil|da |ta |eid|ist|er | ka|ks | ku|est|se |see|dee|ge | te|kod|ise| me|eks| pe|tid|ee |aat|ad |kas|või|väl|ida|ud |töö|ili| ko|end|sek|ilt| tö|lis|kui|ed |rim|asu|uta|et |älj| fo|is | sõ|ite|pei|des|ita|ab |ate|fai|ail|vad|imi|sut|dus|lja|dme|mei|maa| mi|lti|us |tab|ava|sta|võt|eta|and|ndm|orm|sal|sõn|õnu|num|tud|saa|mee|si |ego|go |ui |ali| fa|sed|ust|rid|rma|aja| tä|sti|le |lt |ma |ima|iis| va|iva|as |lik|ne | en|tag|ndu| et|õi |ekr|for|umi| on|on |ti |sse|tav|tei|ga |tes|ine|iir|hen|kes|age| si|tad|ada|õtt|aan|at |lse|de |kun|eie|ie |use|ööt|fil|öör|öri|rii|eit|atu| an|eed|iks| ki| uu| ke|tus|enk|nko|ild|ldi|tta|krü|rüp|üpt|pte|tee|iat|aad|ala|jas|ast|det|etu|ole|äht|il |und|elt|mat|pik|ksl|sli|lit| ta|aga| to|kii|ib |ik |ige|val|usi|ese| mu| bi|bit|min|tod|oks|lem|di |sis|met|taa|laj|aal|als|ess| ei|ei |ndi|dit|na |emi|mid|lli|tam|uid| pa|lid|var| pr|ats|ami|toe|oet|ire| lo|loo|oma|fot|oto|ves| ti|ke | mõ| vi|ini|ähe|täh|una|eb |ötl|tle|ade|eet|eto|rit|jao|aok|it | k | v |ake|ses|dis|adi|mit|jav|avõ|täi|äie|mus|kus|isu| nä|hta|ait|eku|tse|ser|ris| ek|del|isi|lma|pea|aks| in|uur|ama|asi|iss|edi|dia|iaf| er|arj|rja|jat|ata|tek|kst|pri|riv|vaa|das|re |juh|oog|vaj| pu|puh|alv|lve| om|lin|ldu|jad|nda|res|nim|ime|mes|ile|väh|hem|em |itt|muu|uda|vää|äär| ne|nee|set|mal|uut|uhu|ul |tih|ihe|iku|kud|vii|gi |odi| tu|õib|ikk|kku|tub|ub |ike| la|mil|ill| ra|rak|ken|õtm|tmi|lim|uss|su | ol|näh|av | ai|ots| br|bra|rau|aus|öta|rin|ina|kra|ani',
+  },
+  fa: {
+    alphabet: 'abcfgiprtآأؤئابتثجحخدذرزسشصضطظعغفقلمنهوًپچژکگی',
+    trigrams: ' اس|است|ای |فی |ستگ| ها| کن| رم|رمز|مزگ|تگا|گان|ند |انو|نوگ|وگر|گرا|راف|افی|می |ده |ید |را | می| را|زگش|گشا|شای|از | به|های| از|به | و |ین | در|نید|اده|یر |کنی|در |انی|ایی|یی |این|ها |ار | بر|رای|ازی| ای|کند|برا| پی|ان | تص|ویر|که |یک | دا| با|گذا|ذار|زی | که| یک|یل |یت |ساز| یا|ستف|تفا|فاد|ام |ری |ست | فا|فای|ایل|نی |زگذ|یا |خرا|وان|اری|دار|داد|تصو|صوی|پیا|یام| مخ|ون |توا| خو|نه |رده| جا|ستخ|تخر|راج|اج | مت| فر| تو|ات |کرد|جاس|اسا|فرم|رمت|مت |مخف|خفی| کا|ما |ود | بی|داز|نند|رد | نی|تصا|مل | کم|رین|یم |زار|پیک|یکس|کسل|سل | کر|بان|ونه| سر| رو|کنن| اف|نیا|یاز|صاو|اوی| رس| پن|پنه|نها|هان| ان|اند| مح| شم|شما|گر |خود|مای| اب|ابز|بزا| نم|رسا|سان|با | پش|پشت|شتی|تیب|یبا|ندا|ال |بیت|روش|وش | فش|فشر|شرد| سا| آی|نام|متا|تاد|ادا| طو|ور |امل|ادی| شد|شده| تا|یه |زما| بد|بدو|دون|اشت|کار| ده|اهن| عک|عکس|کس |خیر|ره | آن|مان|خوا|افز| تر|تری| پر|پرد|ردا|ازش|زش |نمی|ارد| خر|لی | شو|شون|وند| س | ج |درو|رون|طور|کام|دی |بل |تا | ثا|ثان|نیه| مر|رور| عم|عمل| بن|بنا|ناب|ابر| شا|ایش|اره|باش| چه|چه |نما|انه| اط|متن|تن | خص|خصو|صوص|وصی|صی | چگ|چگو|گون|نیم|سری|ریع|یع |یند| ذخ|ذخی|یره|بار|اب | جد|جدی|دید| ما|ول |واه|هند| من|دم |اید| تأ|کم | اه|اهم|همی|میت| مق|مقا|هد | مو|حدو|دود|فزو|زون| مم|ممک|مکن|کن |برن|رنا|امه|مه |یری| عا|عاد| نظ|نظر|ظر |محت|حتو|وای| قا|قاب|ابل|اهد|لیک|کمک|مک | چن|چند|مرو|ورگ|رگر| عن|عنو|نوا|اسک|سکر|کری|شات| آز|آزم|رها|داش|شته|ته |اشی|شید| عل|علا| نا|نجا|یش |مخت|اطل|طلا|لاع|اعا|عات| مج|مجد|جدد|دد | اش|شتر|ترا|راک|اک | گذ|راه|هنم|بین|زید| تح|حلی| صو|صور|ورت|رت | پس|پس | نس|نسخ|سخه|خه | تم|تمی|میز|یز | دو|تای|آن | ار|ارس|سال|دان| حا|حال|یاد| اص| خا|سرع|رعت|عت |نان| نک|ارن|رند|قیق|نو ',
+  },
+  fi: {
+    alphabet: 'abcdefghijklmnoprstuvwyäö',
+    trigrams: 'en |ste| st|teg|ta |koo|ood|afi|an |ja |nog|ogr|gra|raf|ega|gan|ano|tä | ku|aa |fia|dek| de|eko|ist|kuv|sta|eri|tie| ta| ja|ode|der| ko| pu|kse|ian|ri |tta| pi|in |taa| ti|at | kä|uva|ttä|pur|rka|uks|kaa| me|urk|ssa|oda|vie| va|itt|äyt|een|si | jo|aan| se|est|sti|lle| mu|sa |ksi|ia |ka |ett|oja| vi|ied|edo|ost|ytt|käy|toj|mis|ise|on |ote|ien|voi|oit|ill| on|tet| tä| si|le |se | vo| mi| tu|sto|ten|iet|eto|ata|iss|sia|vat|dos|lin|tel|ast|see|ai |muo| sa|lai|jot|pii|iil|ilo|lot|uvi|tar|us |sel|ies|auk|stä|all|sit|ego|enn|ine|tte|ell| up|upo|pot|ott|ami|tai|ois|ais|ttu| no|maa|isä|mä |kun|it |lis|itä| pa|ät |go |dau|et |nen|lli|jen|kam|sis|ama|na |isi|vak|aka| te|ita|kal|alu|iks|lla|dot|ot |täv|val|sen|ene|ite|eli|laa|elm|lmä|net|ne |aus| la|ust|tat|ati|tam|uod|odo|doi|sal|ala|otk|tka|sin|aal|joi|säl| ei|ei |täm|ämä|ua |nne|eis|ess|asi|työ|yök|öka|llä|lä |dat|pik|la |ti |tut|vät|kui|uin|nop|ope|as |aat|lok|arv| uu|ali| ke|aaj|un | bi|bit|kka|tää|ää |akk|tav|vel|met|eta|ses|iaa|isu|tu |lei|hin|iin|oid|ält|ole| nä|vis|aut|utt|daa|sek|suo| to|toi|fis|ska|iä |vaa|mit|äll|oa |eks|etu|ut |ävä|pea| op|ota|att|lee|kee|tos|ark|jat|ava|set|tuk|eil| vä|ävi|min|käs|äsi|men|ete|aje|nnu|tul| k | v |ytä|vas| so|sov|ove|suu|uuk|täy|orm|rma|eih|ihi|vii|ide|den| ol|ko | au|inu|eku|unn| su|uor|ela|rin|ina|tej|ejä|jä |pau|iat|aty| li|dä |med|edi|dia|iaf|ile|toa|ele|tek|kst|ity|tyi|yis|var|tue|ink|nka|pas|rii|ana|oi |tti|tis|alo|oku|rvi|vit|tae|rit|uud|ude|del|opi|tal|len|nta|uus|usi|tee|eet| lu|hit|aja|eva|rki|stu| ty|nä |ida|kos|osk|tei|vai|muu|uut|mat|ee | ne|pak|kau|uot|nus|ulo|tit| et|emm|llu',
+  },
+  fil: {
+    alphabet: 'abcdefghiklmnopqrstuvwxy',
+    trigrams: 'ng |ang| na| an| ng| sa|sa |gan|na |ga | mg|mga|ano| pa|ste| st|teg|ega| ma|an |ya |ara|rap|api|ong| de|nog|ogr|gra|iya|piy|ode|at |ay |er |cod|ata|to |der|aka| ay|lar|awa|wan|dec|ama|ito| at| la|ila| it|it |ag | me|raw| i |lan|nak|eco|on |pag|ta | ka|ens|par| is| ku|ago|isa|ina|ing|ra |le |aba|nco|ami|mit|in |nga|ala|de |yon| pi|aan|ili|nag|kod|enc|mag|hin|maa|no | fi|fil|ile|dek|eko| en|dat|ula| ba|kun|sah|tag|orm|rma|aga|ana|san|aar|mat|is |la |ail|men|nsa|ahe|he |kat| lo|al | hi|uma| bi|aaa|ari|gam| o |ihi|go |han|aki|gon|bil|por|ali|ion| ga| mu|kai|ban|nin| li|lih|mal|ind|ndi|di |ita|man| iy|iyo| mo|nan|kin|mab|abi| da| fo|for|lis|res|sio|pan| ex|tad|ada|mul|uni| gu|gum|ri |sam|ma |syo|pix|ixe|xel|el |aha| su|ort|ati|pin|pro|ses|eso|bag|usu|apa|mam|ess|ext|ecr|cry|ryp|ypt|pt |him|im |loo|oob|ob |mon| ki| to|too|ool|ol |asy|bab|sup|upo|rta|ros|ose|so |lin|ten|bit|mak|asa|raa|com|omp|mpr|pre|rin|iti|tin|met|eta|kit| ni|lal|umu|kay|aya|iba|eks| pr|agb|gba|nab|kon|ino|ung|ini| ko|umi|ad |ahi|nat|til|kap| si|pam|mar|agp|odi|din|xte|nsi|con|kas| q | a | ap| up|ed |iki| tu|tul| il| se|ekt|ser|cre| te|pak|med|edi|dia|ia | ib|ba |mas|pri|ado|don|agi|paa|op |iko|nop|opr|nit|inu|uha|uli|lit|agk|gka|pos|os |sav|ave|ve |kop|te |li |ant|iwa|hil|gin| ta|are|ags|bin|ida|kam|ulu| ha|min|epe|los| co|ssi|ton|cy |ap |ble| re|asi|ira|kum|app|pp |upa|muk|ukh|kha| no|nor|kik|nil|lam|tum|ulo|lon|seg|egu|gun|und|ndo|do | di| br|bro|row|ows|wse| sc|scr|ree|een|nsh|sho|hot|ot |est|st |tal|bib|ibi|big| bu|buk|tan| ip|ipa| im|imp|mpo|lik|ik |tek|kst|sto|bah|hag|gi |gab|bay| dr|dro|rop|tik|uku|agd',
+  },
+  fr: {
+    alphabet: 'abcdefghijlmnopqrstuvwxyzàèéêôœ',
+    trigrams: 'es | de|de | st|nt |ur |tég|gan|ano| dé|rap|hie|cod|ode|sté|éga|nog|ogr|gra|aph|phi|er | le|eur|ie | un|age|déc|des|ent| co|les|le |que| en|éco|ne |ge |ez |ns |re |deu|ion|et | po| et|ess|uti|on |ts |til|pou|ans|our|une|chi|dan|te |ant|ue | ex|ext| im|ima| da| qu|com| pa|un | in| ou|onn|mag|la |men| vo|fic|don| d | la|ssa| ca|rs | ut|lis|tio|tra|rai|orm|rma| se|ble| fi|il |pre|nné|ées|for| me|ges|ide| pe|iqu|par|ich|ier|enc|nco|ili|ati|rer|air|ire| fo|mat|mes|eme|con| ce|der|tre|res| pr|ste|ise|née|ats|sag|omp| no| do|est|us |en |lle|uve|teg|ite|xtr| mé|mét|sec|as |ous|ssi|cha|ega| il|sio| l | ap|int|nté|égr|ou |éch|cac|és |ten|st |vou| à |hiq|art|rti|ls | lo|ce |xte| ch|no |ces|peu|sez|gre|éta|iff|ach|ale|ont| es|pas|ibl|otr|omm|mme|tan|ir |tes|out|ouv|ers| pi|pix|ixe|xel| av|har|arg|rge|ait|urs|mpr|ica|hif|ffr|fre|ecr|qui|ui |uel|ues| di|vot|onc| te|san|sta|mul|ren|ons|is |api|dép|se | si| so|ens|el | bi|bit| li|ux |ort|app|tad|ado|ché|tem|eco|ell|me |per|tir| éc|vez| fa| ré|ult|dia|dis|iss|els|che|ave| ra|pid| ph|pho|hot|oto|os | re|nou|ifi|ors|ali|ign|leu| tr|éth|tho|hod|rés|oda|dag|abl|ité|té |nti|nsi| ne|gar|eut|ut |end| q | r |cat|in |cre|ret|ets|ète|mal|nte| n | vi|vis|isi|sib|ett|tte|ond|nde|rec|cte|ate|teu| el|cti|nne|cap|apt|écr|ran| sa|tal|ils|ds |fai| mu|lti|tim|imé|méd|édi|her| du|du |tex|vec|ec |rta|pri|pos| au|aut|si | né|néc|éce|anc|nce|ist| ta|sse|vea|eau|env|sen|ais|son|lor|rsq|squ| va|val|its| mi|al |ar |isa|van|aux|ièr|ère|ert|rte|ser|lit|den|ard|rde|tab|por| ga|dez|tat|ill|ven|non|ppl|pli|lic| be|bes|eso|soi|oin|hés|sem|emb|mbl|nor|enu|nu |hé |cet| ai',
+  },
+  gu: {
+    alphabet: 'abcefginoprstંઅઆઇઈઉએઓકખગચછજઝટઠડઢણતથદધનપફબભમયરલળવશષસહાિીુૂેોૌ્',
+    trigrams: ' કર|ને | સ્|સ્ટ|્ટે|ટેગ| છે|છે |માં|કોડ|ગ્ર|્રા|ોગ્|નોગ|રાફ|ાં |ેગન|ગનો|ડીક|ાફી| ડી|ીકો| મા|ફી |ોડર| અન|રે |ડર |અને|નો |થી |વા | સં|તે |પ્ર| તમ|કરે| તે|ેટા|કરવ|માટ|ાટે|ટે | ઉપ|રી |્યા|ક્સ|્ટ | કા|યોગ|કે |િક્|ઉપય|પયો|રો |ું |માર|ોડ |ના | શક| ફા|ફાઇ|ાઇલ| ફો|ોર્| એન|એન્|ન્ક|્કો|ક્ર|મેટ|રવા|કરો|સંદ|ની |ામા|યા | પ્|ડેટ|ેડ |ોગ |વી |ંદે|દેશ| સા|્ય |િક |કરી| કે|્રિ|ટા |મ્બ|કાઢ| છુ|છુપ|ુપા| આ |તમા|તા | એમ|એમ્|્બે|બેડ| અથ|અથવ|થવા| જે|ારે| પર|કો |ફોર|ાનો|ીને| ઇમ|ઇમે|મેજ|ેજ |િપ્|ાંથ|ંથી|ેશન| છબ|છબી|પાય|ાયે|યેલ|ેશા|શાઓ|માન|શન | વિ|ાફિ|ફિક| ડે|િયા|ઇલો|ર્મ|્મે|ંગ |ર્ટ|ેગા|ગાન|યાર| એક|્રે|શકે| ડિ|ડિક|રિપ|પ્ટ|ેલા|પ્ત|્ત |ાઓ |વાન| જર|જરૂ|રૂર|સામ|ન્ય|ાય |ેલ |ારા|રા |મે | ટૂ|ટૂલ|્સ |ર્ય|રીન|્રશ|રશ્| પિ|પિક|્સે|સેલ|ત્ર|િંગ| સપ|સપો|પોર| રી|રીત|ીતે| ઝડ|ઝડપ|ખો |્ર |ોને| ઓછ|ઓછા|ાર |કમ્|મ્પ|્પ્|્શન| મે|ટાડ|ાડે|શનન|મને|બીઓ|લા | ગુ|ગુપ|ુપ્|જે |પૂર|ૂર્|ર્ણ|ાન્|્રી|તી |કન્|રીક|તમે|્સ્| મી|ક્ષ|શકો| છો|છો |ીઓ |વો |છા | ચિ|ેક્|પી |ાર્|ાખો|ફોટ| તો|પર | ક્|લો | કો|ટ્સ| નો| બિ|બિટ|કાર| મૂ|વર્|વાર| પદ|પદ્|દ્ધ|્ધત|ધતિ|ોડિ|ડિં|એક્|્સટ|સટે|ટેન|ેન્|ન્શ| રા|રાખ| a |ાઢવ|ઢવા|્લિ|લિક|નનો| શુ|શું|ાની|ૂર |સંપ|ંપૂ| દે|દેખ|ેખા|ામગ| નથ|નથી|રમા| સે|સેક|ેકન|ન્ડ|ોમા|વામ|તરી|ેથી|ૂલ્|ષણ |ાવો|મીડ|ીડિ|ડિય|લમા|ેલી|ચિત|િત્| ટે|ટેક| ખા|ગી | બી|કેવ|ેવી|ડપી|િકા| ના|ોટા|ાઓન|નું|ફીન| જો|જો | હો|તો |સાચ|ાચવ|ેસ્| નવ|તેન|ોના| સર| રહ| લો|ાસ |ૂલ |્યો|લોન|લ્ય|િટ્|્સમ|સમા|ર્ત|િત |્રક|રક્|રિય|ેસ |રેશ|નીય|્નો|ક્ય|સ્થ| નિ|ઇલન|લના|યાદ| નહ|નહી|હીં|ીં |્ડ |શ્ન|ીમા| એપ|એપ્|પ્લ|િકે|કેશ|તમન|ીઓમ|ઓમા|્ણપ|ણપણ|પણે|ણે |ખાય|મગ્|ખાત| બ્|બ્ર|રાઉ|ાઉઝ|ઉઝર|ઝરમ| જ | મદ|મદદ|દદ | તર|ીકે|કામ|કર્|સ્ક|્ક્|ીનશ|નશો|શોટ|ોટ |પરી|ીક્|્ષણ| વધ|વધુ| અં|અંદ|ંદર|દ્ર|શ્ય|ાઢો|ઢો ',
+  },
+  he: {
+    alphabet: 'abcdefghimnoprstyאבגדהוזחטיךכלםמןנסעףפץצקרשת',
+    trigrams: 'ים |ות |סטג|טגנ|גנו|נוג|וגר|גרפ|רפי|פענ| סט|יה | של|ענח|פיה|נח |תמו|מונ|מפע|של | מפ|יות| תמ|ונו|נות|נים|עות| או|וני| לפ| את|פור|טים| מש|מקו|שתמ| לה| לח| נת| הו|הוד|ודע|ורמ|רמט|זה |את | שי|תמש|או |חלץ|לץ |נתו|תונ|נה |לפע| אי|ור | מה|מטי| st|ste|teg| זה| ומ|לחל|ונה|סתר| בת| בד|לי |יים|לים| מק|בצי|קוב| לא|לא |קוד|ודד|דד | הש|ית |הטמ|דעו|סוד|רות|ין |כן |תר |נו |רת | פו| כל|קבצ|פיק|יקס|קסל| לק|ובץ|בץ |ega|gan|ano|יך | הפ|ענו|נוח|וח |שים|משת|וד | בא|להט|טמי|מיע|יע | מט| סו|בתו|תוך|וך |ילו|תוכ|ירו|טה |כלי| מד| בפ|בפו|מיד|עה |no |מהי|היר| במ|שלך|לך | על|לה |צים|ון | הת|סה |אם |ומק|השת|מטא|טא |כים|ודי| המ|מוס|וסת| שנ|לות|התו|זו | עו| תו|שני|לת |בור|ומי|מי | לע|צי |מדי| שו| מי| מו|סלי| הס| לש|טי |מכי|יר |על |אחר|חר | הק|ושי| בי|ביט|משמ|מעו|ותי|וון| הא| פי|שיט| בע|יבו| ש | א |מש |יית|די | מת| ב |צרי|תרו|נרא|אות| וה|אינ|ינו|זרת| יש|פן | כמ| עב|עבו|לו | דא|דאט|אטה|פיו| נס|לומ| מס|מים|בדי|דים|וסף|סף |בלת|תי |מה |יכו|כול|התמ|דיה|טקס|קסט|סט | עם|עם |דעה|שית|פרט|רטי|איך| למ|הסט|במי|דת | שמ|קי | הט|רו |הקו|חדש| תל| פע|וצי|בוד|ני |פיי|משי|שימ|ימו|מוש| ול| קב|ובד|שמע|פחו|חות|יטי| ער|כיו|יוו|דחי|חיס|יסה|לקי|קיד|ידו|דוד|בה |שר | דח|אפל|פלי|ליק|יקצ|קצי|ציי| כד|כדי|ריכ|יכי|דיו|המו| רג|רגי|גיל|וכן|לוי|וי | זו|וזר| לכ|לכם|כם |ניו|שיר|בדפ|דפד|פדפ|דפן| הי|היא|יא |כמפ| שת|וכל|כלו|נסת|מצי|ציל|מסך|סך | ממ|דיק| נר|ראי| יכ|עשו|שות|וף |ידע|דע | בח|חזר|הסת| טק|בתמ|לקו| בק|בקו|לשי|יתו| פר|נתמ|תמכ| כו|מדר|דרי|ריך| הכ|יסו| קו| מח|ידת|רך |הפע|וב |לאח|ותק|תק | נק|נקי| הד|מט |טמע| וש|ושמ|שמר|לח |ילה|למי|מיו|ודו|דות| יו|רים|רוצ|מפת|חים| בו|קים| שח| חו|בבי| אנ| הז|יקו|קל |משק|שי |מת |יט |הפח|תיי|ערכ|רכי|כי |הפי| מכ',
+  },
+  hi: {
+    alphabet: 'acefginopstँंःअआइईउएऐऑऔकखगचछजझटडढणतथदधनपफबभमयरलवशषसह़ािीुूृेैॉोौ्',
+    trigrams: 'ें | है| कर| स्|स्ट|्टे|टेग|्रा| को|को |कोड|के |है |ग्र|ोग्|नोग|राफ| डि|डिक| मे|ता |में|ों |ग्न|िको|से |ेग्|्नो| के|ाफी|फी | और|और | प्|प्र|ोडर|डर |हैं|ैं | सं|करत|ित | का|का |या | से|िए | उप|क्स|्ट |करे|रें| फ़|ेटा| एक|ने |लिए|ते |ाइल|उपय|योग| आप| नि| यह|यह |पयो|ोग |िक्|ोड |रता| लि| कि|फ़ा|़ाइ|टा |की |करन| सक|सकत| इस| जा| एन|मेट|डेट|संद|ंदे|देश|िका| की| सा|ना |िक | हो| इम|इमे|मेज|ेज |म्ब| या|आपक| छि|छिप|्य |ती |री |रूप| वि|एक |ंग | एम|एम्|्बे|बेड|ेड |क्र| क्|्या|्त |ेशो|शों|निक|काल| बि|रने|इल |ानो| पर|िंग|बी |शन |िप्|प्त|पी |हीं|ीं |ूल |्स |फिक|कते|श्य| डे|कर | भी|िया|्न | पि|पिक|्से|सेल|ेल |कार|ेगन|गनो|जी |ेगा|गान|नो | एल|एलए|लएस|एसब|सबी|भी |एनक|नको|एक्|्सट| फॉ|फॉर|ॉर्|र्म|्मे|ेट |्रि|रिप|प्ट|क्य| गु|गुप|ुप्| जो| दे|मान| जि| नह|नही|ाफि|लों| सम|त्व| मा|हो | बा|ोडि|डिं|कता|विध|बिट|कि |संप|ंपी|पीड|ीड़|्रश|रश्|श्न|करक|रके|टाड|ाडे|सी |स्व|जो |साम|्री| सी|पके| रू|ूप |आप | टू|टूल| मी| हु|ाल |किस|लें|यों|इलो|रार|ारू|ूपो|पों|जान|्रो|रण |एन्|न्क|्को|्थि|्वर|ार्| आव|आवश|वश्|्यक| तो|तो |्रत|रति| अप|पर | रह| वे|क्ष|रते|होत|ोता|पूर|िधि|नीय|ति |सटे|टें|ेंश|ंशन| ए |पको| तस|तस्|्वी|वीर|रों|िपे|पे |ालन|ज़र| लग|िपी| ही|ही |सेक|ेकं|कंड|ंड |जिस|िसस|ससे|ारी|कम | टे| छव|छवि|ाले|मीड|ीडि|डिय|ाफ़|़ी |रना|ानक|नका|लना| वा|चित|त्र|ेक्|ाएँ|एँ | पी|पीए|ीएन|एनज|नजी| बी|बीए|ीएम|एमप|मपी| कै|कैस|ैसे| त्|वरि|रित|मार|दर्|र्श|फ़ो|ोटो|टो | यद|यदि|दि | सह|सहे|हेज|पनी|इसे|वे |इस | सु|रती|ूर्|र्ण|्ण |िट्|ट्स|इन |इसल|सलि|परि|धि | दो|ड़न|़न |स्थ| सप|सपो|पोर|ोर्|र्ट| रख|रखे|खें|निर|िर्|रोस|ोसे|सेस|कोई|ोई | ऐप|ऐप |ीरो|ल्क|ामा|ान्|न्य|जिन|ामग|मग्| दि|दिख|िखा|खाई|ाई |देत|ेती| कु|कुछ|ुछ | ब्|ब्र|राउ|ाउज|उज़|़र | मद|मदद',
+  },
+  hr: {
+    alphabet: 'abcdefghijklmnopqrstuvwzćčđšž',
+    trigrams: 'ste|je | st| po|teg|ano|ega|gan|gra|ogr|te |raf|kod|ke |nog| ko|ti | de|eko|ira|ne |dek| za|ode| iz|no |ije|der|er |lik|dat| da|afi|fij| i |ite|afs|fsk|ju |ja |da |odi|ma |za | sl| u |sli|met| ne| pr|anj|nje|ski|ist|sti| ka|pod|dir|ki |ko |li | me|oda|ći |ku | mo|ima|ran|ato|ori|ako|tek|kor|ući|orm|rma|ija|iti|ati|tot|ote| fo|ris|iju| bi|por|oru|ka |koj|rat|pre|for| na|izv|ruk|kri|riv|na |pri| je|ost|tit|ika|ili|atk|tke|ate|ajn|ive|drž| ov|mož|ože|nov|ni |bit|ike| um|ume|etn|tnu| il|zvu| ta|taj|nut|aju|pot|ra |ala|mat| pi|ovi|kom|eke|nos| en|nko|aci|cij|deš|eši|šif|ifr|fri|rir|ali|vuć|jne| sk|skr|ven|rža|ve | va|iku|ema| te|nja|rit|pik|iks|kse|sel|eks|kst|enj|vaj| ob| o |enk|kak|eta|iz |uke|ene|oje|gle|led| no|mal| sa|lji|ova|va |že | se|eku|vaš|žet|st | al|lat|tog|to |edi|dij|la |pon|jen|odr| br|brz|man|oji|ji |zij|aj |ada|nač|omp|mpr|ten|ava|tap|apo|tre|reb|aln|adr|su |nek|iko|di |aše|edn|ete|ske|sta|ih | os|što|čin|nit|tim|ela|ono|om |iva|lje|ani|rzi| is|fot|oto|otr|ebn|kon|ove|pro|at |tov|kad|naj| zn|zna|čaj|rij|obr|bra|eto|tod| ek|enz|nzi|bil|se | p | ap| un|unu|uta|tar|ar |otp|tpu|pun|aje| ni| vi|jiv|sek|kun|und|reg|egl|nik|kao|ao |tak|nim|ona| in|ta | to|uti| št| uč|ini|med|ijs|jsk| s |uku|sko|oj |vat|atn|tno|lju|zi |pus|ust| ak|bno|pok| sp|spr|rem| či|pij|jte|eri|nu |ent|sno|ri |raj|ači|jim|tra|an |ina|ajm|jma|ača|ito|vi | mi|juć|pos|res|esi|sij|tet|mog|ogu|ajt|žit|ego|go |nič|vis| do|apl|pli|kac|ukl|kli| tr|izg|zgl|eda|uno|nor|lno|sad|žaj|isu|vid|idl|dlj|pom|oma|aže|vam|am |kol|oli|ndi|rav|vno|šem|em |dni| fu|fun|unk|nkc|kci|cio|ion|oni|nir| sn|sni|aka|zas|asl|slo',
+  },
+  hu: {
+    alphabet: 'abcdefghijklmnoprstuvwxyzáéíóöúüőű',
+    trigrams: ' a | st|ste|teg|kód|dek|ega|gan|ano|nog|ogr|grá|ráf|áfi| de|ekó|dol|ódo|gy |fia|és |ek |kép|at |et |iai|ai | és| az|en | ha|az | ké|épe| ki|kat|an | sz|óde|der| me|oka|esz|orm|rmá|hat|er |dat|ato|ene|sze|szt|el |fáj|ájl|has|for|ete|nek|het|be |asz|szn|gya|nye|ada|net|pek|ak |tt |lás|sz | eg|egy| fe| fá| mi| kó|zná|nál| ho| va|mát|átu|tum|zen|eke|ket|nak| ne|em | ez|ben|ele| el|ego|ség|hog|ogy| be|agy|ől | fo| üz|üze|tek|zer| te|tet|len|ik |tsz|fel|mok|ény|tés|es |yer|ekb|jes|ás |olá|meg|umo|go |ent|ja | al|ágy|yaz|vag|kin|tok|ből|át |ban| ti|ere|tel|rej|ejt|ató|ez | má|más|áso|köz| es| ad|tás|ra | tö|oló|ló |zás|iny|fiá|os |ni | am| re|jte|nem|tó |lat| mé|szk|zkö|jlo| pi|pix|ixe|xel|ok |men| bi| mó|mód|ite|töm|ömö|mör|rít|erj|rje|tit|itk|tko|kos|ret|ern|yan|kbő|ett| ta|ásá|ül |nt |rhe|tes|kül|ne |ets|lha|lok| tá|tám|ámo|mog|oga|gat| gy|sd |ték|ért|kon| le|ősé|bit|ter|örí|hoz| k |álj|lja|alk|kal|alm|lma|st |za |met|eta|taa|aad|épb|olj|iát|etn|elj|lje|lis|tar|art|lát| se|per|erh| ke|ell|íte|tat|is |zha|ats|ami|it |ehe|kbe|ól | kü| ág|veg|tot|lj |gyo|yor|ors| fé|fén|nyk|yké|eri|ha | új|sol|ése|int|tsd|min|ine|kna| ak|aki|kik|ia |ák |kne|rt |atá| ko|iko|kor|sít|leg|kis|ise|seb|bb | je|jel|tős|tja|olg|lgo|goz|va |óds|dsz|oz |kit|zté|ti |ási|si | v |lka|azá|beá|eág|zza|tné|ely|lye|mál|áli|tal|tha|ala|att| kö|etl|tle|gés| mű|műk|űkö|köd|dik|kel|ten|eze|azh| ny|olh|méd|édi|dia|iaf|ból|áci|ció| vi|ssz|szö|zöv|öve|ege|get|the|val|al | pr|ott|rs |uta|jlt|lt |lem|ri |ége|ges|isz|ola|ld | ka|új |üld|ják|elr|zte|lni|zt |sok|oln|uk |ver|ert|on | ér|egk|gki|ebb|ntő|égű|gű |rté|elé|ést|zek',
+  },
+  id: {
+    alphabet: 'abcdefghijklmnopqrstuvwy',
+    trigrams: 'an | me| da|gan|men|ste| st|teg|ode|ng |ega|ano|kan|eng|ang|at | pe|dek|nog|ogr|gra|raf|afi|fi |kod|si | ya|yan| de|eko|ak | te|ata|mba|ar |ala| di|da |apa|er |de | in|and| se|nda|eks|bar|ter|mem|asi|ntu|dan|ini|ung|pat|ngk|der|ika|mat| ga|amb|emb|ni | an|pen|uk |gam|dal|san| ke|gun|una|aka| un|end|lam|am | ti|ida|unt|tuk|kst|nde|tid|dak|nga| be|ing|nak|esa|ber|ngg| fi|fil|ile|le | fo|ema|nge|ta |dar|ari|per|erl|ia |ers|nyi|di |rma|dap|eny|gek|rak|ada|dat|ri |pes|sem|mbu|orm|for|ah | at|tau|au |str|tra|met|bun|uny|gka|pan|pa | pi| ba| bi| ap|nye|yem|atk|tka|eta|aha|sia|rse| ko|ik |sel|pik|iks|el |no |epa|ka | sa|asa|mpr|ngo|rip|rlu|has|yi |al |ten|tik| la|lan|aga|tan|eme|in |ap |mas|kse|ali|uku|ara|ra | pa|lin| si|pem|mer|kom| ka|res|god|lik|kas|ekr|kri|ips|psi| ra|rah|lih|ya |kon|ant|eti|ser|bag|ai |kap| al|lat|era|dia|gko|duk|kun|car|cep|oto|ran|ggu|na |bit| ma|omp|pre|esi|il |tad|rli|iha|hat|enu|ban|tu |tun|gga|ga | ta|ela|lai|uka|edi|den|eka| pr|did| ca| ce|ke |rsi|fot|to | ji|jik| ja|mpa|sal|ih |emp|ili|aru|ifi|it |ros|ose|ses|eto|tod| ek|ens|nsi|kin| q | a | gu|lu |sep|epe|nya|itu|det|ngs|bro|seb|gai|ehi|hin|aya|ngi|sta|ain|med|erb|rba|tek|ks |agi|gi |pri|idu|ndu|dua|ere|is |nka|ete|lah|imp|ina|ket|ru |das|aan|tet|tap|erg|rus| le|sig|ign|gni|nif|fik|ila| mu|emi|mil|iki|eru|bah|mi |luk| lo|mun|gki|sak|kec|ine|tas| ad|as |ita|dig|igu|apl|pli|nuh|uhn|hny|mal|ont|nte|en | hi| br|row|ows|wse|erf|rfu|fun|gsi|eba|seh|lay|yar|uji|ji |anp|npa|gin| it|ngu|inf|nfo|li |yik|adi|asu|uan|ret|et |eca|tis|ank|set|tel|yim|nan|sih|mpe| ki|kir|iri|rim|im |ert|rti|ti |bia|ias|sa |wa |bel',
+  },
+  it: {
+    alphabet: 'abcdefghilmnopqrstuvwxyzàèéìòù',
+    trigrams: 're | st|ste|fic|ano| de|ica| co|di |ifi| di|teg|ega|gan|odi|dif|ti |cod|ogr|gra|raf| in|no |nog|afi|dec|eco|to |le |ia |ne |ato|fia|ion|cat|tor|are|est|ati|ess| me|ore|per| pe| un| e |er |la |con|men|ent|one| es|ni |ile|com| la|por|str|un | im|gin| se|nte|li | qu| ri| i | da|imm|mma|mag|agi|ta |rar|tra|ssa| ch|che|he |te |el |zio|do |ili|ora|in |asc| il|il | ne|na | fi|fil| fo|sio|dat|da |agg|ggi|omp|orm|rma|ali|sto|car| pu| pi|ca | ut|uti|til|liz|izz|zza|inc|cor|mes|sag|ini| no|ndi| pr|for|ndo|za |nco| o |met|gi | na|nas|sco|ost|all|ten|on |bil|del|azi|pre|ico|orp|rpo|arr|ine| bi|cos| al|ame|ell|ond| tu|tuo|me |ens|nti|si |mat|ere| su|ort|ida| le|una|ori|ri |ssi|ric|res| ap|rre|eta|cri|rit|ret|eti|ll |non|que|ues|sta|chi|ser|ome|uoi|oi |lla|rum|riv|tto|oni|pix|ixe|xel|upp|ita|end| si|ei | l |app|ada|ecr|itt|seg|egr|gre|isi|ibi| po|nel|uo |tru|ume|ant|ela|tes|sup|ppo|rta|ono|api|ari|col|nto|qua|and|vi |gni|bit|dei| ca|eto|ich|mpr|nsi| d |tad| ha|iso|int|ter|ont| è |vis|ind|puo| sc|va |inv|far|tog|afa|ult|ime|ver|nde| te|ivi|pri| ra|rap|pid|ina|fot|oto|ipe|gli|ra |man|ro |sig|ign|nif|it | el|lab|abo|bor|tod|nes| lo|può|uò | r |tar|ai |ogn|sti|ern|rno|uto|sib|iut| a |lle|hi |sec| fu|ona|qui|uin|ici|ci |scr|cre|pro|enz|nza|lar|tre|nvi| fa|dal|ive| mu|mul|lti|tim|med|edi|dia|ial|div|der|iva|tat|sci|cin|nal|cam|se |io | sa|sal|alv|lva|lit|icc| nu|nuo|uov|vo |lo |ale|ivo|ppa|erc|rch|ché|hé |son|ntr|lli|mod|uan|val|can|tiv|lor|co |att| mi|par|odo|rti|zan|abi|ità|tà |de |ssu|sun|ris|pos|oss| ma|pic|spo|taz|pp |tta|bis|sog|gno|ran|mpl|ple|let|tam|nor|mal|enu|nut| vi| ti| ai|aiu|uta',
+  },
+  ja: {
+    alphabet: 'abcefgipqrtw々あいうえおかがきくけこごさしじすせぜそただちっつてでとどなにのはびぶまみむめもやよらりるれわをんァアィイウェエォオカガキクグケコゴサザシジスズセソタダチッツテデトドネノバパヒビピフブプベペボポマミムメャヤュユョラリルレロンー下中人仕付以位作使依便保信値像元入全共内再写処出別利制前力加効動化可号合同含圧埋基報場変失好存学安完定実容密対将小常度延張影役後得復必応性情愛択抽拡持接換損敗数新方既明普更書最有本来析果検機正比法潔特現理生用由画異発的目真研破確私秒秘究立簡約組結続縮考者能自良色行要見視覚解証試読誰貼軽較込迅追送通速遅適選避重量開間限際隠離非響頼高',
+    trigrams: 'ステガ|テガノ|ガノグ|ノグラ|グラフ|ラフィ|ます |フィー|デコー| ステ|コーダ|ーダー|コード|します|ファイ|ァイル|ダー |エンコ|ンコー|ィーデ|ーデコ|データ|メッセ|ッセー|セージ|を使用|ータを|ージを|フォー|使用し|埋め込|のステ|ードす|ドする|ォーマ| エン| 画像|用して|ィーを|すか |を抽出|め込む|する |ーマッ|マット|てくだ|くださ|ださい|さい |を復号|隠され|があり|ありま|ります| この|をデコ|ツール|フィッ|ィック|ピクセ|クセル|ガノデ|ノデコ|イルを|ビット|してい|画像ス|像ステ|メタデ|タデー|を埋め|抽出し| 秘密|秘密の|画像の|ますか|するの| これ|の画像|クリー|リーン|された|できま|きます|のため|ために|ィーの|ック | ファ|るため|ため |拡張機|張機能|ポート|ていま|います| q | a |画像か|像から|からメ|らメタ|タを埋|ーを復|に見え|像の中|抽出す|出する|する必|る必要|必要が|要があ|ーをデ|るのに|に役立|ダーと|ィーツ|ーツー|ること|ット | また|または|のデー|メディ|ディア|ィアフ|復号す|号する|テキス|キスト|ストを|プライ|にメッ|新しい|がある|最下位|下位ビ|位ビッ|ットを|の方法|機能は|可能な|サポー|してく|る可能|可能性|能性が|性があ|ダーア|ーアプ|アプリ|して | 完全|完全に|の中に|ている|ものか|ブラウ|ラウザ|ウザ内|ザ内で|で画像|のに役|役立ち|立ちま|ちます|これは|ーとし|として|ールを|なく | スク|スクリ|ーンシ|ンショ|ショッ|ョット|テスト|ックメ|クメッ|込むこ|むこと|タを抽|画像を|アファ|ルから| ピク|れた情|た情報|情報を|報を抽| プラ|めにメ|ジをエ|をエン| 対応|れます| デコ|ード方|ド方法|方法 | クイ|クイッ|イック|ックガ|クガイ|ガイド|イド |にドロ|ドロッ|ロップ|出し |コピー|ピーを|を保存|保存し|するか| 埋め|しいフ|存しま| 通常|ように|送信し|信しま|ための|ードと|このス| フォ|なステ|ロード|の最下|これら|あるた|写真は|ールは|セルご|ルごと|ごとに|に処理|処理し|理し |ットで|です |はロス|圧縮を|縮を使|のある|ライバ|イバシ|バシー|能は | あな|あなた|なたの|メソッ|ソッド|用の | 安定|安定し|定した|アイコ|イコン|場合は|ードの|保って|ってく|の写真|ことが| 非圧|非圧縮|圧縮の|はどの|をサポ|ートし|トして|ライン|インで|ンです|ですか|プリを|リを使|め込ん|込んだ|んだり|だり抽|り抽出|出した|したり|たり | のス|復号化|号化し|化しま|密のメ|のメッ|ジを |全に普|に普通|普通に|通に見|見える|える画|る画像|中に隠|に隠さ|されて|れてい|いるも|るもの|のから|から抽|ら抽出|この |プリは|リは | ブラ|内で数|で数秒|数秒で|秒で画|れは | 用の|用の画|して機|て機能|機能し|能し | 重い|重いス|いステ|ルをイ|をイン|インス|ンスト|ストー|トール|ールす|ルする|するこ|ことな|となく| ミー|ミーム|ーム |たはテ|はテス|スト画|ト画像|ータや|タや隠|や隠さ|れたス|たステ|ジを抽|抽出で|出でき| さら|さらに|らに |中に見|見えな|えない|ない秘|い秘密|密のデ|ことも|ともで|もでき| でき|できる|きるこ|こと |の中の|中の画|像を明|を明ら|明らか|らかに|かにす|にする| メデ|イルか|からス|らステ| 異な|異なる|なるフ|るフォ|ットの|トのス|セルか|から隠|ら隠さ|密のス|ジを再|を再埋|再埋め|込む |ィーで|ーで画',
+  },
+  kn: {
+    alphabet: 'abcefginoprstuyಂಃಅಆಇಈಉಎಏಐಒಓಔಕಖಗಚಛಜಟಠಡಣತಥದಧನಪಫಬಭಮಯರಲಳವಶಷಸಹಾಿೀುೂೃೆೇೈೊೋೌ್',
+    trigrams: 'ನ್ನ|ನು |್ನು| ಸ್|ತ್ತ|ಸ್ಟ|್ಟೆ|ಟೆಗ| ಮಾ|ಕೋಡ|ಮಾಡ|ಗ್ರ|ನೋಗ|ೋಗ್|ೆಗನ|ಗನೋ|್ರಫ|ರಫಿ| ಡಿ|ಡಿಕ|ಿಕೋ|ರ್ |ಗಳನ|ಳನ್|ುತ್|ದು |ಲ್ಲ|ನ್ |ವನ್|ಾಗಿ| ಗಳ|ದೆ |ೋಡರ|ಡರ್| ಮತ|ಮತ್|ಡ್ | ಸಂ|ಗಿ |ಲ್ |್ತು|ತು |್ಲಿ|ಟ್ |ಫಿ |ವು |ಗಳು|ಳು |್ತದ|ತದೆ|ಗೆ | ವಿ|ಸುತ|ಿಕ್|ಾಡಿ|ಿಸು| ಹೊ|ಸಿ |ಡಿ |ೋಡ್|ುದು|ಲಿ |ವುದ|ಎನ್| ಚಿ|ಚಿತ|ಿತ್|ತ್ರ|ಯನ್|ಕ್ರ|ವಾಗ|ಿಸಿ| ಫೈ|ಫೈಲ|ೈಲ್|್ವರ| ಬಿ| ಪ್|ಪ್ರ| ಎನ|ಿಂದ|ಂದ | ಎಂ| ಬಳ|ಬಳಸ|ಿಯನ|ುವ |್ಯವ| ನಿ|ಬಹು|ಹುದ|ೆಗಾ|ುವು| ಕೋ|ಡೇಟ|ೇಟಾ|ಲು |ತೆಗ|ೆಗೆ|್ರಿ|ಸಂದ|ಂದೇ|ದೇಶ| ಇದ|ಗಾನ|ಾನೊ|ಟಾವ|ಾವನ|ಎಂಬ| ಅಥ|ಅಥವ|ಥವಾ|ವಾ |ಹೊರ|ೊರತ|ರತೆ|ಗೆಯ|ಿರು|ಶಗಳ|ನಿಮ|ಮ್ಮ|್ಮ |ಾಡು|ಗಾಗ|ಾರ್| ಪರ|ಗಳಿ|ಕ್ |ಸ್ವ|ತ್ವ| ಅನ|ಅನ್|ಿಲ್|ಂಬೆ|ಬೆಡ|ೆಡ್|ಫಿಯ|ೀಕ್|ರುವ|್ಯ | ಸಾ| ಈ |ಿಮ್|ಇದು| ನೀ|ನೀವ|ೀವು|ಕ್ಷ|ರಿಯ| ಪಿ|ಕ್ಸ|ವೆ |ೆಯು|ರೆ |್ತವ|್ಲ |ಾಡಲ|ಡಲು|ನಲ್|ಿಪ್|್ಟ್|ರಗಳ|ೇಶಗ| ಕಾ|ರಿಸ|ತೆ |ದ್ದ|ಪರಿ|್ರಾ|ರಾಫ|ಾಫಿ|ಫಿಕ|ವರೂ|ರೂಪ|ೂಪಗ|ಪಗಳ|ಪಿಕ|್ಸೆ|ಸೆಲ|ೆಲ್|ನೊ |ಳಿಸ|ದೇ | ಇಮ|ಇಮೇ|ಮೇಜ|ೇಜ್|ಜ್ |ಳಸಿ| ನಲ| ಡೀ|ಡೀಕ|ರಿಪ|ಪ್ಟ|್ರಗ| ರಹ|ರಹಸ|ಹಸ್|ಸ್ಯ|ಾನ್|ಗಳಲ|ಳಲ್| ಗಾ|್ದರ|ಸ್ಥ|ವರಿ| ಡೇ|ಾಡಬ|ಿತಿ|ೊಂದ|ಂದಿ| ಬೆ|ಬೆಂ|ೆಂಬ|ಂಬಲ|ಿತ |ಡುವ| ಗೆ|ತವಾ|ದರೆ| ಯಾ|್ತಿ|ದಾಗ|ಿಷ್|ಬಿಟ|ಿಟ್|ನವನ|ಗ್ |್ರಕ|ರಕ್|ಸಂಕ|್ರಶ|ರಶ್|ಶ್ನ|್ನೆ|್ರದ| ಮೆ|ಮೆಟ|ೆಟಾ|ಟಾಡ|ಾಡೇ|ಲಿಕ|ಶನ್|ಸಂಪ|ಸಾಮ|ಮಾನ| ಮರ|ಮರೆ|ರೆಮ|ೆಮಾ|ಡಿದ|ಿದ |ಿಸದ|ಬೇಕ|ಕೆಂ|ಂಡು|ುಗಳ|ಡುತ| ಆದ|ದರಿ|ರಿಂ|ಪಿಸ|ಪ್ತ|್ತ | ಅದ|ಡಬಹ|ಾಧ್|ಧ್ಯ|ತಿಯ|ಿಗೆ|ಯವನ|ಬಲಿ|ಲಿತ| ತ್|ರಿತ|ಮಾರ| ಫೋ|ಫೋಟ|ೋಟೋ|ೆಗೊ|ನೊಗ|ೊಗ್|ಯವಿ|ಿದ್|್ಥಿ|ಸುವ|ಷ್ಟ|ರ್ತ|್ತರ|ರು |ಳಸು|ೆಗಳ|ವಾದ| ಉಪ|ಕರಣ|ಾಗ |ಲ್ಯ|ಿದೆ| ಕನ|ಕನಿ|ನಿಷ|ಷ್ಠ|್ಠ |್ವದ|ಾನವ|ಿಯೆ|ವಿಧ|ಿಧಾ|ಧಾನ| ಅವ|ತವೆ|ೋಡಿ|ಡಿಂ|ಿಂಗ|ಂಗ್|ಸ್ತ|ರಣೆ|ಯು |ಯಾವ|ುದಿ|ದಿಲ| ಪು|ವರ್|ನೆ | ಅಪ|ಅಪ್|ಗಳ |ಂಪೂ|ಪೂರ|ೂರ್|ರ್ಣ|ಾಮಾ|ನ್ಯ|ಯವಾ|ವಿಷ|ಂತೆ|ೆಯಬ|ಸರ್|ಲಿಯ|ಯೇ |ಸೆಕ|ೆಕೆ|ೆಂಡ|ಡುಗ| ಆಗ|ಕಾರ|ಹಿಸ|ಆದ್|ಿಕರ|ೀನ್|ಾಟ್|ಳಿಂ| ಗು|ಗುಪ|ುಪ್| ಹೆ|ಹೆಚ|ೆಚ್|ಚ್ಚ|ಿನ |ಪಡಿ|ಡಿಸ|ಮಾಧ|್ಯಮ|ಯಮ |ಾಹಿ|ದಿಗ| ಪಠ|ಪಠ್|ಠ್ಯ|ಚಿಕ|ಿಕೆ| ಹೇ|ಹೇಗ|ೇಗೆ|ಬಿಡ|ಿಡಿ|ಸ್ |ಯುತ| ಅಗ|ಅಗತ|ಗತ್|ತ್ಯ|ವಿದ| ಉಳ|ಉಳಿ| ನಂ|ನಂತ|ಪ್ |ರವನ|ಹೊಸ|ೊಸ |ಿಗಾ| ಎಲ|ಎಲ್|ಿಗಳ|್ಷಿ|ೇಕಾ|ಕಾದ|ಾದ ',
+  },
+  ko: {
+    alphabet: 'abcefgilnpqrstw가각간값개거걸검것게겨결경고공과교구귀그기깨끗나내낸냐널넣네노눈는능니다단당대더데도동되된될두드들디딩따때떠떤또라람래램량러럼레려력례로롭뢰르른를릅리릭린릴마만맵메며면몇모무문묻므미밀밈및바반발방배버법벼변보복본붙브비빠사삽상새색생샷서선설성세셀셋소속손송수숨스습시식신실싱싶씁아안않압애앱야약양어얻업에여연영오온와완왜요용우운움원웨위유으은을의이인일읽입있자작장재저적전정제조존주줍중증지직진질채처초최추축출츠치컬코콘크클킬타택터테텍텐트특팅파패페포프플피픽필하학한할함합항해행향형호화확환효후히힌',
+    trigrams: ' 스테|스테가|테가노|가노그|노그래|니다 |그래피| 디코|래피 |코더 |디코더| 이미|이미지| 파일|합니다| 및 | 사용|에서 |습니다| 인코| 수 |미지 |데이터| 메시|메시지| 이 |디코딩|사용하| 추출|지를 | 있습|있습니|이터를|터를 | 삽입|세요 |시지를| 형식|가노 |하세요|하는 |므로 |그래픽|래픽 | 사진| 방법|파일을|일을 |인코더|하고 | 복호|복호화| 비밀| 숨겨|숨겨진|겨진 | 도구|하지 | 데이|코딩 | 픽셀|인코딩| 지원|하여 | 메타|메타데|타데이|래피를|피를 |비밀 |나요 |코딩하| 또는|또는 | 정보| 필요|트를 | 비트| 처리| 압축| 확장|확장 | 프로|프로그|로그램| 를 | q | a |용하여|미지에|지에서|거나 |추출하| 완전|으로 |해야 |하나요|딩하는| 데 | 작동|하므로| 미디|미디어|디어 | 텍스|텍스트| 개인|개인 | 위한|위한 |방법 | 빠른|빠른 | 저장|픽셀 | 최소| 않은|않은 |입니다|하면 |그램은|램은 | 가능|하거나|출하고|호화하|완전히|전히 |적으로| 보이| 안에|안에 | 앱은|앱은 | 브라|브라우|라우저| 몇 | 도움| 에 |코더로|더로 |도구를|구를 | 스크|스크린|크린샷|린샷 | 테스|테스트|스트 |삽입할|입할 | 할 | 있는|있는 |추출 |파일에|정보 | 다시|다시 |사진에| 숨기| 공유|시지 |지원되|원되는|되는 | 가이|가이드|이드 | 드롭|하며 | 복사|복사본|사본을|본을 | 후 |스트를|장합니| 일반|처럼 | 전송|필요한|요한 | 사람|사람들|자들 | 유용| 때 | 방식|방식 |최소 | 중요|중요 |사진은|진은 |에는 | 우리|도구는|구는 |처리하|손실 |압축을|축을 |하기 | 귀하|귀하의|하의 | 않습|않습니| 안정|안정적|가능한|능한 | 출력|출력을|력을 | 아이|아이콘|사용 | 경우|경우 | 손상|손상시|상시킬|시킬 | 유지|유지하|지하세| 제한| 내에|리는 |정보를|보를 |압축되|축되지|되지 |형식을|식을 |으므로| 새로|새로운|로운 | 어떤|어떤 |라인인|인인가|인가요|가요 | 앱을|앱을 |삽입하|입하거| 에서|화하세| 정상|정상적|상적으|보이는|이는 | 것을|것을 |추출해|출해야| 하나|우저에|저에서| 초 | 만에|만에 |도움을|움을 | 줍니|줍니다| 대한|대한 |작동하|동하므| 무거|무거운|거운 | 설치|설치하|치하지| 않고|않고도|고도 | 밈 |이터와|터와 |추출할|출할 | 또한|또한 |보이지|이지 | 않는|않는 | 것 |이터 | 내의|내의 | 드러|드러내|러내기|내기 |일에서|호화 | 다양|다양한|양한 |형식의|식의 |픽셀에|셀에서|삽입 |래피로|피로 |진에 |숨기기|기기 |공유를|유를 |일에 |형식 |코더에|더에 |드롭합|롭합니| 자동|자동으|동으로|사진을|진을 | 파싱|파싱하|싱하고|출하며|호화합|화합니|필요시|요시 | 깨끗|깨끗한|끗한 |저장한|장한 | 실행|실행합|행합니| 입력|입력하|력하거| 붙여|붙여넣|여넣습|넣습니|미지를| 선택|선택합|택합니|삽입을|입을 | 클릭|클릭하|릭하고| 새 |저장합|일반 |사진처|진처럼|전송합|송합니| 앱이|앱이 |람들 |디코드|코드 | 기초|기초를|초를 | 배우|배우는|우는 | 학생|학생들|생들 |숨기고|기고 | 싶은|싶은 | 제작|제작자|작자들| 빠르|빠르게|르게 |스트하|트하는',
+  },
+  lt: {
+    alphabet: 'abcdefgijklmnoprstuvwyząčėęįšūųž',
+    trigrams: 'is | st|ano|ogr|gra| pa|ste|os |teg|ega|gan|nog|raf|afi|kod|fij|ti | de|eik|as |ijo|jos|us |ai |eko|te |dek|ite|uot|ode|der|kit| iš|iks| pr|eri|ris| ka|vei|duo| ir|ir |rei|ms |ran| na|ali| ne|nau|pav|ksl|ja |oja|aud| me|ave|kai|eši| re|mas|oti|orm|rma|lų |gal| ko|pri|udo| ar|for|mat|iki|kia|ia |pas|odu| ji| ga|pra| fa|fai|ail|tai|ima|lai|gau|uom|ome|nis|ją |asl|se |tin|ių |dam|nki|tą |pal|oda|oki|kad|ter|išg|šga|aut|met|men|iją| fo|slė|lėp|ėpt|tus|uos|ose|uri|rin|eli|ini| įr|aik| ap|imo|mo |aus| įt|įte|erp|rpt| at| ma| ši|ama|aip|ip |tod|ane|neš|šim| nu|nuo|ar | su|įra|pti|mą |iem|ams|iko|kom|avi|vim|min| en|enk|ad |tum|eni|ius|išk|iai|ūsų|sų | ve|imu|otr|tra|rau|auk|ing| pi|pik|kse|sel|ems|jim|ala|eit|jis|uoj| po|nti|int|doj|li |nko|iš |deš|šif|ifr|fru|ruo|atu|uti|sla|lap|apt|pta|kur|ie | vi|slų|es |tie|esi| jū|jūs|je | to|fin| te|ami|mi |ank| į |lą |ata|ija|imą| gr|gre|ita|oji| du|dav|jam|sta|tik|ka |maž|iau|usi|ikš|kšm| bi|bit|inį|nį |nep|io |ėti| va|do |erį|rį |ptu|umė|mėt|ėte|arb|rba|ba |eta|tad|adu| sl|taž|ažo|žod|dži|slu| ku|rie|isi|ška|tas| tu|tur|ra |pro|ma |lia|ias|eku|sia|odė|dėl|ėl |lit|mus|est|sti|lus|ski|nga|ais|eks|kst|ati|yki|ink|auj|alų| ta| už|ina|pat|iek|aži|apd|pdo|dor|oro|roj|eto|iky|lau|pre| k | a |dok|odž|žiu|luo|vis|siš| no|nor|mal| o |iny|nys|ys | nė|nėr|ėra|ato|tom|oma|rog|ram|pad| se|sek|kun|und| ti|šyk|ji | ek|mų |kių| be|slą|ada|med|edi|dij| sk|irt|ptą| in|lių|tek|stą|riv|iva|vat|lij|api|vas|ėki|nal| je|jei|ei |po |išs|šsa|sau|aug|ugo| sp|tam|muo|tuo|ikr|kri|mai|kal|kis|eka|gus|udi|din|gas|tis|ilu|žia|šmi|odi|ngu|itu|spa|epa|yda|šis|nes|epr|and',
+  },
+  lv: {
+    alphabet: 'abcdefgijklmnoprstuvwzāčēģīķļņšūž',
+    trigrams: 'as | st|ogr|grā|ste|teg|ega|gan|ano|nog|rāf|āfi|kod|odē|fij|jas| at|ija|iet|dēt| de|dek|eko|tāj| iz|ai |ētā| va|us |att|ttē|tēl| no| un|un | ie| ne|šan| ka| sa| ko|et |os |ana|tus|pie|ms | pa|tu | fo|ās | pi|es |ja |atu|for|orm|rmā| sl|ājs|js |vai|ju |jum|tie|iem| fa|fai|ail|ēša|man|lu |eto|izv|iju|ieš| da|var|em |izm|zma|ant|nto|jie|ēlu|lie| me|dat|no |māt| zi|ziņ|slē|lēp|ēt | jū|jūs| kā|des| ir|ir |toj|iek|aut|met|tā |eša|kas|ums|kā |ar |ti | ta|tas|lab|abā|āja|ekļ|kļa|ļau|ēpt|su | tā|isk|ot |to |dēš| la|zvi|vil|ilk|la |kt |iņa|ņas|tās|ūsu|ara|fis|sta|ta |ult|pik|iks|kse|seļ|stu| pr|nai|vie| ja|sag|agl|gla|ies|āji|am |ama|rād| ma|ka | ap|sas|oji|tot|lai|lkt|atš|tši|šif|ifr|frē|nep|epi|iec|eci|cie|šam|ams|li | ti|dēj|at |umi| te| rī|rīk|atk|ili|kst|atb|tba|bal|als|lst| āt|ātr|pēc|ēc | uz|kur|str|trā|maz|aši|asp|spi|ātu|šin|inā|āju|nes|ēja| li|eta|tad|ada|sle|lep|epe|pen|ska|ra | na|nav|av | re|edz|pal|eku|pro|ram|oja|ūs |rat|est|ut |eno|lus|tos|māc|cij|tek|eks|āti|mat|evi|fot|oto|toa|oat| vē|nas|ier|sav|ini|nie|bāj|jau|ilu|nu | ku|ri |spē|āde|ks |ode|kad|ad |noz|ozī|zīm| bi|bit|aps|pst|tod|ma |na |pap|apl|pla|laš|nāj|ila|jam|tāt| j | a |otn|ni |ēla|rēt|ātā|nās|ēlo|los|izs|pil|iln|lnī|nīg|ptā|tur|red| šī|šī |alī|līd|īdz| se|sek|kun|und|ēs | pā|pār|rog|gra|amm|mā |dar|boj|di | ek|krā|ēmu|tes|ēli|jot|āt |nos|lā |ko |arī| mu|mul|lti|tiv|ivi|vid|ide| in|inf|nfo|āci|eļi|ļie|iņu|ņu |pri|riv|ivā|vāt|kop|ie |ver|iev|jā | au|ali|zve|vēl| pē|ras|sti|avu|iel|eti|uz |aun|par|ast|ts |anu|ji |uri|ādā|stē|tē |rie|āpē| ci|ru |aud|īks| vi|ērt|ais|is |īgs|gs | jā|mi |azā|zāk|eļu|ļu |vēr|āk ',
+  },
+  ml: {
+    alphabet: 'aegimnopstuyംഅആഇഈഉഎഏഐഒഓഔകഗങചജഞടഠഡണതഥദധനപഫബഭമയരറലളഴവശഷസഹാിീുൂൃെേൈൊോ്ൗൺൻർൽൾ',
+    trigrams: 'റ്റ|ക്ക|്റ്|ന്ന| സ്|ിക്|്കു|സ്റ|ുന്|്റെ|ും |റെഗ|ചെയ|െയ്| ചെ|്രാ|യ്യ|ങ്ങ|കോഡ|ഗ്ര|ക് |ോഗ്|നോഗ|രാഫ|ാഫി| ഡീ|ഡീക|െഗന|ഗനോ|ിൽ |കുന|ുക |ഫി |ീകോ|്യു|കൾ |ത്ത|ുകൾ|്ക്|പ്ര| നി| പി|പ്പ|കുക|ത് |ാറ്|റ് |്ങൾ|ിന്| ഉപ|്ങള|്നത|ഡ് |്നു|യും|ായി|നു | ഒര|രു | എൻ|സ് |ോഡർ|ഡർ |ഉപയ|പയോ|യോഗ|മായ|യി |ള്ള|ഒരു| പ്|്തി|ന് |ച്ച|്റു|യുക|ങൾ |നിങ|ിങ്|ോഡ്|തിന|ട്ട|ല്ല|യുന|്കാ|ളിൽ|രിക|ങളു|ൾക്|ുള്|്ന | ഫയ| ഫോ|എൻക|ൻകോ|ത്ര| എക|എക്|ാക്|ോഗി|ഞ്ഞ|ദേശ|ളുട|ുടെ|ടെ |ർത്|്തു|ുകള|കളി|റുക|ുകയ| ചി|ചിത|ിത്|ഡാറ|്യാ| ബി|ിപ്|ിരി|െടു| സന|സന്|ന്ദ|്ദേ|ണ്ട| ഇത| അത|ടുക|്യമ|ലുക|്ന്|ാനോ|നോ |ഗിക|പി |ഇത്|ിനാ|റഞ്|ന്ത|ഫയല|യ്ക|ാണ്|ണ് | പര|ില്|ോഡറ|്റ |ബി |ജി | എന|എന്|്നി|ക്ര|്പെ|പെട|ായ |നെ |്ള |തിക|െങ്|ങ്ക|്കി| മറ|ഫിക|യമാ|ിയ |ർമാ|മാറ|പിക|ക്സ|ിച്|േക്|്സ്|പരി|ക്ഷ|ഷൻ |നിന| ഉൾ| ട്|ട്ര|രാക| ഇമ|ഇമേ|മേജ|ീക്|്രി|രങ്|്യ |േശങ|ശങ്|തുണ| ഈ |കൾക|ാൻ |വർത|ാൽ |ോട്|ിയു|തെ |ിനു|യലു|ഫോർ|ോർമ|പിന|െഗാ|ഗാന| പു|ദ്യ|നത്|മില|ിംഗ|്ഷി|യം |്റാ|ർക്| എൽ|എസ്|േജ്|ജ് |രിപ|പ്റ|്ഞി|ഞിര| സാ|സാധ| രഹ|രഹസ|ഹസ്|സ്യ|്ടോ|പ് |നാൽ|ങൾക| ക്|കിൽ|ശ്യ| ഡാ|്ത |കയു|തിയ|്യങ|യങ്|്ട്|ട് | കു|കുറ|മ്പ|ബിറ|ിറ്|നതി| ജി|കയോ|യോ |ഷിക|കംപ|ംപ്|ാം |്യം|ഡറു|റും|്രത|രത്|തിൽ| മെ|മെറ|െറ്|റാഡ|ാഡാ|്ചേ|ചേർ|ക്റ|എൽഎ|ൽഎസ|സ്ബ|്ബി|നിവ|യിൽ|്രങ|ങളി|ണ്ണ|ാധാ|്യേ|്പ്|െക്|യാൻ|നുള|്രവ|രവർ|്ടു| മീ|്ലെ|മറഞ| കഴ|കഴി|ഴിയ|ടുത|ുത്|തുക| വി| വേ|തിര|ളില|സ്വ|കാര|ാര്|ര്യ|ുണയ|ണയ്|ഫോട| ആവ|്പി|രം |്രഷ|ുറഞ|്പോ|ുമ്|മാണ| സൽ|സൽ |വും|ഗ് |്രോ|രോസ|ോസസ|സസ്|സ്സ|ോഡി|ഡിം| കം| രീ|രീത|ീതി|്റൻ|റൻഷ|നില|്ല | ലോ|യാണ|കാം| ചോ|ചോദ|ോദ്| a |ഉൾച|ൾച്|േർക|പിഎ|ിഎൻ|എൻജ|ൻജി|ിവയ|നതു| പൂ|പൂർ|ൂർണ|ർണ്|ണമാ|ധാര|ാരണ| കാ|ടുന|ുമാ|യേണ|േണ്|ുണ്|്നെ| സെ|സെക|്കൻ|കൻഡ|ൻഡു|ഡുക|യിക|അതി| അല|അല്|ലെങ|ളും| ടൂ|യാത|ാതെ|ഉൾപ|ൾപ്|നും| വെ|മീഡ|ീഡി|ഡിയ|്യത|ത്യ|ിവര|േർത|ുക്|്ച്|ച് | വാ|്വക|വകാ|നായ|േശം',
+  },
+  mr: {
+    alphabet: 'abcfgqrtंःअआइउऊएऑकखगघचछजझटठडढणतथदधनपफबभमयरलळवशषसहािीुूृॅेॉो्',
+    trigrams: ' स्| कर|स्ट|्टी|टीग|्रा|्या|ीग्|ग्न|्नो|कोड|ग्र|ोग्|नोग|राफ| डि|डिक|ाफी|िको|फी |या |ते |ोडर|डर | आण|आणि|णि |मध्|ध्य|्ये|ये | का| सं|करा|ात |ही |रा |चित| तु|हे | सम|्ट |ित्|तुम|ेटा|वा | चि|त्र|ोड |साठ|ाठी|ठी | वा| सा|करण|करत|ता |िक्|क्र| शक| फा|फाइ|ाइल| एन|एन्|न्क|्को|वाप|ापर|ून | कि|म्ह|च्य|िक |शकत|स्व|ल्य| प्|प्र|डेट|टा |विष|िष्|्रि|्त |संद|ंदे|देश|मान|ला |कता|क्स|ची |समा|माव|ावि|ष्ट|काढ|्य |तात|लेल|रण्|ण्य| हे|ार्|रते| मा| अस|किं|िंव|ंवा|पूर|ूर्|साम| लप|लपव|ाही|ुम्|्हा|ुमच|्ही|ेश |ित | वि|रूप|मर्| आह|आहे|नो |करू|िप्|प्त|ांम|ंमध|र्ण|णे |ामा|हा |कार|र्य|त्य|्स |ले |ाफि|फिक|रता|श्य|िया|इल्|ल्स|्वर|वरू|सेल|ती |ासा|र्थ|यास|संक| एक|ान |क्ष|चा |ाढा|रिप|प्ट| गु|गुप|ुप्|पवल|वले|मच्|्र | त्| या| डे|रू | पि|पिक|्से|समर|्यक|असल| को|कोण|त्त| बि|बिट|्रक|रक्| मे|मेट|टाड|ाडे|रां| जे|पणे|्री| ना|नाह|ाला|यात|तो |मुळ|ुळे|ळे | मी| चा|णी |ेले|साध|ाधन|स्थ|रे |ूपा|पां|हित| पु|पुन|्थि|राव| जल|जलद| फो| आव|आवश|वश्|ेल्|तर |का | नि| मू|परत|ट्स|व्ह|ेल |त्व|्ण |रिय| पद|पद्|द्ध|्धत|ंकु|कुच|ोडि|डिं|िंग|एक्|्सट|सटे|टें|ेंश|ंशन|शन |कते|ोणत| q | a |पर |ढा | मध|ना | कस|कसे|से |ायच|चे |जे | पू|ान्|न्य| दि|दिस|िसत|रमध|सेक|ेकं|कंद|याम|ामु|मधू|धून|क्त|मीड|ीडि|डिय|्सम|समध|लमध|ली |माह|ाहि|िती|न्ह| मज|मजक|जकू|कूर|ूर |लद |मार|र्ग|फोट|ोटो|टो | पा|सल्|ास |च्छ| कॉ| जत|जतन|तन | के|केल|ंतर| नव|नवी|वीन|ीन |मूल|णार|ारे|सले| उप|किम|िमा| मह|महत|हत्|्त्|्वप|वपू|ंग |यां|ांच|िट्|ारण|रण |वी | लॉ|ुचन|चन |नीय|्थन|थन | ठे|ठेव|ेवा|याप|र्व| जा|लंब| हो| अॅ|अॅप|तून|ेशा|ांन|ढाय|्णप|णपण|ामग|मग्|री | हा|हाल| ब्|ब्र|राउ|ाउझ|उझर|झरम| से|ंदा|दात| मद|मदत|दत |रतो| म्|्हण|हणू|णून|स्क|्क्|रीन|ीनश|नशॉ|शॉट|ॉट |चाच|ाचण|चणी|्था| न |्यत|ामध|दृश|ृश्',
+  },
+  ms: {
+    alphabet: 'abcdefghijklmnoprstuvwyz',
+    trigrams: 'an | me| pe|men|gan|eny| da|ng |ang|od |pen|kan| st|eng|ste|teg|nya|ega|ano|at |ahk| ya|yan|yah|hko|kod|ata|ala|nog|ogr|gra|raf|afi|fi |da |ia |ar |ak |and|amb|mba|emb|ntu| ke|nga| be|ber| se|mbu|bun|mat|dal|lam|am |bar|il |uk | te|dan|uny|nyi|ada|apa| di| an|nda|nye| un|unt|tuk| ga|gam| ti|ole|leh|gun|ema|ung|pat| sa|eh |mpa|ing|yem|una|aka|eks|per|sem|tan|dak|ian|si |ej |nge|ta |tid|ida| in|mem| bo|bol| fa|fai|ail| fo|ah |ngo|god|nak|ika|gek|ter|ini| ia|pan|pem|dat|mes|ese|sej|sia|ers|rma| ka|ni |pa |sel| ma|kon|epa|na | ap|asi| at|tau|au |kst|str|tra|rak|dar|ari|ela|ai | ta|in |ali| ba|rse|orm|ant|ngk|asa|atk|tka|for| pi|iks|ong|no | pa|ana| bi|ran|ngg|emp|pad|ahs|it |erl|rlu|yi |era| ja|ri |san|pik|kse|el |la |ra |imp|amp|ros|yia|eta| ra|rah|hsi|lih|al |ban|di |aya|ngs|gsi|gka|mas| al|lat|eda|dah|hka|edi|dia|oko|ara|ik |ka |sal|lin| ha|ggu|mer|bil|ila|esa|man|bit|ses|mam|sam|met|tad|lu |kel|iha|hat|ndu|ili|ebe|saa|pel|seb|bag|aga|adi|kap|rin|lai|ke |uka|ula| de|dis|sok|car|dua| ce|cep|fot|oto|to | ji|jik|lan|ele|as |ina|ih |pal| si|ap |erg|abi|nti|tin|bah| mu|mpr|pro|ose|kae|aed|ya | s | j | gu|lik|kas| im|eli|dap|tu |aat|lay|erf|rfu|fun|eba|gai|jad|eme|ain| la|med|mak|lum|emu|mul|tek|ks |den|erk|eri|iso| ca|uan|lis|pas|sim|aru|ru |ti |laj|ngu|tun|emi|um |ima|ent|uba| ol|yai|mi |es |enu|kir|ira| pr|sta|akk|kka|had|tia|apl|pli|ime|mej|rip|ipa|uli|dun|dil|beb|rap|eru|yar| sk|skr|kri|uji|anp|npa|lak|erb|akl|klu|uma|yik|rko|erm|jat|atu|tuh|uhk|tik|isi|is |lep|yim|nan|rsi|sih|tam|han|nta|tar|sep|epe|bia|ias|sa |iap|aja|jar|bel| as|min|aan|yel| ri|mbi|rgu|pab| ni|nil|rna|mua',
+  },
+  nl: {
+    alphabet: 'abcdefghijklmnopqrstuvwxyzé',
+    trigrams: 'en | de|der|ste|ie | st|ode|teg|cod|ega|gan|ano|er |eco|raf|de |nog|ogr|gra|afi| in| be|dec|ere|et |ing|ren|ver|nde|fie| ge| en| ve| he|den|in |een|ten| me| vo|gen|an | on|est|sta|bee|eel|din|ng |het|oor|and| af|afb|fbe|eld|ldi| ee| te|te | je|je |bes| ex|ich|voo|or |sch|ens|cht|nge|met|ext|eri|le |ond|ber|rge|van|ze |lle|tan| va|geb|her| di|die|orm|rma|aar| fo| co|ebr|bru|rui|uik|dat| of|tra|ele|ric|erb|kt |at |gev|for|mat|st |of |xtr|rah|ahe|len| wa|ls |it |ts |ven|ers|ate|eer|ege|ime|org|nie|dez|eze|con|erk|isc|re | to|eve|ns | bi|lij|sie|hei|hte|rbo|bor| zi| ui|uit|hou| we|wer|fis|che|he | ku|kun|nt |bed|edd|dde|nne|nen| pi|pix|ixe|xel| pr|pri|no | ho|nel|dig|com| mi|rde|res|enc|nco| om|om |geh|ehe|eim|me | no|waa|oud| ni| is|is |als| sc|es |are|too|ool|geg|edi|tie|ter|erg|rst|teu|eun|sne| op|ne |tho|eli|ken|bit|ijk|erw| ka|kan|omp|mpr|gee|ik | ap|eta|tad|ada|ata|ta |ont|zij|ijn|jn |men|ien|ud |kel|rkt| al| zo|unt|end|ndi|inb|nbe|ill|ati|tek|nd |oe | sn| sl|lee|ert|fot|oto|to |ig |ieu|euw| na|aan|one|ies|we |ale| wi|rin|ol | mo|ica|min|its|rwe|eth|hod|pre|ssi|xte|nsi|ine| v | a |app|voe|oeg|sle|vol|iet|zic|ar |nke| se|sec| br|ser|ins|nst|ler|bar|med|dia|chi|eks|kst|ht |riv|hoe|ell|ds | s |det|ind|sla|laa| kl|op |uwe|ent|nte| le|rs |el |moe|oet|ete|lin|ike|ego|go |ft |han|ige|ge |wan|ann|nee| si|sig|ign|gni|nif|ifi|fic|can|ant|gt |elk|kle|ard|erd|ke |erl|ess|bet|toe| da|ord|rki|kin| du|ong|esc|ikt|pp |nts|tsl|leu|tel| er|kom|nor|aal|al |zie|inh|nho|htb|tba|baa|hel|elp|pt |ngs|enk|ect|ct |bro|row|ows|wse|zod|oda|scr|cre|ree|nsh|sho|hot|ots|tes|zon|war|all|ove|onz|wat| do',
+  },
+  no: {
+    alphabet: 'abcdefghijklmnopqrstuvwyåæø',
+    trigrams: 'er | de|ste|en | st|der|teg|gan|ega|ano|ode|kod|ogr|gra|for|nog|raf|afi|dek| me| fo|ing|eko|ter|de |ler| og|og |or |bil|lde|ere|nge|din|et | in| bi| i | ut|ild|fi |ge |lig|den|ne |ver|ke |ren|mel|kan|ng | ko|inn|kke| sk|fil| en|lle|tre|re |ger| ka| å |egg|ell| tr| du|du |skj|om |det|te |rer|an |tte| fi|leg|ut |dat|ata|ta | so|som|ig |ide|end| be| br|bru|ruk|nn | el|rek|ekk|eli|eld|ldi| se|ser|orm|rma| hv|ile| le|gge|met|ige|kju|jul| er|med|nde|ett| et|ene| he|mme|ult|lt |nli|nne|ed | di|isk|ten|erk|til| av|mat|ate|gen|del|no |il |ker| ve|els|lse| fr|eng| re| sl|sli|at |fis|mer| ti| pi|pik|iks|st |pri|lin|stø|sk | ny|sen|kom| mi|fra|ra |ekr|kry|ryp|ypt|pte|hem|emm|hol|old|enn|per|eg |lik|ske|rkt|ktø|tøy|øy | da|die|eks|len|tøt|øtt|tig|gre|odi| sp|uke|ete|bit|ite|av |omp|mpr|rim|ime|små|eta|tad|ada| no| ik|ikk|jel| på|und|in |ik | at| te|est|ins|nst|kst|ted|ede|ar | la|lag| va|ele|utv|tvi|ast|het|min| si|ign|fik|kse|sel|tel|se |vis|beh|eha|han|and|ndl|es |eto|tod|ngs|ine|kon|hvi| a |uk |pen|ale|le |hvo|vor| hj|hje|elp|på |sek|eku|kun|ret|tt |net|les|ese| fu|ung|kje|mbi|sta|ive|ill|gg |ør |edi|ief|asj|sjo|jon|on |tek|riv| hu|nal|nyt|ytt|ndi|dig| ha|har|agr|pi |nye|ye |van|anl|eve|nt |ent|ers|kel| ho|hen| nå|når|år |må |igh|ghe|sig|gni|nif|ifi|ika|ant|nte|dre|rdi| vi|nin|men|rt | ta|eri|rin|iko| pe|onv|nve|vid|ken|noe|sti|is |ld |ert|ens| op|opp| så|så |spø|pør|ørs|rsm|mål|ål |vil|ilk| ap|app|ppe|elt|mal|lte|nnh|nho|syn|ynl|era|rap|lpe| ne|ttl|tle|fun|jer|erm|rmb|tes|ute|fiv|jør|øre|efi|ors|lli|inf|nfo|mas|ksl|sle| pr|ink|hur|urt|rti|igg|ggu|gui|uid|lip|ipp|pp |fid| an|ana|ego',
+  },
+  pl: {
+    alphabet: 'abcdefghijklmnopqrstuwyzóąćęłńśźż',
+    trigrams: ' st|teg|ste|gra|ogr|ega|gan|ano|nog|raf|afi|kod|ie |ne |nie|eko| de|ch |dek|owa|ani| w | po|ia |czn|wan|ii |dzi| wy| ob|nia|go |rze| pr|ode|der|fii|ego|ci |fic|icz| i |bra|ści|raz|ośc| ni| do|odo|dow|prz|er |lik|obr|ach|ów |ywa| ko|pli| wi| za|ać |ej |ki | mo| na| me|ane|wać|do |ych|zie| pl|dan|szy|for|orm|rma|omo|zne|arz|je |neg|ny |rzy|ić |uje|sz |wia|iad|ado|dom|moś|ają|ją |aln| dl|dla|moż| uż|uży| lu|met| od|ię | fo|mat|wyd| uk|ukr|kry|war| ja|jak|la |oże| te|nyc|eni| os|osa|sad| z |ydo|dob| ta|taj|ość|ść |est|st | cz|sta|zny|zy |ak |iki| ro|roz|zen|aj | en|adz|zić|lub|ub |ada|ods|jes|esz|oby|yć |ryt|te | a | je| tw|cze|ędz| pi|pik|iks|kse|sel|li |atn|ty |ują| sz|nik|czy|zys|erz|jąc|żyw|dy |sze|noś|że |enk|nko|ika|dsz|zyf|yfr|fro|row|tac|trz|być|ajn|yte|cie|zna|iu |azó|zów|two|oje| in|nar|rzę|zęd| da|zyb|ybk|era|ra |zap|api|pis| to|to | si|acz|waj|kie|cza|gdy| bi|bit|iej|rza|kom|omp|mpr|pre|res|lne|acj|ji |by |eta|tad|fię|ata|zac| kt|któ|tór|glą|ląd|ąda|kow| no|ta |art|rto|toś|na |niu|ka | se|sek|woj|zeg| dz|ła |żes|oda| mu|lny|eli|ryw|eks|za |tne|ost|obs|bsł|słu|ług|aty|ik |ij | zd|zdj|dję|jęc|ęci|now|yst|stu|się|kon| gd|iku| ma|zet|etw|twa|ąc |eto|tod|ozs|zsz|zer|any| q | ap|kac| ab|aby|azu|zu |pot|otr|zeb|jne|aza|daj|owi|zaw|awa|pom|eku|kun|und| be|bez|dni|arc|ce |zia|iał|ała|ko |byw| zr|tów| ek|ekr|ran|owy|wyc|iew| co|co |wni|med|edi|pow|tek|kst|pry|wat|dos|stę|tęp|ępn|bki|wod|odn|gni|nij|cia|pon|po |isz|śli| zw|czą|ząc|ący|cy |tuj|ze |usz| op| le|por|wer|iko|naj|nac|maj| mi|da |one| on|esj|sji|nej|zal|wyn|yni|ku | tr|yma|łe |zaj|wię|apl|nić|buj|óre|re |wyg|ygl| ca',
+  },
+  pt: {
+    alphabet: 'abcdefghijlmnopqrstuvwxyzáãçéêíóõú',
+    trigrams: ' de|de |os |fic|ica|ste| es|est|ifi|ega|teg|ano|gan|ado| co|ogr|dif|odi|ia |cod|as |nog|gra|raf|ar |em |men|afi|fia|or |ens|eco|dor|dos| se|dec|ent|ão |par|te |age| pa|do |com|cad| me| e |que| a |ara|ra |por| qu|nte|es | ex|ns | um|ext|ame| po|dad| im|gen|ue | in|ima|mag| pr|ndo|res|uma| no|rma|to |ess| em|ida|tos|ma | do| o |omp|orm|car|ta |tra|no | fo|ivo|eta|ção|cor| ou|nsa|sag|ult|mo | pe|lta|pod|ode|se |ada|pre|con| us|inc|ou |xtr|rai|des|esc|cul|vel|el |da | te|gem|for|são|ten| ar|ort|ant|açã|nco|orp|rpo|ora|rar|tad|tas|das|is | oc|ocu| di|seu|omo|rra|er |mat|ato| st|eir|air|sa |ro |um | da| re|rqu|qui|ixe|rta|caç| ap|scr|cri|rec|isa| ca|ras|fer|nta|vos| pi|pix|xel|ces|end|ore|am |man|ca |ade| fi|vo |ir | nã|não|grá|ráf|áfi|ram|arq|uiv| as| sa|al |qua|mpr|ich|che|hei|iro|tiv|rip|ipt|pto|tog|afa|ecr|cre|ret|ece|íve|eu |per|tes|sem| fe|err|mpa|til|nto|pri| su|sup|upo| os| le| si| bi|bit|nos|ssa|pro|tam|ha | en|and|sam|ati|met|far|cis|sec|den|are|ais| é | vo|seg|gun|und| fu|nci|cas| al|açõ|çõe|ões|els|ls |lha|pid|ast|fot|oto|nov| li|lim|ese|usa|ts |sig|ign|gni|nif|roc|oce| mé|mét|éto|tod|odo|ser|cid|xte|nsã|enh| ma|equ|imi| q |ela|sta|re |ico|co |use|cat|eci|ntr|tro|vis|sív|uda|voc|ocê|cê |egu|gad| el|fun|unc|cio|ion|ona|mit|cap|tur|tal|lar|pes|dis|iss|sso|so |nvi| fa|eve| mí|dia|tex|xto|om |art|rti|riv|iva| rá|ráp|ápi|ido|nal|ali|tic| ne|nec|sal|alv|imp|ite|env|ver|ina|uan| va|val|its|eno|ho |ili|ssã|áve|aci|epe|one|pen|ros|nor|le |la |tar|cam|sse|apl|pli|lic|sco|mai|ont|teú|eúd|údo| vi|isí| aj|aju|jud| na|nav|ave|veg|na |erm|iti|tin|ind|apt|ptu|ura|mes|sad|vei|eis|rev',
+  },
+  ro: {
+    alphabet: 'abcdefghijlmnoprstuvwxyzâîășț',
+    trigrams: ' de|te |ste| st|de |teg| în|ega|gan|ano|ogr|gra|cod|raf|afi|dec|nog|re |ate|are|eco|ie |le |ent| me|și |fie|tru|tă | co|or | și|în |eaz|ază|ză |ntr|ri | fo| pe|pen|ru |dor|ia | ex|ext|agi|esa|ul | fi|ier|odo|nco| im|ima|gin| ca|ele|ode| di|mag| se| ac|ne |ecr|est| po|fic|ce | in| ce|că |înc|cun|com|orm|rma|oda|fiș|iși|șie|ces|por| sa|dat| să|să | as|omp|ace| o |for| pi| cu|ți |in |ine|mes|saj|dar|str| da| en|er | a |cor|au |xtr|tra|rag|met|din|fia|aje|sec|asc|scu|se |ini|car|bil|dez|rul|uri|men|lor|mat|rea|tat|enc|orp|rpo|sau|ge |cri|tre|ată| no|ale|con| un|un |ile|eri|no |eșt|ei |ai |fol|olo|los|nd |der|ați|ora|age|cre|uns| nu|nu | es| te|ezi|zi |nde|ră |ins|nst|rum|nte|ere|pix|ixe|xel|tog| ne|lă |pre|ea |ori|res|nt |ici|ose| ut|uti|til|ica|ra |eta|rip|ipt|ta | tr|je |ret|nse|ni | ar|rat|nți|tul|ast| câ|und|rec| tă|tău|ău |unc| fă|ără|sta|ume|oru|ilo|ite|ii | pr|tel|id |api|ali|nec|ece|ște|ic |esc|ind|ifi|ând| bi|pro|mpr|ten|ens|nsi|ili|liz| ap|tad|ada|pta|reb|uie|ete|țin| vi|ibi|il |cea|eas|cât|eru|poț|oți|st |făr|tal|înt|lui|int|ții|eli|cu |acc|cce|cep|ept| ra|rap|pid|ncă|nal|fot|oto|sar|pie| al|imi|mit|den|enț|iei|tor|sc |ică|ări|ide| va| ma|mai|tiv| mi|roc|oce|eto|tod|esi| pă|abi|ilă|ita|xte|sia| re|poa|oat|ită| că| î | r |lic|ția|ebu|bui|mpl|ple|let|viz|stă|aju|va |ecu|ser|one|nea|ca |el |ice|cap|tur|an | ur|rel|pte|tea|med|edi|dia|dea|îna|oi |tex|par|rta|cum|um |ana|at |iil|dac|acă| du|sal|alv|lve|ura| li|pe |tri|dă |ști|ti | ai|ame|ses|ver|căr|etă|ci |cân|val|nif|bit|it |biț|iți|cei|uți|ati|ivi|ril|oar|deo|sea|sie|păs|ăst|lit| ni|nic|iun|tab| su|ort|dep|seș|osi|vit',
+  },
+  ru: {
+    alphabet: 'abcdefghinoprstyабвгдежзийклмнопрстуфхцчшщыьэюя',
+    trigrams: 'огр|гра| ст|ног|раф|афи|сте|ано|тег|ега|ган|ени|код|ии |фии| из|ия |дер| по|ть |ие | де|ния|ые |еко|дек|те |ет | ко|ров|ова|бра|оди|оде| в |обр| и |стр|ать|ние| не| со|ани| ра|дир|жен|пол|ер |иро| дл|для|ля |ван|но |то |изо|зоб|раж|аже|спо|оль|ные|ват| ис|ли | ме|нны|го |ый |исп|анн| ск|скр| за| ка|мен|фай|айл|ите|ий |льз|оже|рас|ото|льн|ерж|ает| он| мо|ого| фо| об|ты | пр|изв|вле|дан|асш|сши|ки | се|соо|ооб|общ|бще|щен|кры| вы|орм|рма|ое | эт|это|как|мож|фор| фа|ост|ний| вс|вст|ива|звл|мет|сек|ьно|ржи|не | ва|ак |жет|иче|еск|ыва|мат|под|вае|аты|ран| на|ьзу| ил|или|чен|ета|ых |рет|рыт|аль|ию |ваш|ем |раб| чт|что|чес|ов |овы|нов| ин|ког|да |йте|имо|ере|оно|ста|рум|ент|мые| да| пи|пик|икс|ксе|сел|ей |тро| от|про|зна|нач|ско|ми |ада|из |шиф|ифр|фро|еоб|ход|дим|екр|кре|тор|ера|ра |або|бот|вы |ете|фич|ски|тов| те|уст|инс|нст|тру|уме|тог|имы|раз|ах |еле|одд|дде|ют | бы|иру|ует|пос|ить|ное|ный|йлы|лы |име| зн| би|бит|ств|уйт|тра|леч|ече|тад|овк|нео|обх|бхо|мо |етн|тны|кот|оры|ове|вер|енн| но|мал|пом|мог|фию|за |лек|ека|кие| ус| то|еди|ую |лей| с |аст|на |жив|аем|быс|ыст| пе|пер|том|фот|сти|сох|охр|хра|ой |рои|нт |уют|ся |огд|гда|наи|та |кол|от |ето|тод|сжа|жат|ка |кон|нос|шир|ире|рен|зов|сть| о |фия|зуй|при|раи|аив|ных|чь |ыты|тые|нут|ри |рые|ят |нно|омо|тан|еку|кун|унд|ды |аше|тае|кат|ест|сто|выв|мед|диа|иаф|лов|ата|тах|тек|екс|кст|ст |ле | ча|час|емы|тры|рый|ати|нал|руе| ес|есл|сли|сле|дит|аш |оит|рав|обы|чно|ден|уча| ос|ник|жно|му |зую|тся|ким|аим|ене|нее|ее |ачи|чим|ит |зме|яет|иты|льк|ти | во|тви|вие|тыв|ая |од |езу|аня|луч|ьзо|ико|лен|ими|айт|ут |нес|cod|ode|der|er |рил|ило',
+  },
+  sk: {
+    alphabet: 'abcdefghijklmnopqrstuvwxyzáäéíóôúýčďľňŕšťž',
+    trigrams: ' st|ste|teg|ega|gan|ano|ie |ogr|gra|raf|afi|ova|nog| de| po|te |dek| a | na|né | sp| pr|nie| ob|van|je |kod|kód|eko|odé|dér|ér |spr|ódo|dov|pre|ick|obr| sú|na |ani|vať|ať |ch |ia |fic|uje|iu |ekó|ov | me|ráv|to |fie| en|enk|brá|ráz|ext|prá|ne |že | ak|súb|úbo|bor|cký|ký |ázk|lož| ex|tra| v |orm|rmá|môž| ne| fo|eni|pou|ouž| sk|jú |pri| mô|ých|ho |iť |va | vý| vl|vlo|xtr|rah|met|rov|fiu| ta|skr|kry|och| kt|kto|tor|áln|ôže| za|ko |re | ná|str| to|for|ty |jte|áva|ite|nkó| al|ale|leb|ebo|bo |hov|dy |ako|ej |ky | te| ro|por|no |uží|žív|íva|zko|aho|ada|ete|taj|ávy|vy |ryt|ajú| je|iad|tro|mát| pi|pix|ixe|xel|ajt|pra|rac|cov|oj |ny | ko|kom|roz|áci|oži|ta |deš|eši|šif|ifr|ajn| vy|lne| no|ný |bra|raz|azo|zov| va|vaš|cké|ké |nás|ást|roj| úd|úda|daj| do|lny|lov|oru|pod|odp|dpo| rý|rýc|chl|aco|oto|sti|nov| sa|sa |nia|vaj|kon|ory|ry |naj|men| bi|bit|omp|mpr|ren|nko|kov|li |eta|tad|dat|ata| z |fro|pot|otr|tre|reb|jné|yté|té | ni|áto|pom|ovú|vú |žet|ním| in|žiť|aje|do |čo |med|oro|toc|elo|ané|áty|rie|ého|ová|váv|fot|tog|ože|ist|ti |orí|rí |kla|lad|ri |stu|ujú|výs|ost| ke|keď|ene|nej|zna|nam| mi|etó|tód|res|ozš|zší|šír|íre| q |uži|žit| ap|lik|ali|koc|raj| úp|úpl|pln|mál|tý |teľ|eľn| se|sek|hli|či |ove|tak|akž|kže|ok |me |est|tov|bez|cie|oho|ka | čo|edi|diá|iál|yť |tex|xt |ru |súk|úkr|kro|rom|ly |nah|ahr|hra|ruj|ak |po |žen|voj| ho|ené|den|ent| zá|šen|ato|eď |ver|ajm|jme|výz|ýzn|amn|ity|hod|odn| ma|rá |ná |esi| ži|žia|adn|dne|aše|še |tia|mov|ii |ódu|duj|apl|pli|iká|kác|ili|val|ebu|buj|jet|vyz|yze|zer|nor|ytý|obs|bsa|sah|ah | vi|vid|idi|dit|ľný| tá|tát|omô|za |eku|kun|und|ndy|ria| vo|vo |ašo',
+  },
+  sl: {
+    alphabet: 'abcdefghijklmnopqrstuvzčšž',
+    trigrams: ' st|te | po|ste|teg|gra|je |ega|kod|ogr| de|gan|ano|raf|nog|ite| za|eko|jo |ko |ira|dek|ode|ke |no |er |anj|ti | in|por|lik| iz|ne |der|dat|in | na| v | sl|sli|ran| da|afs|fsk|ki |za |afi|fij|nje| ne| ko|sti|ora| me|pod|kri|odi|dir| pr|ost|ijo| sk|skr|na |oro|rit|ih |ato|oda|ov | sp|iko| ka|pri|tek|ski| up|upo|rab|ije| la|lah|ahk|hko|tot|ote|ali|li |kov|roč|ta |ajo|ja |ska|go |bit|del|atk|izv|spo|oči|čil|orm|rma|da |raj|for|ego| ob|ate|ika|met|uje|ati| ra|raz|jte| fo|ri | je|to |lja|nko| al|zvl|vle|če |pom|rat| se|nik|tke|ka |ajt| pi|nov|nos|eke|abi|rir|otr|ila|la | ki|aln|seb| va|ga |ovn|vno|aj | br|slo| te| bi| vg|vgr|edi|mat|pik|iks|lov|odp|hra|blj|jaj|pre|ome|še |tev|ev | en|enk|cij|eta|iz |deš|eši|šif|ifr|fri|pot|tre|riv|ivn|ah |lno| ta|ar |pos|vaš|aše|kot|zas|iti|rad|adi|lo | hi|hit|itr|nal|bno|lji|se |abl|rez|rim| od|ve |aci|tap|apo|tko|ike|reb|leč|izg|pol|oma| no|bin| ni|ni | mo|nek|kaj|kar|red|dno|elu|luj|ot |ako|mem|nih|ik |dit|med|tih|ksl|ilo|jno|jen|ebn|nit|st | to|ce | or|rod|odj|dje|isk|sta|en |naj|nja|obd|bde|kan|eto|tod|ovi|bre|jiv|azš|zši|šir|iri|ave| q | a | ap|pli|ela|lav|vo |tra|ita|gle|led|pop|opo|oln|ma | vs|vse|ebi|mog|ogo|oče| vi|ija|aga|sek|eku|kun|und|edn|em |kal|vne|eče|osn|est|mor|sto|dij|ijs|jsk| be| z |ase|dpr|kak|tri| vo|odn|alo|amo|ra | če|pon|ono|po | sh|shr|nju|ist| vp|di |ani|jit| uč|uči|var|alc|lce|eli|sko|rem|kom|ajm|jma|man|nj |emb|ima|maj| mi|va |men|ove|čin|tis| oh|ohr|ivo| lo|vlj|hod|od |ime|mer|pra|ez |vis|olj|apl|kac|eks|kst|str|ebu|buj|ete|eči|či |vna|kah|zgl|eda|daj|nom|mal|goč|vid|eti|mag|eka|nda|dah|šem|brs|rsk|lni|iku|ku |sne',
+  },
+  sr: {
+    alphabet: 'abcdefghijklmnopqrstuvwzćčđšž',
+    trigrams: 'ste|je | po|gra| st|teg|ano|ega|gan|te |ogr|kod|raf| de|nog|eko| ko|dek|ke |ne |ti | da|er |ode| za|dat|da |der|no |ira|lik| iz|odi|afs|fsk| i |ju |anj|nje|dir|ite|za | u |ski|afi|fij| sl| ne|ki |ist|pod|sli| me|ka |ije|kri|ja |ko | ka| mo|ato| na|ori|sti|oda|ran|tek|ma |ova| je|ći |por|orm|rma|ku | pr|ako|iti|ati|tot|ote| fo|kor|ris|ika| sa|li |oru|koj|rad|ima|for|iju|met|pot|ući|ruk|riv|drž|na |ost| bi|ili| ta|ija|rat|mož|ože|bit|aci| il| ek|eks|kst|van|izv|taj|ajn|ive|aju|rža|aj | ov|va | va|ate|pre|atk|tke|ala|mat| pi|vaj|eke| en|tit| te|kom|eta|tra|otr|zvu|jne| sk|skr|ven| se|iva|adi|ete|ekr| ug|ugr|tov|pik|iks|kse|sel|la |nov|an |nos| ob|enk|nko|cij|iko|om |iz |ike|tre|reb|ebn|vuć|ene|oje| no|mal|ni |že |iku|eku|vaš|žet|st |sta|ali|nja|ih | al|lat|tog|dit|ve |odr| br|brz|uje|kon|ajt|oji|ji |ove|zij|to |ovi|ada|nač|ava|tap|apo|tak|bno|uke|aln|lji|nek|di |tno|aše|ske|ana|red|rit|rip|ipt|vat|edi|tim|ela|uku|pri|lje|enj|kak|nal|fot|oto|čuv|uva|jte|pro|at |što|ver|kad|naj|man| zn|zna|čaj|vi |obr|bra|eto|tod|omp|mpr|res|ten|enz|nzi|bil| re|se | p | o | ap|sa |ata|aka| un|unu|nut|uta|tar|ar |otp|tpu|pun|sad|adr|žaj| ni| vi|jiv|pom|sek|kun|und|raž|aži|živ|aču|kao|ao |nim| in|kih|ta | št|med|dij|ijs|jsk|im |oj |atn|jen|lju|rzi|cit|aja|ptu|tuj| ak|pon|pok|nit| ču| či|nu |ent| os|raj|ači|edn|dno|še |ajm|jma|ača|ito|ila| mi|juć|tet|de | up|ema|ina|mog|ogu| dr|ego|go |vis|ine| do| li|apl|pli|kac|nik|tan|str|rak|kci|rov|izg|zgl|gle|led|eda|uno|nor|lno|eni|vid|idl|dlj|iv |oma|aže|vam|am |kol|oli|ndi|rek|šem|em |ret|etr|vač|ču | ra| sn|sni|kra|tes|est| be|bez|tal|ore| to|oga|ga |evi',
+  },
+  sv: {
+    alphabet: 'abcdefghijklmnopqrstuvwxyäåö',
+    trigrams: 'er | de| st|ste|teg|ega|gan|ano|kod|gra|en |der|ogr|ar |nog|raf|afi| me|fi | in|för|era|ta |ing|da |den|dek| ko|et | bi| fö|om |ör |ler|ra |nde|ode|bil|med|an |eko|oda|tt |nin|ild| av| i |att|lig|är |kan| an| at|som| oc|och|ch |det|ter|ng |re |änd|in |lle| be|ver|rar| en| ka|at |are|ext|dat|ata|del|ela| so|fil| fo|anv|nvä|vän| ex|avk|vko|dde|and|ig |for|ill|de |dda|ell|tra|edd|lan|orm|rma| di|isk|mat| fi|dar| bä| el|xtr|rah|ahe|her|met| du|du |ga | är|ka |sta| ti|til| vi|ll |kom|bäd|ädd|ld | he|na | på|din| sk|ile|no |dni|tar|eta| fr| do|dol|old| ut|int|nna|fis|par| ve|erk|on | pi|pix|pri|ara| lä|vil| mi|mer|frå|rån|ån |hem|eml|mli|iga|lde| se|ser|nte|nli|på |und|nge|nst|nga|rkt|kty|tyg|yg | da| va|lar|il |stö|töd| sn|sna| ef|ett|odn|bit|rbe|as |omp|mpr|rim|ime|ilk|läg|ägg|lds|dst|pp |tad|ada|beh|ehö|höv|lda|inn|hål|åll|te |igt|enn| nå|någ| fu|ung| så|så | te|ins|ja |ekr|kry|ryp|ypt|pte|ati|ed | pr|nab|abb|ide|fot|oto| om|eft|fte| sp|cka| si|sig|ast|kon|sk |ina|st |ifi|av |ixe|xel|bea|ear|arb|bet|eto|tod|lke|llä|gge|get| q | a |nd | ap|lt |nne|gt | hj|hjä|jäl|älp|sek|eku|kun|kt | we|web|läs|fun|ger|ska|mpa|est|tan|edi|die|ief|efi|ika|tio|ion|tex|riv| hu|hur|ur |ern|nal|gen| ha|spa|rat| re|kli|ick| ny|nya|ya |ski|tta|ent| et|var|kor|ätt|kti|rt | nä|när|het|ete|ign|gni|nif|ant|min|ita|ns |ers|rän|äns| sä|eri|rin|ket|egr|ite|tet|stä|upp|ngs|tni|ade|app|öve|hel|elt|mal|ala|la |ut |neh|ehå|syn|ynl|per|dig|ågr|ekt|ebb|bbl|blä|äsa|sar|skä|kär|ärm|rmd|mdu|dum|ump|tes|all|des|ess|uto|tom|inf|nfo|ixl|xla| dö|döl|ölj|lja|xt |eln|lni|ödd|ude| ma|man|bbg|bgu|gui|uid| sl|slä|läp|äpp|rn ',
+  },
+  sw: {
+    alphabet: 'abcdefghijklmnopqrstuvwxyz',
+    trigrams: 'wa |ia | ku|ya |cha| ya| wa|gan|afi|teg|na |ogr|gra| st|ste|ich|ega|ano|nog|raf|fia| kw|za |ka |ika|kwa|ha |ina| pi|zi | na|ili| ka|ndi|aji|dik| za|amb|pic|ni | in|ji |ana|ham|fic| ma|mbu|li |ua | mc|mch|uzi|and|buz|eza|kut|una| ha| fa|kuf|tum|ani| zi|wez|wan|ata|kat|ati|fai|kaj|umi|ta |tik| un|umb|chu|ko | hi|ail|aka|ing|ngi|zin|aid|ari| mi|ara|uto|ada|dat|tok|ung| uj|uju|jum|mbe|be |zo |ufi|hua|nye| ch|naw|awe|ifu|ish|sha| mw|mia| au|au |toa|oa | me|fun|iri|ri |hak|ama|ma |yo |iki|bit| tu|giz|ita| si|ofi| nd|eka|kan|da |iyo|dia|kun|eny|ye |ako|la |mo |ifa|har|sin|atu| us|usi|ind|mwa|iza|hit|taj|uli|chw|hwa|nda|nao|abi| ni|idi|oja|wen|naf|any|ini|rib| bi|ach|mif|fum|umo|pix|ixe|xel|si |nat|kuh|kua|oka|ngu|gua|sir|mba|azo|kab|bis|isa|sa | hu|sai|moj|ja |kwe| ki|jar|fan|nya|azi|zan|ayo| da|isi|ti |iko|ki |ong|ato|iwa|ala|uan|hii|ii |bu |tha|el |go |kuw|uwa| nj|nji|jia|ra |mat|utu|kui|uin|met|eta|tad|ufu| ul|lio|dan|aon|one|nek|awa|ida|uu |nde|de | mo|afa|kam|vyo|io |nga|nac|maa|aan|nay| ji|rak| ik| ba|uhi|hif|fad|adh|dhi|hi | sa|ibu|oke|aa |iti| ny| we|man|nap|bad|lis| th|asa|nis| q | a |amu|mu | il|iof| am|kaw|wai|ali|huu|kus| se|sek|eku|und|kaz|hiv|ivy|kri|eme|nzi| is|siy|owe| to|med|edi| ta|liz|izo|ten|shi|far|rag|agh|gha|jin|ins|nsi|upa|kiw|aad|saf|yak| bo|pya|nif|che|ohi|uka| ut|aki|faa|apo|adi|dil|its|ts |hin|izi|dog|ogo|ote|te |keo|eo |tat|uha|nas|zwa|nge|gez| pr|pro|rog|ram|nah|ahi|mau|aud|udh|dhu|hui|ui |liy|yof|hay|bao|ao |huk|uku|usa|kiv|ivi|vin|inj|nja| sk|skr|rin|maj|ibi|bil|zit|ito|zai|di |cho|ufa| fu|ofa|taa|aar|rif|fa |zil|zof|els|ls | te|ena| an| aj|jil|ush',
+  },
+  ta: {
+    alphabet: 'abcefgimnoprstuyஃஅஆஇஉஎஏஐஒஓகஙசஜடணதநனபமயரறலளழவஷஸாிீுூெேைொோ்',
+    trigrams: 'க்க|ம் |ப்ப|ும்|்கள|து |ள் |டிக|த்த|கள்|செய| ஸ்|ல் | செ|ங்க|ஸ்ட|்பட|கிர|ிக்|கனோ|ெய்|கோட|னோக|ோகி|ிரா| டி|ட்ட|ுக்|ராஃ|ாஃப|ஃபி|்கு|ிகோ|்தி|்டி|ந்த|ைப்| மற|களை| பி|்டீ|டீக|்பு|பி |ோடர|ீகன|கிற|ர் |ற்ற|ிப்|ுத்|ில்| பட|படு|வும|ய்த|ான |டர்|ன்ப|ப் |்த |ிறத|றது|புக|ல்ல|ட் |ளை |ுகள|குற| என|ைக்|ுகி|ாக |க் | கு|திக|டுக| பய|பயன|ருக|ிகள|ிகன|்து|யை |டுத| மு|்கப|கப்|்கி|்று|ிரு|யன்|மறை|களி|மற்|றும|ியா| கோ|கோப|ோப்|ுறி|ாக்| வி|கு |ர்க|என்|்க |ய்ய|ிய |ண்ட|டும|பட்|ள்ள| இத|பிக|ரு |ற்க|்பி|்டா|வை | அல|ித்|ியை|கும|றைக|ெயல|ளில|ோட்| மீ| ஒர|ஒரு|்கவ|கவு| சு|பிட|ன்க|டத்| உட|்பொ|பொத|அல்|்லத|லது|பிர|ிரி|ரித|்தெ|தெட|ெடு|டங்|்டு|ால்|்ட | உங|உங்| நீ|லாம|ாம்|றிய|லை |ன் |ுறை|பு |உட்|ட்ப|ொதி|ாட்|படங| உள|உள்|்லை| இந|இந்|இது|்கா|கான|டிய|டிவ| பு| சே|ின்|்கோ| இல|பிய|ரிப|களு|சிய|கத்|த் |ன்ற|்கம|கம்|ையா|ட்க|ளைப|தரவ|தல்|்தல| வட|வடி|ிவங|வங்|சல்|திய|ைத்|யாக|ம்ப|விர|்தை|ார்|துக|வி |யான|ிட்|சுர|ுரு| கே|படத|தில|ிலி|லிர|ருந|ுந்| மெ|ேட்|இல்|்ய |பட |தவு|ளுக|ுள்|றைந|ைந்| ரக|ரகச|கசி|முற|விய|ியி|யல்|வே |மான| கர|கரு|ருவ|ுவி|கலா|லாக|திற|ிற்| தர|ரவை|வைப| வெ|ெளி|க்ச|்சல|மீண|ீண்|ையை| ஆத|ஆதர|ரிக|னோ |ய்வ|்வத|டி |தி |மிக|டிப|றிப|்கத|கின|ீட்|்வி| சி|தை | am|amp|mp |மெட|ெட்|டாட|ாடே|டேட|க்ர|்ரி|ப்ட|்ட்|்பா|திர| வே|ுமா|னால| சா| தெ|ரிய|யா |யில|னவே|நீங|ீங்| நி|்கல|ியு|வெள|ல்க|தரி|ிரை|ரைவ|ைவா| வழ|விட|ுங்|ுகை|கைப|குக| தே|ேவை|்பத| மா| சர|சரி| இர|இரு|்க்|போத|தாக| மி|யலா|்றன|றன |வைய|நீட|கேள|ேள்|ள்வ|டாவ|ாவை|்தவ|குள|வேண|ேண்| அவ|அவை|்றி|லும|சாத|மாக|ினா|தெர|ெரி|லைய|வுக|ல்ப|எனவ|ுவா|ஸ்க|கூட|ண்ண|ாத |முட|ுடி|யும|மீட|ீடி|்ள | உர|உரை|ரைய| தன|தனி|ிர்|ர்வ| அட|வது|படி|வான|வழி|ழிக|காட| ஐ |ிடு| தா|்டெ|டெக|தேவ|்தம|தமா|சேம|ேமி|பிற|ேர்|தைக|புத|ுதி| போ|ுப்|டைக|ைகள',
+  },
+  te: {
+    alphabet: 'abcefgimnoprstuyంఃఅఆఇఈఉఎఏఒఔకఖగచఛజటడణతథదధనపఫబభమయరలళవశషసహాిీుూృెేైొోౌ్',
+    trigrams: ' స్|స్ట|్టె|టెగ|గ్ర|ను |ెగా|గాన|ానో|కోడ|డి |ని |నోగ|ోగ్|ండి| చే| డీ|డీక|ది |ట్ |ర్ |్రఫ|రఫీ|ీకో|న్న|లు |న్ |ుంద|స్త|చేయ|లను|ంది|ోడర|డర్|తుం|్తు|ప్ర| సం|గా | మీ|ఫీ |ించ|్రా|డ్ |ల్ | కో|ంగ్|లో | ప్| చి| ను|ిక్|్ని|చండ|ోడ్| లో| మర|చేస|ిస్|చిత|ుండ| లే|లేద| ఉప|ఉపయ|పయో|యోగ| సా|మరి|రియ|ియు|యు |రు | లు| ఫై|స్ | ఎన|ఎన్|ిత్|త్ర|ందు|ీని|ోగి|ంచం|ాలన|క్స|ాన్|ఫైల|ైల్|డేట|ేటా|దా |సంద|ందే|దేశ|సాధ|కోస|ోసం|సం |ాట్|గ్ | అవ|మైన|షన్|టాన|ాను|ికి|కి |ేదా|సంగ|్రహ|రహి|ేయడ| దా|ేశా|ిన | కం|ీరు|క్ |ార్|ింగ| ఉం|ైన |నిక|ీక్|క్ర|రిప|్ట్| ఉన|ఉన్|్య |ంగా|దాచ|చిన| ఈ |మీ |లలో|యడం|కు | ఇద|ఇది|ేస్|మీర| పర|ఫిక|చ్చ|్చు| వి|దు |రం |నుం|ాని|హిం|ఫీన|ిప్|గిం|్న |స్య|శాల|ర్త| కా|రాఫ|ాఫి|వచ్|చు |ేయం|యండ| ఫా|ఫార|ర్మ|్మా|మాట|డం |ెల్|నో |తి | పొ|పొం|ొంద|దుప|ుపర|పరచ|డాన|్రి|ప్ట| ఇమ|ఇమే|మేజ|ేజ్|జ్ |ప్ | ని|రాల| రహ|రహస|హస్|ధార|ాచి|కంట|కుం|ండా|డా |ాధన|క్ష| డే| పి|పిక|్సె|సెల| మద|మద్|ద్ద|్దత|దతు|తు |్నా|ాయి|యి |త్వ|్వర|వరి| ఫో|రమై|ేసి|సిన| ఎం|త్త| లా|్స్|పరి| లన|ప్ప|డు |క్క|ెస్|కంప|ంప్|్రె|తాయ|ోడి|డిం| ఎక|ఎక్|్షన| am|amp|mp |్రం| మె|మెట|ెటా|టాడ|ాడే|ాల |గి |్తి| కన|చాల|లా |లోన|ట్ట|్టి|ీన్|చవచ| అద|నాన| త్|ఫోట|ోటో| కొ|ులు|టిక|గిస|నం | బి|బిట|ిట్| మా|రాస|ాసె|సెస| పద|పద్|ద్ధ|్ధత|ఉంట|ంటే|టే |్తా| టె|టెన|ెన్|న్ష| పు|అవు|ుట్|లకు|్ర |చడా|యాప|ాప్| పూ|పూర|ూర్|ాధా|ారణ|కని|నిప|ిపి|ెంట|ంట్|ంచా|నే |సెక|ెకన|కన్|న్ల|్లల|పడు|డుత|ుతు| పన|పని|కాబ|ాబట|బట్|టి |నాల|ాల్|మీడ|ీడి|డియ|ియా|యా |ాచా|ారా|రాన|ిగి| వచ|వచన|చనా| ఎల|ఎలా|రిత|ిత |టోల|అవస|వసర|తే | క్| సే|సేవ|ేవ్|వ్ |ర్వ|్వా|న్క|్కో| అత|అతి|చుక|కొత|ొత్|్త | దీ|దీన|ాగా|ేర్|ుకు|్యా|్షి|ధనం|నప్|్పు|పుడ|ుడు| తక|తక్|్కు|కువ|ువ | ము|్యమ|యమై|ధతి|ంటు|టుం|రెష|ెషన|్యత|తుల|స్థ|ిన్| సర|రిమ|ేదు|ిని|యని| a |రచడ',
+  },
+  th: {
+    alphabet: 'abcdefghilmnoprstwyกขคงจฉชซญฏฐฒณดตถทธนบปผฝพฟภมยรลวศษสหอะัาำิีึืุูเแโใไๆ็่้์',
+    trigrams: 'ที่|ข้อ|รหั|หัส|การ|ถอด|อดร|ดรห|ภาพ|้อม|อมู|มูล|สเต|ไฟล|ฟล์|เตก|ตกา|กาโ|าโน|และ|่อน|โนก|นกร|กรา|ราฟ|าฟี|ื่อ|ควา|วาม|ซ่อ|ได้|ไม่|ตัว|งข้|ใช้|รับ|ัสส|สสเ|อยู|ยู่|ให้|คุณ|ของ|แบบ|จาก|ล์ |้อค|อคว|นี้|ารถ|ัวถ|วถอ|เข้|ข้า|ี่ซ|่ซ่|นอย|เป็|ป็น|้าร|ารห|หรื|รือ|อนอ|มือ|่อง|อนข|นข้|ดึง|ึงข|องค|ัสข|สข้|รูป|ประ| ตั|าพ |ฝัง|ต้อ|้อง|ลับ|่าง|สำห|ำหร|หรั|สาม|ี่ม|ัส |วิธ|ิธี|่มี|ละเ|ฟี |นภา|อย่|ย่า|าที|อร์|งคุ|งาน|นตั|ามา|มาร|เคร|รื่|ลลั|กไฟ|ลที|ส่ว|่วน| st|ste|teg|ega|gan|ano| วิ|ีกา|ี่ส|ัสแ|สแล|เพื|พื่| แล|งกา|ในภ|เหม|นาท|จึง|โดย|ั้ง|ครื|องม|ด้ |ูปแ|ปแบ|พิก|ิกเ|กเซ|เซล|ามใ|รอง|องร|งรั|no |รถอ|ารเ|ลใน|บิต|มีค|ค่า|ระม|บีบ|ีบอ|บอั|อัด|ถาม|ะเข|ูลเ|ลเม|เมต|มตา|กภา|ะถอ|ในไ|ามล|เนื|์ขอ|ับไ|บไฟ|งสา| หร|สอบ|งมื|ขนา|นาด|ังข|ูลล|งใน| เป|ากไ|ูลท|นรู|บบส|ับเ|ับ |ธีก|ารซ|รซ่|งจา|ันท|รเข|ูล | ส่|ส่ง|้กา|์ที|ูลใ|รณ์|ตที|่าน|่สุ|สุด|ะมว|มวล|วลผ|ลผล|เสี|สีย|ทำใ|ำให|ึ่ง|ับก|บกา|่ได|อาจ|ว่า| ถา|าม | a | ใช|แอป|ฟีภ|ีภา| เพ|ากภ|ละถ|นไฟ|องก|บที|าพท|หมื|ือน|่ไม|ห้เ|วิน|ินา|ที |ุณ |ทำง|ำงา| มี|่ต้|ือส|ลงใ|อีก|ด้ว| ดึ|นเร|เดี|ดีย|มใน|ูปภ|ปภา|อกา|ารแ|วนต|ู่ม|ฉบั|บับ|่อ |หาก|จำเ|ำเป| ให|บัน|นทึ|ทึก|ะอา|ดแล|ใหม|หม่|หมา|นัก|รีย|ียน|ฟีแ|ดเร|เร็|ร็ว|ผู้| ที|ชื่|ีนี|อุป|ุปก|ปกร|กรณ|ช้ง|้งา|่าย|เมื|มื่|องส|ิตท|ีค่|้อย|ลี่|ี่ย|เหล|ล่า|ต่อ|้ใช|ารบ|รบี|ัดแ|รัก|ักษ|กษา|็นส|ามเ|วนข|นขย|ขยา|ยาย| ไม|ม่ไ|ทั้| สำ|่เส| กา|่งอ|ในเ|ามท|มที|อปถ|ปถอ|่อฝ|อฝั|ตาจ|าจา| ต้|มลั|ับท|่ภา|ี่ด|งแล|นื้|ื้อ|้อห|อหา|หาท|ู่ไ|เห็|ห็น|ใช่| แอ|ช่ว|่วย|าพไ|พได|ด้ใ|้ใน|ม่ก|่กี|กี่|นเบ|เบร|บรา|ราว|าว์|ว์เ|์เซ|เซอ|ซอร|ร์ข|านเ|็นต|าพส| ดั|ดัง|ังน|งนั|นั้|ั้น|้นค|ุณจ|ึงส|ละข|ะข้|ามส|ีที|ู่จ|่จา|าพห|พหน|หน้|น้า|้าจ|าจอ|อภา|ทดส|ดสอ|บได|อสเ|อกจ|กจา|ี้ |ยัง|รถฝ',
+  },
+  tr: {
+    alphabet: 'abcdefghijklmnoprstuvwyzçöüğış̇',
+    trigrams: 'ste| st|teg|lar|ler|raf| ve|eri|afi|ega|gan|ano|nog|ogr|gra| çö|çöz|arı|en | gö|in | me|ir |özü| iç|içi|çin|gör|ara|ın |rı | bi|fi |ve |örü|rün|er |rma| gi|züc|ücü| ko|ını|lan|rin|ini|ili|ünt|ntü|cü |ayı|den|ya |giz|izl|bir|bil| ye| do|lı |anı|lla|ile|ri | çı|çık|kar|rın| fo|de | ge|lir|dos|osy|sya| ka|lam| ku|kul|ull|zli|nde| de|tır|kod|odl|dla|orm|mes|ik | bu|me |ala|ar |ştı|cı |ama|rak|ver|ıka|for|yi |li |esa|saj|ind|ere|bu |ni | ya|ır |yer|ıcı|ası|nı |ak |mat|özm|zme|an |eme|kle|abi|tir|el |ego|go |ışt|lay|yıc|met|vey|eya|iyi|ger|rek|yor|nız|da |niz|ard| ol| te|est|erl|rle|şti|kse|sel|tem| sı|ril|ajl|jla| ta|tül|üle|or |ele|eni|fik| ar|med|iz |ekl|yal|atl|tla| pi|pik|iks| re|tek|ene|ırı|ız |nın|ant|ntı| ba|tü |sın|ana|ta |ün |fiy|zün|mal|san|lem|ede|ünü|leş|eşt|des| hı|hız|oto|oğr|emi|kay| so|yen|ek |ıla|rac|gel|anl|nla|az |bit|rme|sık|ıkı|kış|ma |ula|eta|nda|tam|mam|al |nen|niy|iye|sin|rdı|ola|alı|lec|ece|ekr|kra|erd|rde| yü|yük|irs|ne |ell|iri|le |sim|laş|len|nas|ızl|zlı|fot|toğ|ğra|ayd|rar|nin|mi |mek|acı|tle|oru|ırm|rla|man|ekt| en| an|mlı|değ| mi|şle| yö|yön|önt|nte|lik| uz|uza|zan|tı |sa | s | c | uy|uyg|ygu|nar|ınd|men|üne|eki|iyo|tar|cın|ızd|zda|ani|isi|yar|ur | ça|çal|lış|ışı|ce | ek|ran|mem|çla|ükl|rsi| ay|mez|ez |ebi|edy|dya|dan|rda|lle|res|esi|mle|öze|yla|yas|aj |yın| na|sıl|ıl |hbe|yde|kte|son|yaz|azı|onu|na |kla|der|ren|si |ken|nıy|ıyo| ha|iği| az|aml|itl|eği| iş|işl|arl|ıkt|ktı|ği |un | bo|utu|tun|bağ|amı|lab| da|gul|mas|tüd|üde|göm|atı|ki |ame| no|nor|arm|mak| mı|mı |içe|çer|ünm|sı |ray| sa|yel|fis|dım|ımc|mcı|olu|lur|şır| bö|böy|öyl|yle| le|tes|st |ağı',
+  },
+  uk: {
+    alphabet: 'abcefgipqrtwабвгдежзийклмнопрстуфхцчшщьюяєії',
+    trigrams: ' ст|ано|сте|тег|ега|ган|гра|ння|ног|огр|ня |раф|афі|ти |код| ви|ува|енн|ть |еко|ати| де|дек|ії |фії|ні | ко|оду| по|дув|ван|ват| як|ий | та|та | за| пі|но |оде|дер|ову|те |ля |жен| пр|ер |их |обр|льн|ист| дл|для| ме|пов|від|лен| не|кор|ори|рис|сто|тов|бра| ро|роз|ані|ере|не | мо|аже|ний|мож|ів |ого|фай|айл| на|аль|вик|ико|анн|дан| зо|зоб|раж|ки |ові|при|ють| ві|го | фо|ник|йте| до|озш|зши|тяг|ідо|дом|омл|мле|ихо|ова|ень|орм|рма|мен|фор|під| фа|ли |ьни|буд|мет| се|сек|рет|хов|іст| це| ва|оже|фіч|ічн| ін|що |мат| об|три|рим|іть|ик | вб|вбу| аб|бо |них| з | у |вит|итя|рих|нь |кі |вид|ає |ію |іль|ому|му |як | то|чни|ент|роб| в | пе|пер|ує |або|ібн|нов|стр|рум|тог|ну | що|лів|пік|ікс|ксе|сел| зн|ся |зна|нач|чи |ми |вал|ок |вув|чен|шиф|ифр|трі|екр|кре|тні|які|ают|ка |ваш|ері|він|ін |ви | те|ови|вих|ста|інс|нст|тру|уме| да|ах | ка|ідт|дтр| шв|шви|идк|сті|бер| чи|це |уют|ди |тьс|ься|кол|йли| бі|біт|оди| ма|тод|ост|ті |рен|айт|ніс|сть|уйт|удо|дов|ета|тад|ада|ани|фро|ров|пот|отр|ріб|бно|етн| вс|сер|ред| но|мал|ьно|ст |ей |пом|фію|за |кіл|льк|том|жет|ете|ягу|тів|без|еді|ата|елі|екс|кар|арт|рти|тин|иму|кий|фот|ото| зб|збе|ої |ій |тис|исн|айн| ос|нт |ким|сти|вую|зал|оли|най|бро|обл|ючи|ето| во|вон|кон|нос|шир|ире|же |але| q | a |вуй|дод|ода|дат|овк|гти|все|еди|дин|тно| і |цей|доп|опо|ома|гає|еку|кун|унд|пра|гув|чні|крі|інш|тан|ити|мед|діа|іаф|тах|тек|кст|инк|ою |атн|обм|мін|дки|пос|бни|ягн|ніт|нал|якщ|кщо|зап|еже|уду|над|сту|ден|ці |уть|яки|про|айм|йме|енш|нш |ачу|чущ|ія |ьки|лив|нез|уюч|од |ами|ійн|ід |ить|ход|іко|има|май|утн|на |аті|ато|ток|вки|ягт|ині|виг|игл|гля|ляд|яда| вм|вмі|міс',
+  },
+  vi: {
+    alphabet: 'abcdefghiklmnopqrstuvwxyàáâãéêìíòóôõùúýăđĩơưạảấầẩẫậắằẵặẹẻẽếềểễệỉịọỏốồổỗộớờởợụủứừửữựỳ',
+    trigrams: 'ng |nh | tr| th| gi| mã|mã | st|ste|teg|ác |ega|gan|ano| cá|các| nh|ải |giả|iải|nog|ogr|gra|rap|aph|ông| và| ch|phy|hy | kh|hôn|ất |ệp | có|có | ản|ảnh|và | ph|ch |ạn |ình|tro|ron|ong| bạ| bộ|bộ |bạn| dụ|dụn|ụng|hìn| ho|iệu|ệu | sử| hì|khô|thể|hể | ng| củ|của|ủa | mộ|một|ột | tệ|tệp|sử |hún|úng|ích| dữ|dữ | li|liệ|thô| đi| nà| hó|hóa|óa |uất|ào | xu|xuấ|điệ|iệp|àn |ộng|cho|ho | bả|ặc |trí|ríc| ẩn|ẩn |ức |này|ày | nó|nó | độ| ti|ươn|ơng| đị|địn|ịnh|ới |hi |nhấ| bi|hất|nhú|hoặ|oặc| cầ|ần |ên | bứ|bức|ic |vào|phư|hươ|ại |no |khi|cần| mậ|mật|ật |oàn| du|phi|hic| mà| cụ|ện | dạ|dạn|ạng| pi|pix|ixe|xel|el |bản|ản | tư|ao | sa|ời | qu| để|để | si|êu | từ|từ | bí|bí | đư|đượ|ược|ợc |nhữ|hữn|ững|thư|ườn|ờng|thấ|độn|hiệ| cô|côn|cụ | là|ết |iện|nha| hỗ|hỗ |trợ|rợ |ách| hã|hãy|ãy |ngư|gườ|ười|phá|bit| né|nén|én |siê|iêu|hườ| vì|vì |ngh|ghi|tiệ| lạ|lại|iên|han|anh| lư|hấp|ấp | vi|it |trọ|rọn|ọng|chú| xử|xử | lý|lý |háp|áp | mở|mở | rộ|rộn| q | a |hoà| to|toà|dun|ung|ài |giâ|iây|ây |ay |duy|uyệ|ệt |hoạ|oạt|ạt |như|hư |ậy |thử|hử |mà |làm|àm |iết|au |tin|in | vă|văn|ăn | vớ|với|tư |hướ| nế|nếu|ếu |lưu|ưu |sao| mớ|mới|ai | về|về |ến |ra |uộc|ộc |qua|uan|an | đổ|đổi|ổi |giá| tố|thi|iểu|ểu | tô|tôi|ôi | hi| mấ|mất|bảo|ảo |việ|iệc|ệc |nào|ầu |ượn|ợng|phụ| hỏ|ằng|độ | ứn|ứng| bê|bên|trô|rôn| bì|bìn| nộ|nội|ội |giú|iúp|úp |vài|trì|rìn|yệt| vậ|vậy|chụ|hụp|ụp |màn|iệm|ệm | đặ|thê|hêm|êm |khá|hác|chi|hia|ia | sẻ|sẻ | ri|riê|êng| ba|bao| hư|ướn|ớng| dẫ|dẫn|ẫn | ké|kéo|éo |phâ|hân|ân |sau| sạ|sạc|ạch|ọn | gử|gửi|ửi | nê|nên|ọc | ki| sá|sán|áng| tạ|nhà|ển |ợi |chu|huy| sẽ|sẽ | xá|xác|ực |iá |trị|rị ',
+  },
+  zh: {
+    alphabet: 'abcefgiprtw一上不与且两並个中为之习乾了事于些享人什从以们件任会传伺似位低住体何作佳使來例依便保信修個們值做備傳像儘元免入內全共具内再写决净几出击分切创別别到制前副創加务动助動包化南压原去又发取变另可合同后向吗味和响哪問嗎嘗器回因图圖在地坏坛基壇壓壞处备复外大天失好如始媒字存学學它安完定家容密寫对导将將對導小尝尽展嵌工帮常幫干并幾序应度延开式张張当影後得從心必快性息您情想意愛態應我或截所扩拖择括持指损换据排接提換揭援損擇擊據擴支改放故效敗数數文新方於无时是時更最會有服未本术来析果查标样格检標樣檢次款正此每比毫永決沒没法洁测浏消淨添測準潔瀏点為無照爱片特獲率玩现現理生用由留當發的直看眼着短码研破础确確碼礎示离私种秒秘程種稳穩究答简節簡粘精約素組線編縮繁约线组编缩習者而聊肉能自與色节荷获著藏處行術表装裝複要見視覺覽见视览觉解記設試該誰請論證護讀變记论设证识试该请读谁貼賴负败贴赖起軟較載輕輯輸轉转软轻载较辑输辨运还这进远连迟迷送适选逐這通速連進逻運道遠適遲選避還邏重量鐘钟開问限除隐障隱雙離需非靠響須題顏须题颜驗验體高麼點',
+    trigrams: '隱寫術|隐写解|写解码|解码器|解碼器| 隐写| 隱寫|寫術解|術解碼|码器 |的隐写| 答 |碼器 |的隱寫| 使用|隐写术|消息 | 因此|中提取|提取元|数据 |使用 | 快速|文件 |最低有|低有效|有效位|圖像中|寫術 |隱寫解|寫解碼|编码器|信息 |图像中|像中的|隐藏的|隐写工|写工具|格式 |編碼器|數據 |密隱寫|码器与|器与编|与编码|元数据| 格式| 需要|的秘密|写术 |在您的|您可以|像中提|工具 |文件中|密隐写| 如何|快速指|速指南|指南 | 保存|您的文|的最低|理文件|方法 | 如果|限制 | 问 |碼器與|器與編|與編碼|圖像隱|像隱寫|元數據|解密隱| 問 | 解密|格式中|提取隐|取隐藏|的图像|这个隐|个隐写|图像隐|像隐写|取元数|可以在|格式的|分享 | 支持|解密隐|隐写 |可能会|隐写内|写内容|的圖像|隱藏的|這款隱|款隱寫|取元數|隱寫工|寫工具| 支援|隱寫 |可能會|码器应|器应用|应用程|用程序|嵌入或|入或提|或提取|图像 |解密 |中的隐|需要提|要提取|藏在看|完全正|全正常|正常的|中的秘|秘密消|密消息|不可见| 这个|助您在|几秒钟|内解码| 直接|直接在|接在您|您的浏|的浏览|浏览器|览器中|运行 | 它作|因此您|此您可|测试图|试图像|隐写消|写消息|繁重的| 此外|此外 | 您可|可以做|以做的|做的事|的事情|事情 | 揭示|媒体文|体文件|不同格|同格式|像素中|素中提|藏的信|的信息|消息嵌|息嵌入|嵌入回|入回去|回去 |中隐藏|藏文本|文本 | 在媒|消息以|私密分|密分享|支持的|的格式|格式包|式包括|包括 |如何解|解码 |解析照|析照片|照片 | 提取| 如有|如有需|有需要|需要 |编码 |入您的|的文本|文本或|本或粘| 或 |保存您|存您的|您的新|的新文|新文件| 像正|像正常| 想在|想在 |藏消息|消息的|作者 |工具的|需要解|要解密|提示的|ctf|玩家 |好者 |们使用| 在聊|在聊天|聊天 |或研究|研究中|行快速| 一个|方便的|提取秘|取秘密|秘密和|非常有|常有用|有用 | 最低|效位 | 修改|修改像|改像素|色值的|值的最|效位以|位以嵌|以嵌入|嵌入秘|入秘密|最小 | 照片| 我们|工具逐|具逐像|逐像素|处理文|rgb|通道的|道的最|效位中| 这种|种方法|方法在|法在 | 和 |式中特|有效 |损压缩|压缩 | 保留|保留了|所需的|像素值|素值 |保存或|您的任|的任何|的方法|以获得|获得稳|得稳定| 可重|输出 |用例用|支持 | 故障|故障排|障排除|排除 |可能使|能使用|使用原|用原始|原始 | 重新|坏隐写|如果解|同一文|一文件|文件的|件的另|的另一|副本 | 保持|保持消|持消息|消息简|定的 | 在解|在解密|之前避|前避免|解码隐| 性能|性能和|能和限|和限制|器中完|中完全|web|eb | ap|api|pi |保您的|的文件|文件永|理意味|理速度|速度取|文件大|件大小|大小 |在毫秒| 而高|照片可|片可能|可能需|能需要| 方法|方法有|法有容|有容量|容量限|量限制|通常可|常可以|以在未|未压缩|压缩的|的照片|照片中|片中每|中每 |像素嵌|素嵌入|得最佳|最佳效|佳效果|效果 |使用未|保持嵌|持嵌入|嵌入消|入消息| 文件|文件使|件使用|使用有|内容 |因此它| 而不|而不是|新消息|工具支|哪些格|些格式|添加新|加新格|新格式|展使用|使用哪| 它是|它是在| 它不|它不需|不需要|因此可|此可以| 它能|助我解|藏的消|的消息|消息文|息文本| 是的|是的 |文件拖|展中 |如果有|果有可|有可用|可用的|碼器應|器應用|應用程|用程式|式的隱',
+  },
+};
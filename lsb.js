@@ -6,65 +6,152 @@
 
 /**
  * Encodes a message into image pixel data using LSB steganography.
+ * Thin wrapper around {@link encodeLSBBytes} that converts the text first.
  * 
  * @param {ImageData} imageData - The image data to encode into
  * @param {string} message - The message to encode
  * @param {Object} config - Encoding configuration
  * @param {number} config.bitsPerChannel - Number of LSB bits to use per channel (1-8)
+ * @param {number[]} [config.bitPlanes] - Explicit bit planes, see {@link encodeLSBBytes}
  * @param {boolean} config.useR - Whether to use the red channel
  * @param {boolean} config.useG - Whether to use the green channel
  * @param {boolean} config.useB - Whether to use the blue channel
- * @param {string} config.pixelOrder - Pixel traversal order: 'row' or 'column'
- * @param {string} config.encoding - Text encoding: 'utf8' or 'ascii'
+ * @param {boolean} [config.useA=false] - Whether to use the alpha channel
+ * @param {string|string[]} [config.channels] - Explicit channel visit order inside each
+ *   pixel, e.g. 'BGR' or ['b', 'r']; overrides useR/useG/useB/useA when given
+ * @param {string} config.pixelOrder - Pixel traversal order, see {@link encodeLSBBytes}
+ * @param {string} config.encoding - Text encoding, a key of {@link TEXT_ENCODINGS} with an encoder
+ * @param {string} [config.bitOrder='lsb'] - Bit order, see {@link encodeLSBBytes}
+ * @param {boolean} [config.container=false] - Wrap the message in a framed container
+ *   (see {@link buildLSBContainer}); the text flag is set automatically
  * @returns {ImageData} New ImageData with encoded message
  * @throws {Error} If message is too long or encoding is invalid
  */
 export function encodeLSB(imageData, message, config) {
-  const { bitsPerChannel, useR, useG, useB, pixelOrder, encoding, fillWithZeros = false } = config;
-  
-  // Validate bitsPerChannel
-  if (bitsPerChannel < 1 || bitsPerChannel > 8) {
-    throw new Error('bitsPerChannel must be between 1 and 8');
+  const messageBytes = textToBytes(message, config.encoding);
+  return encodeLSBBytes(imageData, messageBytes, {
+    containerFlags: CONTAINER_FLAG_TEXT,
+    ...config,
+  });
+}
+
+/**
+ * Converts a message to bytes using the given text encoding.
+ * 
+ * @param {string} message - The message to convert
+ * @param {string} encoding - Key of TEXT_ENCODINGS
+ * @returns {Uint8Array} Encoded bytes
+ * @throws {Error} If encoding is unsupported or a character does not fit it
+ */
+function textToBytes(message, encoding) {
+  const textEncoding = TEXT_ENCODINGS[encoding];
+  if (!textEncoding) {
+    throw new Error(`Unsupported encoding: ${encoding}`);
   }
+  if (!textEncoding.encode) {
+    throw new Error(`${textEncoding.label} can only be decoded, not encoded`);
+  }
+  return textEncoding.encode(message);
+}
+
+/**
+ * Encodes raw bytes into image pixel data using LSB steganography.
+ * Use this for binary payloads (archives, keys, images) that must not
+ * go through a text encoding.
+ * 
+ * @param {ImageData} imageData - The image data to encode into
+ * @param {Uint8Array|ArrayBuffer|number[]} payload - The bytes to encode
+ * @param {Object} config - Encoding configuration
+ * @param {number} config.bitsPerChannel - Number of LSB bits to use per channel (1-8)
+ * @param {number[]} [config.bitPlanes] - Bit planes to use instead of the lowest bitsPerChannel
+ *   bits, e.g. [2] or [1, 2] (0 = least significant); overrides bitsPerChannel
+ * @param {number} [config.planeMask] - The same as a bit mask, e.g. 0b0110 for planes 1 and 2
+ * @param {boolean} config.useR - Whether to use the red channel
+ * @param {boolean} config.useG - Whether to use the green channel
+ * @param {boolean} config.useB - Whether to use the blue channel
+ * @param {boolean} [config.useA=false] - Whether to use the alpha channel
+ * @param {string|string[]} [config.channels] - Explicit channel visit order inside each
+ *   pixel, e.g. 'BGR' or ['b', 'r']; overrides useR/useG/useB/useA when given
+ * @param {string} config.pixelOrder - Pixel traversal order, a key of {@link PIXEL_ORDERS}
+ *   ('row', 'column', 'row-reverse', 'column-reverse', 'bottom-up', 'zigzag', 'spiral', 'hilbert')
+ * @param {boolean} [config.fillWithZeros=false] - Fill remaining capacity with zero bits
+ * @param {string} [config.bitOrder='lsb'] - Order in which byte bits enter the stream:
+ *   'lsb' (bit 0 first) or 'msb' (bit 7 first, as zsteg "msb" modes and Python stegano)
+ * @param {string} [config.channelBitOrder=config.bitOrder] - Order in which stream bits fill
+ *   the selected bits of a channel: 'lsb' (lowest plane first) or 'msb' (highest plane first)
+ * @param {boolean} [config.container=false] - Wrap the payload in a framed container
+ *   with magic, version, flags, length and CRC32 (see {@link buildLSBContainer})
+ * @param {number} [config.containerFlags=0] - Flags byte stored in the container header
+ * @param {string} [config.key] - Password; when non-empty, pixel/channel slots are visited in
+ *   a pseudo-random permutation seeded by it (see {@link keyedSlotOrder}) and pixelOrder is ignored
+ * @param {Object} [config.region] - Rectangle { x, y, width, height } to embed into; defaults
+ *   to the whole image. Pixels outside it are never touched
+ * @param {number} [config.startPixel=0] - Number of pixels (in traversal order) to skip
+ *   before embedding starts
+ * @param {string} [config.embedding='replace'] - 'replace' overwrites the low bits; 'match'
+ *   (bitsPerChannel = 1 only) moves a channel by ±1 when its LSB must change, which avoids
+ *   the pairs-of-values artifact that chi-square steganalysis detects. Decoding is the same
+ * @param {function(): number} [config.random=Math.random] - Source of [0, 1) values for the
+ *   ±1 choice in 'match' mode
+ * @returns {ImageData} New ImageData with encoded payload
+ * @throws {Error} If payload is too long or parameters are invalid
+ */
+export function encodeLSBBytes(imageData, payload, config) {
+  const {
+    pixelOrder,
+    fillWithZeros = false,
+    bitOrder = 'lsb',
+    channelBitOrder = bitOrder,
+    container = false,
+    containerFlags = 0,
+    key = '',
+    startPixel = 0,
+    embedding = 'replace',
+    random = Math.random,
+  } = config;
+  
+  // Validate bitsPerChannel (or the explicit bit planes)
+  const planes = resolveBitPlanes(config);
   
   // Validate at least one channel is selected
-  if (!useR && !useG && !useB) {
-    throw new Error('At least one channel (R, G, or B) must be selected');
+  const channelOffsets = resolveChannelOffsets(config);
+  if (channelOffsets.length === 0) {
+    throw new Error('At least one channel (R, G, B, or A) must be selected');
   }
   
-  // Convert message to bytes based on encoding
-  let messageBytes;
-  if (encoding === 'ascii') {
-    // For ASCII, use only bytes 0-127
-    messageBytes = new Uint8Array(message.length);
-    for (let i = 0; i < message.length; i++) {
-      const code = message.charCodeAt(i);
-      if (code > 127) {
-        throw new Error(`ASCII encoding only supports characters 0-127. Character '${message[i]}' (code ${code}) is not supported.`);
-      }
-      messageBytes[i] = code;
-    }
-  } else if (encoding === 'utf8') {
-    // For UTF-8, use TextEncoder
-    const encoder = new TextEncoder();
-    messageBytes = encoder.encode(message);
-  } else {
-    throw new Error(`Unsupported encoding: ${encoding}`);
+  validateBitOrder(bitOrder, 'bitOrder');
+  validateBitOrder(channelBitOrder, 'channelBitOrder');
+  if (embedding !== 'replace' && embedding !== 'match') {
+    throw new Error(`Unsupported embedding: ${embedding}`);
+  }
+  if (embedding === 'match' && (planes.length !== 1 || planes[0] !== 0)) {
+    throw new Error('LSB matching requires bitsPerChannel = 1 (bit plane 0 only)');
   }
+  const area = resolveRegion(imageData, config.region);
+  validateStartPixel(startPixel);
+  if (!key) validatePixelOrder(pixelOrder);
   
-  // Create bit stream (LSB first, matching decoder)
+  const payloadBytes = payload instanceof ArrayBuffer
+    ? new Uint8Array(payload)
+    : Uint8Array.from(payload);
+  const messageBytes = container
+    ? buildLSBContainer(payloadBytes, { flags: containerFlags })
+    : payloadBytes;
+  
+  // Create bit stream in the requested byte bit order (must match decoder)
   const bits = [];
   for (const byte of messageBytes) {
     for (let i = 0; i < 8; i++) {
-      bits.push((byte >> i) & 1);
+      const shift = bitOrder === 'msb' ? 7 - i : i;
+      bits.push((byte >> shift) & 1);
     }
   }
   
   // Calculate capacity
-  const channels = [useR, useG, useB].filter(Boolean).length;
   const messageBitsCount = bits.length; // Save original message bits count
-  const bitsPerPixel = channels * bitsPerChannel;
-  const totalCapacity = imageData.width * imageData.height * bitsPerPixel;
+  const bitsPerPixel = channelOffsets.length * planes.length;
+  const usablePixels = Math.max(0, area.width * area.height - startPixel);
+  const totalCapacity = usablePixels * bitsPerPixel;
   
   if (messageBitsCount > totalCapacity) {
     throw new Error(`Message is too long for this image. Need ${messageBitsCount} bits, but image has capacity of ${totalCapacity} bits.`);
@@ -81,18 +168,30 @@ export function encodeLSB(imageData, message, config) {
   const data = new Uint8ClampedArray(imageData.data);
   
   let bitIndex = 0;
-  const mask = (1 << bitsPerChannel) - 1;
+  const mask = planes.reduce((acc, plane) => acc | (1 << plane), 0);
   const clearMask = ~mask;
+  // Planes in the order stream bits fill them
+  const shifts = channelBitOrder === 'msb' ? [...planes].reverse() : planes;
 
-  // Function to write bitsPerChannel bits into a channel
+  // Function to write the selected bits into a channel
   function writeChannelBits(channelValue) {
-    // Clear the lower bitsPerChannel bits
+    if (embedding === 'match') {
+      // Exhausted bits are written as zeros, as in replace mode
+      const bit = bitIndex < bits.length ? bits[bitIndex++] : 0;
+      if ((channelValue & 1) === bit) return channelValue;
+      // At the ends of the range only one direction stays inside 0..255
+      if (channelValue === 0) return 1;
+      if (channelValue === 255) return 254;
+      return channelValue + (random() < 0.5 ? -1 : 1);
+    }
+
+    // Clear the selected bit planes
     let newValue = channelValue & clearMask;
-    // Write bitsPerChannel bits starting from LSB
-    // Important: write ALL bitsPerChannel bits, even if fewer bits remain in stream
-    for (let i = 0; i < bitsPerChannel; i++) {
+    // Write one bit per plane starting from the lowest plane (or the highest for 'msb')
+    // Important: write ALL planes, even if fewer bits remain in stream
+    for (let i = 0; i < shifts.length; i++) {
       if (bitIndex < bits.length) {
-        newValue |= (bits[bitIndex] << i);
+        newValue |= (bits[bitIndex] << shifts[i]);
         bitIndex++;
       }
       // If bits are exhausted, remaining bits stay as zeros (already cleared by clearMask)
@@ -100,48 +199,32 @@ export function encodeLSB(imageData, message, config) {
     return newValue;
   }
 
-  if (pixelOrder === 'row') {
-    for (let y = 0; y < imageData.height; y++) {
-      for (let x = 0; x < imageData.width; x++) {
-        const idx = (y * imageData.width + x) * 4;
-        
-        if (useR) {
-          data[idx] = writeChannelBits(data[idx]);
-        }
-        if (useG) {
-          data[idx + 1] = writeChannelBits(data[idx + 1]);
-        }
-        if (useB) {
-          data[idx + 2] = writeChannelBits(data[idx + 2]);
-        }
-        
-        // If fillWithZeros is false, stop when message bits are exhausted
-        if (!fillWithZeros && bitIndex >= messageBitsCount) break;
-      }
+  let skip = startPixel;
+
+  if (key) {
+    const channelCount = channelOffsets.length;
+    skip *= channelCount;
+    for (const slot of keyedSlotOrder(area.width * area.height * channelCount, key)) {
+      if (skip > 0) { skip--; continue; }
+      const idx = regionPixelIndex(imageData, area, Math.floor(slot / channelCount)) * 4
+        + channelOffsets[slot % channelCount];
+      data[idx] = writeChannelBits(data[idx]);
+
+      // If fillWithZeros is false, stop when message bits are exhausted
       if (!fillWithZeros && bitIndex >= messageBitsCount) break;
     }
-  } else if (pixelOrder === 'column') {
-    for (let x = 0; x < imageData.width; x++) {
-      for (let y = 0; y < imageData.height; y++) {
-        const idx = (y * imageData.width + x) * 4;
-        
-        if (useR) {
-          data[idx] = writeChannelBits(data[idx]);
-        }
-        if (useG) {
-          data[idx + 1] = writeChannelBits(data[idx + 1]);
-        }
-        if (useB) {
-          data[idx + 2] = writeChannelBits(data[idx + 2]);
-        }
-        
-        // If fillWithZeros is false, stop when message bits are exhausted
-        if (!fillWithZeros && bitIndex >= messageBitsCount) break;
+  } else {
+    for (const n of traversePixels(pixelOrder, area.width, area.height)) {
+      if (skip > 0) { skip--; continue; }
+      const idx = regionPixelIndex(imageData, area, n) * 4;
+
+      for (const offset of channelOffsets) {
+        data[idx + offset] = writeChannelBits(data[idx + offset]);
       }
+
+      // If fillWithZeros is false, stop when message bits are exhausted
       if (!fillWithZeros && bitIndex >= messageBitsCount) break;
     }
-  } else {
-    throw new Error(`Unsupported pixelOrder: ${pixelOrder}`);
   }
 
   return new ImageData(data, imageData.width, imageData.height);
@@ -154,78 +237,690 @@ export function encodeLSB(imageData, message, config) {
  * @param {ImageData} imageData - The image data to decode from
  * @param {Object} options - Decoding options
  * @param {number} options.bitsPerChannel - Number of LSB bits to extract per channel (1-8)
+ * @param {number[]} [options.bitPlanes] - Bit planes to read instead of the lowest bitsPerChannel
+ *   bits, e.g. [2]; overrides bitsPerChannel
+ * @param {number} [options.planeMask] - The same as a bit mask, e.g. 0b0110
  * @param {boolean} options.useR - Whether to use the red channel
  * @param {boolean} options.useG - Whether to use the green channel
  * @param {boolean} options.useB - Whether to use the blue channel
- * @param {string} options.order - Pixel traversal order: 'row' or 'column'
- * @returns {Object} Decoded result with bytes (Uint8Array), byteCount, hasTail, and tailBits
+ * @param {boolean} [options.useA=false] - Whether to use the alpha channel
+ * @param {string|string[]} [options.channels] - Explicit channel visit order inside each
+ *   pixel, e.g. 'BGR' or ['b', 'r']; overrides useR/useG/useB/useA when given
+ * @param {string} [options.order='row'] - Pixel traversal order, a key of {@link PIXEL_ORDERS}
+ * @param {string} [options.bitOrder='lsb'] - Byte assembly order: 'lsb' or 'msb'
+ * @param {string} [options.channelBitOrder=options.bitOrder] - Within-channel bit order: 'lsb' or 'msb'
+ * @param {string} [options.key] - Password used at encode time; when non-empty, slots are read
+ *   in the same keyed permutation and order is ignored
+ * @param {Object} [options.region] - Rectangle { x, y, width, height } to read; defaults to the whole image
+ * @param {number} [options.startPixel=0] - Number of pixels (in traversal order) to skip before reading
+ * @param {number} [options.maxBytes=Infinity] - Stop after this many bytes instead of reading the whole image
+ * @param {number} [options.byteOffset=0] - Number of whole bytes to skip at the start of the stream
+ * @param {number} [options.bitOffset=options.byteOffset * 8] - Number of bits to skip at the start
+ *   of the stream; use it for byte boundaries that do not fall on a pixel boundary
+ * @returns {Object} Decoded result with bytes (Uint8Array), byteCount, hasTail, tailBits,
+ *   truncated (stopped at maxBytes with more data left)
+ *   and container (parsed framed header, or null if the stream is not framed)
  */
 export function decodeLSB(imageData, options) {
-  const { bitsPerChannel, useR, useG, useB, order } = options;
+  const {
+    order = 'row',
+    bitOrder = 'lsb',
+    channelBitOrder = bitOrder,
+    key = '',
+    startPixel = 0,
+    maxBytes = Infinity,
+    byteOffset = 0,
+    bitOffset = byteOffset * 8,
+  } = options;
+
+  validateBitOrder(bitOrder, 'bitOrder');
+  validateBitOrder(channelBitOrder, 'channelBitOrder');
+  const planes = resolveBitPlanes(options);
+  const channelOffsets = resolveChannelOffsets(options);
+  const area = resolveRegion(imageData, options.region);
+  validateStartPixel(startPixel);
+  if (!key) validatePixelOrder(order);
+  validateDecodeBounds(maxBytes, bitOffset);
 
-  const width = imageData.width;
-  const height = imageData.height;
   const data = imageData.data;
+  const channelCount = channelOffsets.length;
+  const bitsPerSlot = planes.length;
+  // Planes in the order their bits enter the stream
+  const shifts = channelBitOrder === 'msb' ? [...planes].reverse() : planes;
+
+  // Whole slots (keyed) or pixels covered by bitOffset are skipped without reading them
+  const skipUnitBits = key ? bitsPerSlot : channelCount * bitsPerSlot;
+  let skip = (key ? startPixel * channelCount : startPixel) + Math.floor(bitOffset / skipUnitBits);
+
+  const streamBits = Math.max(0, area.width * area.height - startPixel) * channelCount * bitsPerSlot;
+  const assembler = createByteAssembler({
+    msbFirst: bitOrder === 'msb',
+    maxBytes,
+    availableBits: Math.max(0, streamBits - bitOffset),
+    skipBits: bitOffset % skipUnitBits,
+  });
+  const pushBit = assembler.push;
+
+  function extractChannelBits(value) {
+    for (let i = 0; i < shifts.length; i += 1) {
+      pushBit((value >> shifts[i]) & 1);
+    }
+  }
+
+  if (key) {
+    for (const slot of keyedSlotOrder(area.width * area.height * channelCount, key)) {
+      if (assembler.isDone()) break;
+      if (skip > 0) { skip -= 1; continue; }
+      const idx = regionPixelIndex(imageData, area, Math.floor(slot / channelCount)) * 4;
+      extractChannelBits(data[idx + channelOffsets[slot % channelCount]]);
+    }
+  } else {
+    for (const n of traversePixels(order, area.width, area.height)) {
+      if (assembler.isDone()) break;
+      if (skip > 0) { skip -= 1; continue; }
+      const idx = regionPixelIndex(imageData, area, n) * 4;
+      for (const offset of channelOffsets) extractChannelBits(data[idx + offset]);
+    }
+  }
+
+  return assembler.finish();
+}
 
-  const mask = (1 << bitsPerChannel) - 1;
-  const bytes = [];
+/**
+ * Validates the maxBytes and bitOffset decode bounds.
+ */
+function validateDecodeBounds(maxBytes, bitOffset) {
+  if (!(maxBytes >= 0) || (maxBytes !== Infinity && !Number.isInteger(maxBytes))) {
+    throw new Error(`maxBytes must be a non-negative integer, got ${maxBytes}`);
+  }
+  if (!Number.isInteger(bitOffset) || bitOffset < 0) {
+    throw new Error(`bitOffset must be a non-negative integer, got ${bitOffset}`);
+  }
+}
+
+/**
+ * Packs stream bits into a preallocated byte array for decodeLSB and decodeBitPlanes.
+ *
+ * @param {Object} options
+ * @param {boolean} options.msbFirst - Fill bytes from bit 7 down instead of from bit 0 up
+ * @param {number} options.maxBytes - Stop after this many bytes
+ * @param {number} options.availableBits - Stream bits left after skipBits are dropped
+ * @param {number} options.skipBits - Leading bits to drop
+ * @param {boolean} [options.hasMore=false] - The stream continues past the pushed bits
+ * @returns {{push: function(number): void, isDone: function(): boolean, finish: function(): Object}}
+ */
+function createByteAssembler({ msbFirst, maxBytes, availableBits, skipBits, hasMore = false }) {
+  const bytes = new Uint8Array(Math.min(maxBytes, Math.floor(availableBits / 8)));
+  let byteCount = 0;
+  let done = maxBytes === 0;
   let currentByte = 0;
   let bitPos = 0;
 
-  function pushBit(bit) {
-    currentByte |= (bit & 1) << bitPos;
+  function push(bit) {
+    if (skipBits > 0) {
+      skipBits -= 1;
+      return;
+    }
+    if (done) return;
+    currentByte |= (bit & 1) << (msbFirst ? 7 - bitPos : bitPos);
     bitPos += 1;
     if (bitPos === 8) {
-      bytes.push(currentByte);
+      bytes[byteCount] = currentByte;
+      byteCount += 1;
       currentByte = 0;
       bitPos = 0;
+      if (byteCount === maxBytes) done = true;
     }
   }
 
-  function extractChannelBits(value) {
-    const channelBits = value & mask;
-    for (let i = 0; i < bitsPerChannel; i += 1) {
-      const bit = (channelBits >> i) & 1;
-      pushBit(bit);
+  function finish() {
+    const truncated = hasMore || (done && availableBits > byteCount * 8);
+    // A partial byte is only a tail when the stream really ends there
+    const hasTail = !hasMore && bitPos !== 0;
+
+    return {
+      bytes,
+      byteCount,
+      hasTail,
+      tailBits: hasTail ? currentByte : 0, // Bits in the incomplete last byte (0-7 bits)
+      truncated,
+      container: parseLSBContainer(bytes),
+    };
+  }
+
+  return { push, isDone: () => done, finish };
+}
+
+/**
+ * Reads the channel values along one pixel traversal once, so that many decode
+ * candidates (bit depths, channel sets, bit orders, encodings) can be assembled
+ * from the same typed arrays with {@link decodeBitPlanes} instead of walking the
+ * image again for each of them.
+ *
+ * @param {ImageData} imageData - The image data to read
+ * @param {Object} [options]
+ * @param {string} [options.order='row'] - Pixel traversal order, a key of PIXEL_ORDERS
+ * @param {Object} [options.region] - Rectangle { x, y, width, height } to read
+ * @param {number} [options.startPixel=0] - Pixels to skip in traversal order
+ * @param {number} [options.maxPixels=Infinity] - Read at most this many pixels
+ * @returns {{order: string, pixelCount: number, truncated: boolean, channels: Uint8Array[]}}
+ *   channels[offset][i] is channel offset (R=0, G=1, B=2, A=3) of the i-th visited pixel;
+ *   truncated is true when the traversal has more pixels than were read
+ */
+export function extractBitPlanes(imageData, options = {}) {
+  const { order = 'row', startPixel = 0, maxPixels = Infinity } = options;
+  const area = resolveRegion(imageData, options.region);
+  validateStartPixel(startPixel);
+
+  const totalPixels = Math.max(0, area.width * area.height - startPixel);
+  const pixelCount = Math.min(totalPixels, maxPixels);
+  const channels = [0, 1, 2, 3].map(() => new Uint8Array(pixelCount));
+  const data = imageData.data;
+
+  let skip = startPixel;
+  let i = 0;
+  for (const n of traversePixels(order, area.width, area.height)) {
+    if (i === pixelCount) break;
+    if (skip > 0) { skip -= 1; continue; }
+    const idx = regionPixelIndex(imageData, area, n) * 4;
+    channels[0][i] = data[idx];
+    channels[1][i] = data[idx + 1];
+    channels[2][i] = data[idx + 2];
+    channels[3][i] = data[idx + 3];
+    i += 1;
+  }
+
+  return { order, pixelCount, truncated: pixelCount < totalPixels, channels };
+}
+
+/**
+ * Decodes a stream from channel values prepared by {@link extractBitPlanes}.
+ * Produces the same result as decodeLSB with the traversal options used for the extraction.
+ *
+ * @param {Object} planes - Result of extractBitPlanes
+ * @param {Object} options - Stream options as for decodeLSB: bitsPerChannel or bitPlanes/planeMask,
+ *   channels or useR/useG/useB/useA, bitOrder, channelBitOrder, maxBytes, byteOffset, bitOffset
+ * @returns {Object} Decoded result shaped like decodeLSB's; truncated is also set when the
+ *   extraction stopped before the end of the image
+ */
+export function decodeBitPlanes(planes, options) {
+  const {
+    bitOrder = 'lsb',
+    channelBitOrder = bitOrder,
+    maxBytes = Infinity,
+    byteOffset = 0,
+    bitOffset = byteOffset * 8,
+  } = options;
+
+  validateBitOrder(bitOrder, 'bitOrder');
+  validateBitOrder(channelBitOrder, 'channelBitOrder');
+  const bitPlanes = resolveBitPlanes(options);
+  const channelOffsets = resolveChannelOffsets(options);
+  validateDecodeBounds(maxBytes, bitOffset);
+
+  const shifts = channelBitOrder === 'msb' ? [...bitPlanes].reverse() : bitPlanes;
+  const sources = channelOffsets.map(offset => planes.channels[offset]);
+  const bitsPerPixel = channelOffsets.length * shifts.length;
+
+  const assembler = createByteAssembler({
+    msbFirst: bitOrder === 'msb',
+    maxBytes,
+    availableBits: Math.max(0, planes.pixelCount * bitsPerPixel - bitOffset),
+    skipBits: bitOffset % bitsPerPixel,
+    hasMore: planes.truncated,
+  });
+  const pushBit = assembler.push;
+
+  for (let i = Math.floor(bitOffset / bitsPerPixel); i < planes.pixelCount; i += 1) {
+    if (assembler.isDone()) break;
+    for (const source of sources) {
+      const value = source[i];
+      for (let s = 0; s < shifts.length; s += 1) pushBit((value >> shifts[s]) & 1);
     }
   }
 
-  if (order === 'column') {
-    for (let x = 0; x < width; x += 1) {
-      for (let y = 0; y < height; y += 1) {
-        const idx = (y * width + x) * 4;
-        if (useR) extractChannelBits(data[idx]);
-        if (useG) extractChannelBits(data[idx + 1]);
-        if (useB) extractChannelBits(data[idx + 2]);
+  return assembler.finish();
+}
+
+/*
+ * Framed container format (all multi-byte fields little-endian):
+ *
+ *   offset  size  field
+ *   0       2     magic 0x53 0x4C ("SL")
+ *   2       1     format version (currently 1)
+ *   3       1     flags (bit 0: payload is text)
+ *   4       4     payload length in bytes
+ *   8       4     CRC32 (IEEE) of the payload
+ *   12      N     payload
+ *
+ * A framed stream tells the decoder exactly where the message ends, so no
+ * zero-byte or printable-run heuristics are needed.
+ */
+
+const CONTAINER_MAGIC = [0x53, 0x4c]; // "SL"
+export const CONTAINER_VERSION = 1;
+export const CONTAINER_HEADER_BYTES = 12;
+export const CONTAINER_FLAG_TEXT = 0x01;
+
+let crc32Table = null;
+
+/**
+ * Computes the CRC32 (IEEE 802.3, reflected) checksum of bytes.
+ * 
+ * @param {Uint8Array|Array} bytes - Bytes to checksum
+ * @returns {number} Unsigned 32-bit CRC
+ */
+export function crc32(bytes) {
+  if (!crc32Table) {
+    crc32Table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
       }
+      crc32Table[n] = c >>> 0;
     }
-  } else {
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crc32Table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Wraps a payload in the framed container header.
+ * 
+ * @param {Uint8Array} payload - Payload bytes
+ * @param {Object} [options]
+ * @param {number} [options.flags=0] - Flags byte (see CONTAINER_FLAG_*)
+ * @returns {Uint8Array} Header followed by the payload
+ */
+export function buildLSBContainer(payload, options = {}) {
+  const { flags = 0 } = options;
+  const length = payload.length;
+  const crc = crc32(payload);
+
+  const out = new Uint8Array(CONTAINER_HEADER_BYTES + length);
+  out[0] = CONTAINER_MAGIC[0];
+  out[1] = CONTAINER_MAGIC[1];
+  out[2] = CONTAINER_VERSION;
+  out[3] = flags & 0xff;
+  for (let i = 0; i < 4; i++) {
+    out[4 + i] = (length >>> (8 * i)) & 0xff;
+    out[8 + i] = (crc >>> (8 * i)) & 0xff;
+  }
+  out.set(payload, CONTAINER_HEADER_BYTES);
+  return out;
+}
+
+/**
+ * Parses a framed container from the start of a decoded byte stream.
+ * 
+ * @param {Uint8Array} bytes - Decoded bytes
+ * @returns {Object|null} Container info { version, flags, isText, length, crc,
+ *   verified, payload } or null if the stream does not start with a known header
+ *   or the declared length does not fit. verified is true when the CRC matches.
+ */
+export function parseLSBContainer(bytes) {
+  const header = parseLSBContainerHeader(bytes);
+  if (!header) return null;
+  if (CONTAINER_HEADER_BYTES + header.length > bytes.length) return null;
+
+  const payload = bytes.slice(CONTAINER_HEADER_BYTES, CONTAINER_HEADER_BYTES + header.length);
+  return {
+    ...header,
+    verified: crc32(payload) === header.crc,
+    payload,
+  };
+}
+
+/**
+ * Parses only the 12-byte container header, without requiring the payload to
+ * be present. Useful after a bounded decode (maxBytes) to learn how many bytes
+ * a full read of the container needs.
+ *
+ * @param {Uint8Array} bytes - Decoded stream bytes (at least the header)
+ * @returns {Object|null} { version, flags, isText, length, crc }, or null if there is no valid header
+ */
+export function parseLSBContainerHeader(bytes) {
+  if (!bytes || bytes.length < CONTAINER_HEADER_BYTES) return null;
+  if (bytes[0] !== CONTAINER_MAGIC[0] || bytes[1] !== CONTAINER_MAGIC[1]) return null;
+
+  const version = bytes[2];
+  if (version !== CONTAINER_VERSION) return null;
+
+  const flags = bytes[3];
+  let length = 0;
+  let crc = 0;
+  for (let i = 0; i < 4; i++) {
+    length += bytes[4 + i] * 2 ** (8 * i);
+    crc += bytes[8 + i] * 2 ** (8 * i);
+  }
+  return {
+    version,
+    flags,
+    isText: (flags & CONTAINER_FLAG_TEXT) !== 0,
+    length,
+    crc,
+  };
+}
+
+// Byte offset of each channel inside an RGBA pixel
+const CHANNEL_OFFSETS = { r: 0, g: 1, b: 2, a: 3 };
+const CHANNEL_LETTERS = ['R', 'G', 'B', 'A'];
+
+/**
+ * Resolves the order in which channels are visited inside a pixel as byte
+ * offsets (R=0, G=1, B=2, A=3). An explicit `channels` sequence wins over the
+ * useR/useG/useB/useA flags, which always visit channels in R, G, B, A order.
+ * 
+ * @param {Object} options - Encode/decode options
+ * @returns {number[]} Channel offsets in visit order
+ * @throws {Error} If the sequence contains an unknown or repeated channel
+ */
+function resolveChannelOffsets(options) {
+  const { channels, useR, useG, useB, useA = false } = options;
+  if (channels == null) {
+    return [useR, useG, useB, useA].flatMap((use, offset) => (use ? [offset] : []));
+  }
+
+  const letters = typeof channels === 'string' ? channels.split('') : Array.from(channels);
+  const offsets = [];
+  for (const letter of letters) {
+    const offset = CHANNEL_OFFSETS[String(letter).toLowerCase()];
+    if (offset === undefined) {
+      throw new Error(`Unsupported channel: ${letter}`);
+    }
+    if (offsets.includes(offset)) {
+      throw new Error(`Channel ${String(letter).toUpperCase()} appears more than once in the channel sequence`);
+    }
+    offsets.push(offset);
+  }
+  return offsets;
+}
+
+/**
+ * Returns the channel visit order as an upper-case string, e.g. 'RGB' or 'BGR'.
+ * 
+ * @param {Object} options - Encode/decode options (channels or useR/useG/useB/useA)
+ * @returns {string} Channel sequence
+ */
+export function getChannelSequence(options) {
+  return resolveChannelOffsets(options).map(offset => CHANNEL_LETTERS[offset]).join('');
+}
+
+/**
+ * Resolves the optional region of interest against the image bounds.
+ * Throws when the rectangle is empty, fractional or reaches outside the image.
+ *
+ * @param {ImageData} imageData - Image the region refers to
+ * @param {Object} [region] - Rectangle { x, y, width, height }
+ * @returns {{x: number, y: number, width: number, height: number}} Region (whole image if omitted)
+ */
+function resolveRegion(imageData, region) {
+  if (!region) {
+    return { x: 0, y: 0, width: imageData.width, height: imageData.height };
+  }
+  const { x = 0, y = 0, width, height } = region;
+  if (![x, y, width, height].every(Number.isInteger) || x < 0 || y < 0 || width < 1 || height < 1
+    || x + width > imageData.width || y + height > imageData.height) {
+    throw new Error(`Region ${x},${y} ${width}x${height} must lie inside the ${imageData.width}x${imageData.height} image`);
+  }
+  return { x, y, width, height };
+}
+
+/**
+ * Resolves which bit planes of each channel carry data, lowest first.
+ * bitPlanes or planeMask select arbitrary planes; otherwise the lowest
+ * bitsPerChannel planes are used.
+ *
+ * @param {Object} options - Encode/decode options
+ * @returns {number[]} Ascending plane indices (0 = least significant bit)
+ */
+function resolveBitPlanes(options) {
+  const { bitsPerChannel, bitPlanes, planeMask } = options;
+  if (bitPlanes != null) {
+    const planes = [...bitPlanes].sort((a, b) => a - b);
+    if (planes.length === 0 || !planes.every(p => Number.isInteger(p) && p >= 0 && p <= 7)) {
+      throw new Error(`bitPlanes must be a non-empty list of planes 0-7, got [${bitPlanes}]`);
+    }
+    if (new Set(planes).size !== planes.length) {
+      throw new Error(`Bit plane appears more than once in [${bitPlanes}]`);
+    }
+    return planes;
+  }
+  if (planeMask != null) {
+    if (!Number.isInteger(planeMask) || planeMask < 1 || planeMask > 0xff) {
+      throw new Error(`planeMask must be between 1 and 255, got ${planeMask}`);
+    }
+    return [0, 1, 2, 3, 4, 5, 6, 7].filter(plane => planeMask & (1 << plane));
+  }
+  if (!(bitsPerChannel >= 1 && bitsPerChannel <= 8)) {
+    throw new Error('bitsPerChannel must be between 1 and 8');
+  }
+  return Array.from({ length: bitsPerChannel }, (_, plane) => plane);
+}
+
+/**
+ * Throws if startPixel is not a non-negative integer.
+ */
+function validateStartPixel(startPixel) {
+  if (!Number.isInteger(startPixel) || startPixel < 0) {
+    throw new Error(`startPixel must be a non-negative integer, got ${startPixel}`);
+  }
+}
+
+/*
+ * Yields the points of a Hilbert curve over a size x size square that lie inside a width x height
+ * area, as row-major indices. The curve's own (u, v) maps to (x0 + u * ax + v * bx, y0 + u * ay + v * by);
+ * quadrants entirely outside the area are skipped without walking them.
+ */
+function* hilbertSquare(width, height, size, x0, y0, ax, ay, bx, by) {
+  const x1 = x0 + (size - 1) * (ax + bx);
+  const y1 = y0 + (size - 1) * (ay + by);
+  if (Math.min(x0, x1) >= width || Math.min(y0, y1) >= height) return;
+  if (size === 1) {
+    yield y0 * width + x0;
+    return;
+  }
+  const h = size / 2;
+  // The first quadrant is transposed, the middle two kept and the last flipped across its anti-diagonal
+  yield* hilbertSquare(width, height, h, x0, y0, bx, by, ax, ay);
+  yield* hilbertSquare(width, height, h, x0 + h * bx, y0 + h * by, ax, ay, bx, by);
+  yield* hilbertSquare(width, height, h, x0 + h * (ax + bx), y0 + h * (ay + by), ax, ay, bx, by);
+  yield* hilbertSquare(
+    width, height, h,
+    x0 + (2 * h - 1) * ax + (h - 1) * bx, y0 + (2 * h - 1) * ay + (h - 1) * by,
+    -bx, -by, -ax, -ay,
+  );
+}
+
+/*
+ * Pixel traversal orders. Each generator receives the width and height of the
+ * traversed area and yields every pixel exactly once as a row-major index
+ * (y * width + x). Add an entry here to plug in a new pattern; encodeLSBBytes,
+ * decodeLSB and the extended auto-detect pick it up by name.
+ */
+export const PIXEL_ORDERS = {
+  // Left to right, top to bottom
+  *row(width, height) {
+    for (let n = 0; n < width * height; n += 1) yield n;
+  },
+  // Top to bottom, left to right
+  *column(width, height) {
+    for (let x = 0; x < width; x += 1) {
+      for (let y = 0; y < height; y += 1) yield y * width + x;
+    }
+  },
+  // Row order backwards: right to left, bottom to top
+  *'row-reverse'(width, height) {
+    for (let n = width * height - 1; n >= 0; n -= 1) yield n;
+  },
+  // Column order backwards: bottom to top, right to left
+  *'column-reverse'(width, height) {
+    for (let x = width - 1; x >= 0; x -= 1) {
+      for (let y = height - 1; y >= 0; y -= 1) yield y * width + x;
+    }
+  },
+  // Rows from the bottom up, each left to right
+  *'bottom-up'(width, height) {
+    for (let y = height - 1; y >= 0; y -= 1) {
+      for (let x = 0; x < width; x += 1) yield y * width + x;
+    }
+  },
+  // Serpentine rows: even rows left to right, odd rows right to left
+  *zigzag(width, height) {
     for (let y = 0; y < height; y += 1) {
-      for (let x = 0; x < width; x += 1) {
-        const idx = (y * width + x) * 4;
-        if (useR) extractChannelBits(data[idx]);
-        if (useG) extractChannelBits(data[idx + 1]);
-        if (useB) extractChannelBits(data[idx + 2]);
+      for (let i = 0; i < width; i += 1) yield y * width + (y % 2 === 0 ? i : width - 1 - i);
+    }
+  },
+  // Clockwise from the top-left corner, ring by ring towards the centre
+  *spiral(width, height) {
+    let top = 0;
+    let bottom = height - 1;
+    let left = 0;
+    let right = width - 1;
+    while (top <= bottom && left <= right) {
+      for (let x = left; x <= right; x += 1) yield top * width + x;
+      for (let y = top + 1; y <= bottom; y += 1) yield y * width + right;
+      if (top < bottom) {
+        for (let x = right - 1; x >= left; x -= 1) yield bottom * width + x;
+      }
+      if (left < right) {
+        for (let y = bottom - 1; y > top; y -= 1) yield y * width + left;
       }
+      top += 1;
+      bottom -= 1;
+      left += 1;
+      right -= 1;
     }
+  },
+  // Hilbert curve over the enclosing power-of-two square, skipping the parts outside the area
+  *hilbert(width, height) {
+    let size = 1;
+    while (size < width || size < height) size *= 2;
+    if (width > 0 && height > 0) yield* hilbertSquare(width, height, size, 0, 0, 1, 0, 0, 1);
+  },
+};
+
+/**
+ * Throws if a pixel order is not registered in PIXEL_ORDERS.
+ */
+function validatePixelOrder(order) {
+  if (!Object.hasOwn(PIXEL_ORDERS, order)) {
+    throw new Error(`Unsupported pixelOrder: ${order}`);
   }
+}
 
-  const hasTail = bitPos !== 0;
-  
-  // Store tail bits if there's a tail
-  let tailBits = 0;
-  if (hasTail) {
-    tailBits = currentByte;
+/**
+ * Iterates the pixels of a width x height area in the named order.
+ *
+ * @param {string} order - Key of PIXEL_ORDERS
+ * @param {number} width - Area width
+ * @param {number} height - Area height
+ * @returns {Iterable<number>} Row-major pixel indices within the area
+ */
+export function traversePixels(order, width, height) {
+  validatePixelOrder(order);
+  return PIXEL_ORDERS[order](width, height);
+}
+
+/**
+ * Maps the n-th pixel of a region (row-major) to its pixel index in the whole image.
+ */
+function regionPixelIndex(imageData, area, n) {
+  return (area.y + Math.floor(n / area.width)) * imageData.width + area.x + (n % area.width);
+}
+
+/**
+ * Creates a deterministic 32-bit PRNG seeded from a password.
+ * The key's UTF-8 bytes are hashed (xmur3-style) into four seeds for sfc32;
+ * only 32-bit integer arithmetic is used, so every engine yields the same sequence.
+ *
+ * @param {string} key - Password
+ * @returns {function(): number} Generator returning unsigned 32-bit integers
+ */
+export function createKeyedRandom(key) {
+  const keyBytes = new TextEncoder().encode(String(key));
+  let h = 1779033703 ^ keyBytes.length;
+  for (const byte of keyBytes) {
+    h = Math.imul(h ^ byte, 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+  function nextSeed() {
+    h = Math.imul(h ^ (h >>> 16), 2246822507);
+    h = Math.imul(h ^ (h >>> 13), 3266489909);
+    h ^= h >>> 16;
+    return h >>> 0;
   }
 
-  return {
-    bytes: new Uint8Array(bytes),
-    byteCount: bytes.length,
-    hasTail,
-    tailBits, // Bits in the incomplete last byte (0-7 bits)
+  let a = nextSeed();
+  let b = nextSeed();
+  let c = nextSeed();
+  let d = nextSeed();
+  return function next() {
+    const t = (((a + b) | 0) + d) | 0;
+    d = (d + 1) | 0;
+    a = b ^ (b >>> 9);
+    b = (c + (c << 3)) | 0;
+    c = (c << 21) | (c >>> 11);
+    c = (c + t) | 0;
+    return t >>> 0;
   };
 }
 
+/**
+ * Yields a keyed pseudo-random permutation of slot indices 0..count-1.
+ * Slot s is channel s % channelCount of pixel floor(s / channelCount) in row order.
+ * The shuffle is a forward Fisher-Yates, so every prefix is final as soon as it is
+ * yielded: an encoder that stops early and a decoder that reads on agree on the order.
+ *
+ * @param {number} count - Number of slots
+ * @param {string} key - Password
+ * @returns {Generator<number>} Slot indices
+ */
+export function* keyedSlotOrder(count, key) {
+  const next = createKeyedRandom(key);
+  // Slots swapped away from their own position, by position, so a bounded read that stops
+  // early only pays for the slots it took. Past count / 16 moved slots a dense array is smaller
+  let moved = new Map();
+  let slots = null;
+
+  for (let i = 0; i < count; i += 1) {
+    // Integer modulo keeps the pick exact in every engine (bias is negligible)
+    const j = i + (next() % (count - i));
+    if (!slots && moved.size > count / 16) {
+      slots = new Uint32Array(count);
+      for (let k = i; k < count; k += 1) slots[k] = k;
+      for (const [position, slot] of moved) slots[position] = slot;
+      moved = null;
+    }
+    if (slots) {
+      const slot = slots[j];
+      slots[j] = slots[i];
+      slots[i] = slot;
+      yield slot;
+    } else {
+      const slot = moved.get(j) ?? j;
+      if (j !== i) moved.set(j, moved.get(i) ?? i);
+      // Position i is never read again
+      moved.delete(i);
+      yield slot;
+    }
+  }
+}
+
+/**
+ * Throws if a bit order option is not 'lsb' or 'msb'.
+ */
+function validateBitOrder(value, name) {
+  if (value !== 'lsb' && value !== 'msb') {
+    throw new Error(`Unsupported ${name}: ${value}`);
+  }
+}
+
 /**
  * Formats bytes as hexadecimal string for display.
  * 
@@ -365,6 +1060,175 @@ export function formatBytesAsUtf8(bytes, hasTail = false, tailBits = 0) {
   return result;
 }
 
+/**
+ * Converts bytes in a TextDecoder charset to a string for display, like formatBytesAsUtf8:
+ * zero bytes are dropped, undecodable bytes become '_' and control characters '.'.
+ *
+ * @param {Uint8Array|Array} bytes - Bytes to convert
+ * @param {string} charset - TextDecoder label, e.g. 'windows-1251'
+ * @param {boolean} hasTail - Whether there are incomplete bits at the end
+ * @param {number} tailBits - Bits in the incomplete last byte (0-7), if hasTail is true
+ * @returns {string} Formatted string with replacements
+ */
+function formatBytesInCharset(bytes, charset, hasTail = false, tailBits = 0) {
+  const text = bytes && bytes.length > 0 ? new TextDecoder(charset).decode(new Uint8Array(bytes)) : '';
+  return formatDecodedText(text, hasTail, tailBits);
+}
+
+// ISO-8859-1 proper: each byte is the code point of the same value
+function formatBytesAsLatin1(bytes, hasTail = false, tailBits = 0) {
+  const text = bytes ? Array.from(bytes, byte => String.fromCharCode(byte)).join('') : '';
+  return formatDecodedText(text, hasTail, tailBits);
+}
+
+function formatDecodedText(text, hasTail, tailBits) {
+  let result = '';
+  for (const ch of text) {
+    if (ch === '\0') continue;
+    result += ch === '\ufffd' ? '_' : isControlCharacter(ch) ? '.' : ch;
+  }
+  if (hasTail && tailBits !== 0) {
+    result += '_';
+  }
+  return result;
+}
+
+function encodeAscii(message) {
+  const messageBytes = new Uint8Array(message.length);
+  for (let i = 0; i < message.length; i++) {
+    const code = message.charCodeAt(i);
+    if (code > 127) {
+      throw new Error(`ASCII encoding only supports characters 0-127. Character '${message[i]}' (code ${code}) is not supported.`);
+    }
+    messageBytes[i] = code;
+  }
+  return messageBytes;
+}
+
+function encodeLatin1(message) {
+  const messageBytes = new Uint8Array(message.length);
+  for (let i = 0; i < message.length; i++) {
+    const code = message.charCodeAt(i);
+    if (code > 0xFF) {
+      throw new Error(`Latin-1 encoding does not support character '${message[i]}' (code ${code}).`);
+    }
+    messageBytes[i] = code;
+  }
+  return messageBytes;
+}
+
+function encodeUtf16(message, littleEndian) {
+  const messageBytes = new Uint8Array(message.length * 2);
+  const view = new DataView(messageBytes.buffer);
+  for (let i = 0; i < message.length; i++) {
+    view.setUint16(i * 2, message.charCodeAt(i), littleEndian);
+  }
+  return messageBytes;
+}
+
+/**
+ * Builds a text encoding entry for a single-byte charset. TextDecoder has no encoders for
+ * legacy charsets, so the encoder inverts the decoder's table of all 256 bytes on first use.
+ */
+function singleByteEncoding(label, charset) {
+  let byteOf = null;
+  return {
+    label,
+    charset,
+    bytesPerChar: 1,
+    encode(message) {
+      if (!byteOf) {
+        const decoder = new TextDecoder(charset);
+        byteOf = new Map();
+        for (let byte = 0; byte < 256; byte++) {
+          const ch = decoder.decode(Uint8Array.of(byte));
+          if (ch !== '\ufffd' && !byteOf.has(ch)) byteOf.set(ch, byte);
+        }
+      }
+      const messageBytes = new Uint8Array(message.length);
+      for (let i = 0; i < message.length; i++) {
+        const byte = byteOf.get(message[i]);
+        if (byte === undefined) {
+          throw new Error(`${label} encoding does not support character '${message[i]}' (code ${message.charCodeAt(i)}).`);
+        }
+        messageBytes[i] = byte;
+      }
+      return messageBytes;
+    },
+    format: (bytes, hasTail, tailBits) => formatBytesInCharset(bytes, charset, hasTail, tailBits),
+  };
+}
+
+/*
+ * Text encodings by name, as used for config.encoding and decoded text. Each has a label for
+ * the UI, the typical bytesPerChar for capacity estimates, encode(message) returning bytes
+ * (null if the encoding can only be decoded) and format(bytes, hasTail, tailBits) for display.
+ * Encodings decoded with TextDecoder also name its charset. Add an entry
+ * here to plug in a new charset; the encoder, the decoder and auto-detect pick it up by name.
+ */
+export const TEXT_ENCODINGS = {
+  utf8: {
+    label: 'UTF-8',
+    bytesPerChar: 2,
+    encode: message => new TextEncoder().encode(message),
+    format: formatBytesAsUtf8,
+  },
+  ascii: {
+    label: 'ASCII',
+    bytesPerChar: 1,
+    encode: encodeAscii,
+    format: formatBytesAsAscii,
+  },
+  utf16le: {
+    label: 'UTF-16LE',
+    charset: 'utf-16le',
+    bytesPerChar: 2,
+    encode: message => encodeUtf16(message, true),
+    format: (bytes, hasTail, tailBits) => formatBytesInCharset(bytes, 'utf-16le', hasTail, tailBits),
+  },
+  utf16be: {
+    label: 'UTF-16BE',
+    charset: 'utf-16be',
+    bytesPerChar: 2,
+    encode: message => encodeUtf16(message, false),
+    format: (bytes, hasTail, tailBits) => formatBytesInCharset(bytes, 'utf-16be', hasTail, tailBits),
+  },
+  cp1251: singleByteEncoding('Windows-1251', 'windows-1251'),
+  koi8r: singleByteEncoding('KOI8-R', 'koi8-r'),
+  // TextDecoder reads the "ISO-8859-1" label as Windows-1252, so Latin-1 maps bytes itself
+  latin1: {
+    label: 'Latin-1',
+    bytesPerChar: 1,
+    encode: encodeLatin1,
+    format: formatBytesAsLatin1,
+  },
+  shiftjis: {
+    label: 'Shift_JIS',
+    charset: 'shift_jis',
+    bytesPerChar: 2,
+    encode: null,
+    format: (bytes, hasTail, tailBits) => formatBytesInCharset(bytes, 'shift_jis', hasTail, tailBits),
+  },
+};
+
+/**
+ * Converts bytes to a string for display in any of the TEXT_ENCODINGS.
+ *
+ * @param {Uint8Array|Array} bytes - Bytes to convert
+ * @param {string} encoding - Key of TEXT_ENCODINGS
+ * @param {boolean} hasTail - Whether there are incomplete bits at the end
+ * @param {number} tailBits - Bits in the incomplete last byte (0-7), if hasTail is true
+ * @returns {string} Formatted string, see formatBytesAsUtf8
+ * @throws {Error} If the encoding is unknown
+ */
+export function formatBytesAsText(bytes, encoding, hasTail = false, tailBits = 0) {
+  const textEncoding = TEXT_ENCODINGS[encoding];
+  if (!textEncoding) {
+    throw new Error(`Unsupported encoding: ${encoding}`);
+  }
+  return textEncoding.format(bytes, hasTail, tailBits);
+}
+
 /**
  * Calculates Shannon entropy of a string.
  * Entropy measures the average information content per symbol.
@@ -0,0 +1,176 @@
+/**
+ * Script-aware text recognition for Chinese, Japanese, Korean and Thai.
+ *
+ * Chinese, Japanese and Thai are written without spaces between words, and all four scripts
+ * are multi-byte in UTF-8, so the byte-level printable checks, the whitespace gates and the
+ * word-based dictionaries of auto-detect see such messages as garbage. This module recognizes
+ * Han, Kana, Hangul and Thai characters, in decoded text and in raw UTF-8 bytes, and identifies
+ * the language by character frequency: real text mostly uses a few hundred common characters,
+ * while wrongly decoded bytes spread over the whole script.
+ */
+
+// Code point ranges of each script, sorted by start. 'punctuation' is CJK punctuation and
+// fullwidth forms: printable, but not letters of any language.
+const SCRIPT_RANGES = [
+  [0x0E00, 0x0E7F, 'thai'],
+  [0x1100, 0x11FF, 'hangul'],
+  [0x3000, 0x303F, 'punctuation'],
+  [0x3040, 0x30FF, 'kana'],
+  [0x3130, 0x318F, 'hangul'],
+  [0x31F0, 0x31FF, 'kana'],
+  [0x3400, 0x4DBF, 'han'],
+  [0x4E00, 0x9FFF, 'han'],
+  [0xAC00, 0xD7A3, 'hangul'],
+  [0xF900, 0xFAFF, 'han'],
+  [0xFF00, 0xFF65, 'punctuation'],
+  [0xFF66, 0xFF9F, 'kana'],
+  [0x20000, 0x2FFFF, 'han'],
+];
+
+// Most frequent characters of each language. A text's coverage is the share of its script
+// characters found in the language's list.
+const SCRIPT_LANGUAGES = {
+  zh: {
+    characters: '的一是不了在人有我他这个们中来上大为和国地到以说时要就出会可也你对生能而子那得于着下自之年过发后作里用道行所然家种事成方多经么去法学如都同现当没动面起看定天分还进好小部其些主样理心她本前开但因只从想实日军者意无力它与长把机十民第公此已工使情明性知全三又关点正业外将两高间由问很最重并物手应战向头文体政美相见被利什二等产或新己制身果加西斯月话合回特代内信表化老给世位次度门任常先海通教儿原东声提立及比员解水名真论处走义各入几口认条平系气题活尔更别打女变四神总何电数安少报才结反受目太量再感建务做接必场件计管期市直德资命山金指克许统区保至队形社便空决治展马科司五基眼书非则听白却界达光放强即像难且权思王象完设式色路记南品住告类求据程北边死张该交规万取拉格望觉术领共确传师观清今切院让识候带导争运笑飞风步改收根干造言联持组每济车亲极林服快办议往元英士证近失转夫令准布始怎呢存未远叫台单影具罗字爱击流备兵连调深商算质团集百需价花党华城石级整府离况请技际约示复病息究线似官火断精满支视消越器容照须九增研写称企八功吗包片史委乎查轻易早曾除农找装广显吧阿李标谈吃图念六引历首医局突专费号尽另周较注语仅考落青随选列武红响虽推势参希古众构房半节土投某案黑维革划敌致陈律足态护七兴派孩验责营星够章音跟志底站严巴例防族供效续施留讲型料终答紧黄绝奇察母京段依批群项故按河米围江织害斗双境客纪采举杀攻父苏密低朝友诉止细愿千值仍男钱破网热助倒育属坐帝限船脸职速刻乐否刚威毛状率甚独球般普怕弹校苦创假久错承印晚兰试股拿脑预谁益阳若哪微尼继送急血惊伤素药适波夜省初喜卫源食险待述陆习置居劳财环排福纳欢雷警获模充负云停木游龙树疑层冷洲冲射略范竟句室异激汉村哈策演简卡罪判担州静退既衣您宗积余痛检差富灵协角占配征修皮挥胜降阶审沉坚善妈刘读啊超免压银买皇养伊怀执副乱抗犯追帮宣佛岁航优怪香著田铁控税左右份穿艺背阵草脚概恶块顿敢守酒岛托央户烈洋哥索胡款靠评版宝座释景顾弟登货互付伯慢欧换闻危忙核暗姐介坏讨丽良序升监临亮露永呼味野架域沙掉括舰鱼杂误湾吉减编楚肯测败屋跑梦散温困剑渐封救贵枪缺楼县尚毫移娘朋画班智亦耳恩短掌恐遗固席松秘谢鲁遇康虑幸均销钟诗藏赶剧票损忽巨炮旧端探湖录叶春乡附吸予礼港雨呀板庭妇归睛饭额含顺输摇招婚脱补谓督毒油疗旅泽材灭逐莫笔亡鲜词圣择寻厂睡博勒烟授诺伦岸奥唐卖俄炸载洛健堂旁宫喝借君禁阴园谋宋避抓荣姑孙逃牙束跳顶玉镇雪午练迫爷篇肉嘴馆遍凡础洞卷坦牛宁纸诸训私庄祖丝翻暴森塔默握戏隐熟骨访弱蒙歌店鬼软典欲萨伙遭盘爸扩盖弄雄稳忘亿刺拥徒姆杨齐赛趣曲刀床迎冰虚玩析窗醒妻透购替塞努休虎扬途侵刑绿兄迅套贸毕唯谷轮库迹尤竞街促延震弃甲伟麻川申缓潜闪售灯针哲络抵朱埃抱鼓植纯夏忍页杰筑折郑贝尊吴秀混臣雅振染盛怒舞圆搞狂措姓残秋培迷诚宽宇猛摆梅毁伸摩盟末乃悲拍丁赵硬麦蒋操耶阻订彩抽赞魔纷沿喊违妹浪汇币丰蓝殊献桌啦瓦莱援译夺汽烧距裁偏符勇触课敬哭懂墙袭召罚侠厅拜巧侧韩冒债曼融惯享戴童犹乘挂奖绍厚纵障讯涉彻刊丈爆乌役描洗玛患妙镜唱烦签仙彼弗症仿倾牌陷鸟轰咱菜闭奋庆撤泪茶疾缘播朗杜奶季丹狗尾仪偷奔珠虫驻孔宜艾桥淡翼恨繁寒伴叹旦愈潮粮缩罢聚径恰挑袋灰捕徐珍幕映裂泰隔启尖忠累炎暂估泛荒偿横拒瑞忆孤鼻闹羊呆厉衡胞零穷舍码赫婆魂灾洪腿胆津俗辩胸晓劲贫仁偶辑邦恢赖圈摸仰润堆碰艇稍迟辆废净凶署壁御奉旋冬矿抬蛋晨伏吹鸡倍糊秦盾杯租骑乏隆诊奴摄丧污渡旗甘耐凭扎抢绪粗肩梁幻菲皆碎宙叔岩荡综爬荷悉蒂返井壮薄悄扫敏碍殖详迪矛霍允幅撒剩凯颗骂赏液番箱贴漫酸郎腰舒眉忧浮辛恋餐吓挺励辞艘键伍峰尺昨黎辈贯侦滑券崇扰宪绕趋慈乔阅汗枝拖墨胁插箭腊粉泥氏彭拔骗凤慧媒佩愤扑龄驱惜豪掩兼跃尸肃帕驶堡届欣惠册储飘桑闲惨洁踪勃宾频仇磨递邪撞拟滚奏巡颜剂绩贡疯坡瞧截燃焦殿伪柳锁逼颇昏劝呈搜勤戒驾漂饮曹朵仔柔俩孟腐幼践籍牧凉牲佳娜浓芳稿竹腹跌逻垂遵脉貌柏狱猜怜惑陶兽帐饰贷昌叙躺钢沟寄扶铺邓寿惧询汤盗肥尝匆辉奈扣廷澳嘛董迁凝慰厌脏腾幽怨鞋丢埋泉涌辖躲晋紫艰魏吾慌祝邮吐狠鉴曰械咬邻赤挤弯椅陪割揭韦悟聪雾锋梯猫祥阔誉筹丛牵鸣沈阁穆屈旨袖猎臂蛇贺柱抛鼠瑟戈牢逊迈欺吨琴衰瓶恼燕仲诱狼池疼卢仗冠粒遥吕玄尘冯抚浅敦纠钻晶岂峡苍喷耗凌敲菌赔涂粹扁亏寂煤熊恭湿循暖糖赋抑秩帽哀宿踏烂袁侯抖夹昆肝擦猪炼恒慎搬纽纹玻渔磁铜齿跨押怖漠疲叛遣兹祭醉拳弥斜档稀捷肤疫肿豆削岗晃吞宏癌肚隶履涨耀扭坛拨沃绘伐堪仆郭牺歼墓雇廉契拼惩捉覆刷劫嫌瓜歇雕闷乳串娃缴唤赢莲霸桃妥瘦搭赴岳嘉舱俊址庞耕锐缝悔邀玲惟斥宅添挖呵讼氧浩羽斤酷掠妖祸侍乙妨贪挣汪尿莉悬唇翰仓轨枚盐览傅帅庙芬屏寺胖璃愚滴疏萧姿颤丑劣柯寸扔盯辱匹俱辨饿蜂哦腔郁溃谨糟葛苗肠忌溜鸿爵鹏鹰笼丘桂滋聊挡纲肌茨壳痕碗穴膀卓贤卧膜毅锦欠哩函茫昂薛皱夸豫胃舌剥傲拾窝睁携陵哼棉晴铃填饲渴吻扮逆脆喘罩卜炉柴愉绳胎蓄眠竭喂傻慕浑奸扇柜悦拦诞饱乾泡贼亭夕爹酬儒姻卵氛泄杆挨僧蜜吟猩遂狭肖甜霜揽扯汁盆霞棋朴媳撑'
+      // Traditional forms of common characters, for text from Taiwan and Hong Kong
+      + '這們個來為國說時會對發後過還進經麼當現動學種樣開無與兩見問長關點體應實還從頭將機電話親愛氣書幾師讓記產車東門語請們選總區報們覺條義與灣對認識聽員華變讀議覺歡號',
+  },
+  ja: {
+    characters: 'のにはをたがでてとしれさるいかなもうこますらりっくあおけよえんだどそちつせきみめわやろねほひふへばびべぼござじずぶょゃゅ'
+      + 'ーンストルイクリラタアレテドコシジプフロマッメカディサダキグノミュャョェバビブベボパピポモヤユヨワヲヴウエオケセソチツナニヌネハヒヘホムャ'
+      + '日一人年大十二本中長出三時行見月分後前生五間上東四今金九入学高円子外八六下来気小七山話女北午百書先名川千水半男西電校語土木聞食車何南万毎白天母火右読友左休父雨'
+      + '会事自社者地業方新場員立開手力問代明動京目通言理体田主題意不作用度強公持野以思家世多正安院心界教文元重近考画海売知道集別物使品計死特私始朝運終台広住無真有口少町料工建空急止送切転研足究楽起着店病質待試族銀早映親験英医仕去味写字答夜音注帰古歌買悪図週室歩風紙黒花春赤青館屋色走秋夏習駅洋旅服夕借曜飲肉貸堂鳥飯勉冬昼茶弟牛魚兄犬妹姉漢'
+      + '私達思出来変合連発最際関係現在以上結果情報必要確認利用方法問題表示設定選択保存',
+  },
+  ko: {
+    characters: '이다는의에가을하고지한로서기도를사리시어나정자대인수아적해게전부일상그없있것주라들국보여과만으제소우내구경원면모개오성장연했동러문학생관세데무화위미되요께까말후신조간방진물중실야용분선거할니마치비발저트드습은때람알회년같안계공합운음식금행입법통날심명집런히었럼봐줄좋많왜뭐네응감씨요'
+      + '너우리나요세요니다습니까했어요있어요없어요입니다합니다그리고하지만그래서오늘내일어제시간사람친구학교회사집',
+  },
+  th: {
+    // The most frequent letters, vowels and tone marks; the script has fewer than 90 characters
+    characters: 'านรอกเงมยลว่ดทีสัตะิคไบขป้แหพ็จุใช',
+  },
+};
+
+// Character-frequency coverage that maps to confidence 0 and 1: bytes that decode to random
+// characters of these scripts rarely hit the common lists, prose hits them most of the time
+const NOISE_COVERAGE = 0.3;
+const TEXT_COVERAGE = 0.65;
+// Texts with fewer script characters than this get proportionally less confidence
+const MIN_CHARACTERS = 12;
+
+const characterSets = Object.fromEntries(
+  Object.entries(SCRIPT_LANGUAGES).map(([language, { characters }]) => [language, new Set(characters)]),
+);
+
+/**
+ * Finds the script of a code point.
+ *
+ * @param {number} codePoint - Unicode code point
+ * @returns {'han'|'kana'|'hangul'|'thai'|'punctuation'|null} Script, 'punctuation' for CJK
+ *   punctuation and fullwidth forms, or null for every other character
+ */
+export function scriptOf(codePoint) {
+  if (codePoint < SCRIPT_RANGES[0][0]) return null;
+  for (const [start, end, script] of SCRIPT_RANGES) {
+    if (codePoint < start) return null;
+    if (codePoint <= end) return script;
+  }
+  return null;
+}
+
+/**
+ * Measures a UTF-8 encoded Han, Kana, Hangul, Thai or CJK punctuation character in raw bytes,
+ * so byte-level printable checks can step over it.
+ *
+ * @param {Uint8Array} bytes - Byte stream
+ * @param {number} index - Position of the lead byte
+ * @returns {number} Length of the character's sequence (3 or 4), or 0 if the bytes at index are
+ *   not a valid UTF-8 sequence of such a character
+ */
+export function scriptSequenceLength(bytes, index) {
+  const lead = bytes[index];
+  let length;
+  let codePoint;
+  if (lead >= 0xE0 && lead <= 0xEF) {
+    length = 3;
+    codePoint = lead & 0x0F;
+  } else if (lead >= 0xF0 && lead <= 0xF4) {
+    length = 4;
+    codePoint = lead & 0x07;
+  } else {
+    return 0; // These scripts start at U+0E00, beyond the two-byte range
+  }
+  if (index + length > bytes.length) return 0;
+  for (let i = 1; i < length; i++) {
+    const byte = bytes[index + i];
+    if ((byte & 0xC0) !== 0x80) return 0;
+    codePoint = (codePoint << 6) | (byte & 0x3F);
+  }
+  // scriptOf rejects overlong forms and surrogates: no script range starts below U+0E00
+  // or covers U+D800-U+DFFF
+  return scriptOf(codePoint) ? length : 0;
+}
+
+// Han/Kana/Hangul/Thai characters per script, and letters of every other script
+function countScripts(text) {
+  const counts = { han: 0, kana: 0, hangul: 0, thai: 0, other: 0 };
+  for (const ch of text) {
+    const script = scriptOf(ch.codePointAt(0));
+    if (script && script !== 'punctuation') counts[script]++;
+    else if (/\p{L}/u.test(ch)) counts.other++;
+  }
+  return counts;
+}
+
+/**
+ * Tells whether most letters of a text belong to a script written without spaces (Han, Kana
+ * or Thai; Korean separates words with spaces), so whitespace-based checks do not apply to it.
+ *
+ * @param {string} text - Decoded text
+ * @returns {boolean} True if Han, Kana and Thai characters make up at least half of the letters
+ */
+export function isUnspacedText(text) {
+  const counts = countScripts(text || '');
+  const unspaced = counts.han + counts.kana + counts.thai;
+  return unspaced > 0 && unspaced * 2 >= counts.han + counts.kana + counts.hangul + counts.thai + counts.other;
+}
+
+/**
+ * Identifies Chinese, Japanese, Korean or Thai text by how many of its characters are among the
+ * language's most common ones. Has the same result shape as identifyLanguage in languageId.js,
+ * which delegates such texts here.
+ *
+ * @param {string} text - Decoded text
+ * @returns {{ language: string, confidence: number, runnerUp: string|null }|null} Best language
+ *   with confidence in [0, 1], or null if Han, Kana, Hangul and Thai characters are less than
+ *   half of the text's letters
+ */
+export function identifyScriptLanguage(text) {
+  const counts = countScripts(text || '');
+  const scriptCharacters = counts.han + counts.kana + counts.hangul + counts.thai;
+  if (scriptCharacters === 0 || scriptCharacters * 2 < scriptCharacters + counts.other) {
+    return null;
+  }
+
+  const hits = Object.fromEntries(Object.keys(SCRIPT_LANGUAGES).map(language => [language, 0]));
+  for (const ch of text) {
+    for (const language in hits) {
+      if (characterSets[language].has(ch)) hits[language]++;
+    }
+  }
+  // Coverage counts against every script character, so Kana in a text rules out Chinese and
+  // Hangul rules out Japanese
+  const ranked = Object.keys(hits)
+    .map(language => ({ language, coverage: hits[language] / scriptCharacters }))
+    .sort((a, b) => b.coverage - a.coverage);
+  const [best, second] = ranked;
+
+  const confidence = Math.max(0, Math.min(1, (best.coverage - NOISE_COVERAGE) / (TEXT_COVERAGE - NOISE_COVERAGE)))
+    * Math.min(1, scriptCharacters / MIN_CHARACTERS);
+  return {
+    language: best.language,
+    confidence,
+    runnerUp: second.coverage > 0 ? second.language : null,
+  };
+}
@@ -217,14 +217,18 @@ export function jpegEncode(imageData, message, options = {}) {
 }
 
 /**
- * Decode a message previously embedded with {@link jpegEncode}.
+ * Extract the embedded bit of every 8×8 block in a band of block rows.
+ * Bands can be extracted separately (e.g. by several workers) and concatenated
+ * in row order before {@link jpegDecodeBits}.
  *
- * @param {ImageData} imageData  Image to decode (may have been JPEG-compressed)
+ * @param {ImageData} imageData  Image to read
  * @param {Object}    [options]
- * @param {number}    [options.step=50]   Must match the step used during encoding
- * @returns {{ message: string, valid: boolean }}
+ * @param {number}    [options.step=50]       Must match the step used during encoding
+ * @param {number}    [options.firstRow=0]    First block row to read
+ * @param {number}    [options.rowCount]      Block rows to read (default: to the bottom)
+ * @returns {Uint8Array} One bit per block, row by row
  */
-export function jpegDecode(imageData, options = {}) {
+export function jpegExtractBits(imageData, options = {}) {
   const {
     step = 50,
     embedU = DEFAULT_EMBED_U,
@@ -235,18 +239,28 @@ export function jpegDecode(imageData, options = {}) {
   const data = imageData.data;
   const bx_count = Math.floor(width / BLOCK);
   const by_count = Math.floor(height / BLOCK);
+  const firstRow = Math.min(options.firstRow ?? 0, by_count);
+  const lastRow = Math.min(firstRow + (options.rowCount ?? by_count), by_count);
 
-  /* ---------- extract bits from all blocks ---------- */
-
-  const bits = [];
-  for (let by = 0; by < by_count; by++) {
+  const bits = new Uint8Array((lastRow - firstRow) * bx_count);
+  let bi = 0;
+  for (let by = firstRow; by < lastRow; by++) {
     for (let bx = 0; bx < bx_count; bx++) {
       const yBlk = extractYBlock(data, width, bx, by);
       const dctBlk = dct8(yBlk);
-      bits.push(qimExtract(dctBlk[embedU][embedV], step));
+      bits[bi++] = qimExtract(dctBlk[embedU][embedV], step);
     }
   }
+  return bits;
+}
 
+/**
+ * Parse the header and message from the block bits of a whole image.
+ *
+ * @param {ArrayLike<number>} bits  Output of {@link jpegExtractBits} for all block rows
+ * @returns {{ message: string, valid: boolean }}
+ */
+export function jpegDecodeBits(bits) {
   if (bits.length < HEADER_BITS) {
     return { message: '', valid: false };
   }
@@ -285,3 +299,14 @@ export function jpegDecode(imageData, options = {}) {
   return { message, valid: true };
 }
 
+/**
+ * Decode a message previously embedded with {@link jpegEncode}.
+ *
+ * @param {ImageData} imageData  Image to decode (may have been JPEG-compressed)
+ * @param {Object}    [options]
+ * @param {number}    [options.step=50]   Must match the step used during encoding
+ * @returns {{ message: string, valid: boolean }}
+ */
+export function jpegDecode(imageData, options = {}) {
+  return jpegDecodeBits(jpegExtractBits(imageData, options));
+}
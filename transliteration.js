@@ -0,0 +1,105 @@
+/**
+ * Back-transliteration of text typed in Latin letters, such as Russian "privet kak dela"
+ * or Greeklish "kalimera", into the language's own script.
+ *
+ * Each scheme maps Latin letter groups to native letters, longest group first, the way people
+ * commonly type these languages without a native keyboard. The mapping is lossy (Russian "e"
+ * may stand for "е" or "э"), but close enough for dictionary lookup and the language model.
+ */
+
+/**
+ * Transliteration schemes by name. Each has the language it writes, a label for the UI and:
+ * - rules: Latin letter group (lowercase) to native letters
+ * - afterVowel: groups that map differently after a native vowel (Russian "y" in "kakoy")
+ * - vowels: native vowels, for afterVowel
+ * - wordEnd: groups that map differently at the end of a word (Greek final sigma)
+ */
+export const TRANSLITERATION_SCHEMES = {
+  'ru-latin': {
+    language: 'ru',
+    label: 'Russian in Latin letters',
+    rules: {
+      shch: 'щ', sch: 'щ', sh: 'ш', ch: 'ч', zh: 'ж', kh: 'х', ts: 'ц',
+      yu: 'ю', ju: 'ю', ya: 'я', ja: 'я', yo: 'ё', jo: 'ё', ye: 'е',
+      a: 'а', b: 'б', v: 'в', g: 'г', d: 'д', e: 'е', z: 'з', i: 'и', j: 'й', k: 'к', l: 'л',
+      m: 'м', n: 'н', o: 'о', p: 'п', r: 'р', s: 'с', t: 'т', u: 'у', f: 'ф', h: 'х', c: 'ц',
+      w: 'в', x: 'кс', q: 'к', y: 'ы', '\'': 'ь',
+    },
+    afterVowel: { y: 'й' },
+    vowels: 'аеёиоуыэюя',
+  },
+  'uk-latin': {
+    language: 'uk',
+    label: 'Ukrainian in Latin letters',
+    rules: {
+      shch: 'щ', zh: 'ж', kh: 'х', ts: 'ц', ch: 'ч', sh: 'ш',
+      ye: 'є', ie: 'є', yi: 'ї', ji: 'ї', yu: 'ю', iu: 'ю', ya: 'я', ia: 'я',
+      a: 'а', b: 'б', v: 'в', h: 'г', g: 'ґ', d: 'д', e: 'е', z: 'з', y: 'и', i: 'і', j: 'й',
+      k: 'к', l: 'л', m: 'м', n: 'н', o: 'о', p: 'п', r: 'р', s: 'с', t: 'т', u: 'у', f: 'ф',
+      c: 'ц', w: 'в', x: 'кс', q: 'к', '\'': 'ь',
+    },
+    afterVowel: { y: 'й' },
+    vowels: 'аеєиіїоуюя',
+  },
+  greeklish: {
+    language: 'el',
+    label: 'Greeklish',
+    rules: {
+      th: 'θ', ps: 'ψ', ks: 'ξ', ch: 'χ', kh: 'χ', ph: 'φ',
+      a: 'α', b: 'β', v: 'β', g: 'γ', d: 'δ', e: 'ε', z: 'ζ', h: 'η', i: 'ι', k: 'κ', l: 'λ',
+      m: 'μ', n: 'ν', x: 'χ', o: 'ο', p: 'π', r: 'ρ', s: 'σ', t: 'τ', y: 'υ', u: 'υ', f: 'φ',
+      w: 'ω', c: 'κ', j: 'ξ', q: 'κ',
+    },
+    wordEnd: { s: 'ς' },
+  },
+};
+
+// Longest Latin group of each scheme, for the greedy match
+const longestGroups = Object.fromEntries(
+  Object.entries(TRANSLITERATION_SCHEMES).map(([name, { rules }]) => [
+    name,
+    Math.max(...Object.keys(rules).map(group => group.length)),
+  ]),
+);
+
+/**
+ * Maps text typed in Latin letters back to the native script of a scheme. Characters without
+ * a rule (spaces, digits, punctuation, letters already in another script) are kept, and a
+ * capitalized Latin group gives a capitalized native letter.
+ *
+ * @param {string} text - Text in Latin letters
+ * @param {string} schemeName - Key of TRANSLITERATION_SCHEMES
+ * @returns {string} Text in the scheme's script
+ * @throws {Error} If the scheme is unknown
+ */
+export function detransliterate(text, schemeName) {
+  const scheme = TRANSLITERATION_SCHEMES[schemeName];
+  if (!scheme) {
+    throw new Error(`Unknown transliteration scheme: ${schemeName}`);
+  }
+  const { rules, afterVowel = {}, vowels = '', wordEnd = {} } = scheme;
+  let result = '';
+  let i = 0;
+  while (i < text.length) {
+    let native = null;
+    let length = Math.min(longestGroups[schemeName], text.length - i);
+    for (; length > 0; length--) {
+      const group = text.slice(i, i + length).toLowerCase();
+      if (!(group in rules)) continue;
+      const atWordEnd = !/\p{L}/u.test(text[i + length] || '');
+      if (atWordEnd && group in wordEnd) native = wordEnd[group];
+      else if (group in afterVowel && result && vowels.includes(result.slice(-1).toLowerCase())) native = afterVowel[group];
+      else native = rules[group];
+      break;
+    }
+    if (native === null) {
+      result += text[i];
+      i++;
+      continue;
+    }
+    const capitalized = text[i] !== text[i].toLowerCase();
+    result += capitalized ? native[0].toUpperCase() + native.slice(1) : native;
+    i += length;
+  }
+  return result;
+}